@@ -1,5 +1,10 @@
 const fs = require('fs');
 const yaml = require('yaml');
+const { DRIFT_POLICIES, NOTIFICATION_EVENTS, SINK_TYPES } = require('./constants');
+const { isCronExpression } = require('../utils/cron');
+const { parseJsonPath } = require('../utils/jsonPath');
+const { hasSecret } = require('../utils/secrets');
+const { isTimeString } = require('../utils/time');
 
 /**
  * Configuration loader for the application
@@ -74,6 +79,24 @@ class ConfigLoader {
       throw new Error('snapshot_dir must be a string');
     }
 
+    // Validate snapshot_retention and backup_retention if provided
+    this.validateRetention('snapshot_retention');
+    this.validateRetention('backup_retention');
+
+    // Validate conf_backups if provided
+    this.validateRetention('conf_backups');
+    if (
+      this.config.conf_backups?.gzip !== undefined &&
+      typeof this.config.conf_backups.gzip !== 'boolean'
+    ) {
+      throw new Error('conf_backups.gzip must be a boolean');
+    }
+
+    // Validate lock_file if provided
+    if (this.config.lock_file !== undefined && typeof this.config.lock_file !== 'string') {
+      throw new Error('lock_file must be a string');
+    }
+
     // Validate snapshot_number if provided
     if (this.config.snapshot_number !== undefined) {
       if (typeof this.config.snapshot_number !== 'number' || this.config.snapshot_number < 1) {
@@ -89,6 +112,34 @@ class ConfigLoader {
       throw new Error('force_snapshot must be a boolean');
     }
 
+    // Validate rest_page server settings if provided
+    this.validateRestPage();
+
+    // Validate status API settings if provided
+    this.validateStatusApi();
+
+    // Validate notification sinks if provided
+    this.validateNotifications();
+
+    // Validate history database settings if provided
+    this.validateHistory();
+
+    // Validate hot reload settings if provided
+    this.validateHotReload();
+
+    // Validate control channel settings if provided
+    this.validateControl();
+
+    // Validate drift detection settings if provided
+    this.validateDrift();
+
+    // Validate global all_down_policy and maintenance_target if provided
+    this.config.maintenance_target = this.resolveRestPageTarget(
+      'global',
+      this.config.maintenance_target
+    );
+    this.validateAllDownPolicy('global', this.config);
+
     // Validate services
     if (
       typeof this.config.services !== 'object' ||
@@ -101,6 +152,9 @@ class ConfigLoader {
     for (const [serviceName, service] of Object.entries(this.config.services)) {
       this.validateService(serviceName, service);
     }
+
+    // Validate global maintenance windows if provided
+    this.validateMaintenanceWindows('global', this.config.maintenance);
   }
 
   /**
@@ -117,15 +171,19 @@ class ConfigLoader {
       }
     }
 
-    // Validate if_failed (if_success is now optional)
-    if (!service.if_failed.host || !service.if_failed.port) {
-      throw new Error(`Service '${serviceName}' if_failed missing host or port`);
-    }
+    this.validateCheck(serviceName, service.check);
 
-    // Validate if_failed scheme if provided
-    if (service.if_failed.scheme && !['http', 'https'].includes(service.if_failed.scheme)) {
-      throw new Error(`Service '${serviceName}' if_failed scheme must be 'http' or 'https'`);
-    }
+    // Resolve `rest_page: true` targets to the built-in rest page server
+    service.if_failed = Array.isArray(service.if_failed)
+      ? service.if_failed.map(target => this.resolveRestPageTarget(serviceName, target))
+      : this.resolveRestPageTarget(serviceName, service.if_failed);
+    service.maintenance_target = this.resolveRestPageTarget(
+      serviceName,
+      service.maintenance_target
+    );
+
+    // Validate if_failed (if_success is now optional)
+    this.validateFallbackTargets(serviceName, service.if_failed);
 
     // Validate retries if provided
     if (service.retries !== undefined) {
@@ -134,6 +192,51 @@ class ConfigLoader {
       }
     }
 
+    // Validate rise/fall thresholds if provided
+    for (const field of ['fall', 'rise']) {
+      if (service[field] !== undefined) {
+        if (!Number.isInteger(service[field]) || service[field] < 1) {
+          throw new Error(`Service '${serviceName}' ${field} must be a positive integer`);
+        }
+      }
+    }
+
+    // Validate failback_hold if provided
+    if (service.failback_hold !== undefined && !isTimeString(service.failback_hold)) {
+      throw new Error(`Service '${serviceName}' failback_hold must be a time string like '30s'`);
+    }
+
+    // Validate all_down_policy and maintenance_target if provided
+    this.validateAllDownPolicy(serviceName, service);
+
+    // Validate maintenance windows if provided
+    this.validateMaintenanceWindows(serviceName, service.maintenance, service);
+
+    // Validate drift policy if provided
+    if (service.drift_policy !== undefined && !DRIFT_POLICIES.includes(service.drift_policy)) {
+      throw new Error(
+        `Service '${serviceName}' drift_policy must be one of ${DRIFT_POLICIES.join(', ')}`
+      );
+    }
+
+    // Validate per-service rest page options if provided
+    if (
+      service.rest_page !== undefined &&
+      (typeof service.rest_page !== 'object' || service.rest_page === null)
+    ) {
+      throw new Error(`Service '${serviceName}' rest_page must be an object`);
+    }
+
+    if (
+      (service.all_down_policy || this.config.all_down_policy) === 'maintenance' &&
+      !service.maintenance_target &&
+      !this.config.maintenance_target
+    ) {
+      throw new Error(
+        `Service '${serviceName}' all_down_policy 'maintenance' requires a maintenance_target`
+      );
+    }
+
     // If if_success is provided, validate it
     if (service.if_success) {
       if (!service.if_success.host || !service.if_success.port) {
@@ -147,6 +250,697 @@ class ConfigLoader {
     }
   }
 
+  /**
+   * Validate the if_failed target or ordered list of targets
+   * @param {string} serviceName - Name of the service
+   * @param {FallbackTarget|Array<FallbackTarget>} ifFailed - Fallback configuration
+   */
+  validateFallbackTargets(serviceName, ifFailed) {
+    const targets = Array.isArray(ifFailed) ? ifFailed : [ifFailed];
+
+    if (targets.length === 0) {
+      throw new Error(`Service '${serviceName}' if_failed must not be empty`);
+    }
+
+    targets.forEach((target, index) => {
+      const label = Array.isArray(ifFailed) ? `if_failed[${index}]` : 'if_failed';
+
+      if (!target || !target.host || !target.port) {
+        throw new Error(`Service '${serviceName}' ${label} missing host or port`);
+      }
+
+      // Validate scheme if provided
+      if (target.scheme && !['http', 'https'].includes(target.scheme)) {
+        throw new Error(`Service '${serviceName}' ${label} scheme must be 'http' or 'https'`);
+      }
+
+      if (target.check !== undefined) {
+        this.validateCheck(`${serviceName}/tier-${index + 1}`, target.check);
+      }
+
+      if (target.retries !== undefined) {
+        if (typeof target.retries !== 'number' || target.retries < 1 || target.retries > 10) {
+          throw new Error(
+            `Service '${serviceName}' ${label} retries must be a number between 1 and 10`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Validate the built-in rest page server settings
+   */
+  validateRestPage() {
+    const restPage = this.config.rest_page;
+    if (restPage === undefined) {
+      return;
+    }
+
+    if (typeof restPage !== 'object' || restPage === null) {
+      throw new Error('rest_page must be an object');
+    }
+
+    if (restPage.enabled !== undefined && typeof restPage.enabled !== 'boolean') {
+      throw new Error('rest_page.enabled must be a boolean');
+    }
+
+    if (restPage.enabled) {
+      if (!Number.isInteger(restPage.port) || restPage.port < 1 || restPage.port > 65535) {
+        throw new Error('rest_page.port must be between 1 and 65535');
+      }
+    }
+
+    if (restPage.template_dir !== undefined && !fs.existsSync(restPage.template_dir)) {
+      throw new Error(`rest_page.template_dir not found: ${restPage.template_dir}`);
+    }
+
+    if (
+      restPage.retry_after !== undefined &&
+      (!Number.isInteger(restPage.retry_after) || restPage.retry_after < 0)
+    ) {
+      throw new Error('rest_page.retry_after must be a number of seconds');
+    }
+  }
+
+  /**
+   * Validate the status API server settings
+   */
+  validateStatusApi() {
+    const statusApi = this.config.status_api;
+    if (statusApi === undefined) {
+      return;
+    }
+
+    if (typeof statusApi !== 'object' || statusApi === null) {
+      throw new Error('status_api must be an object');
+    }
+
+    if (statusApi.enabled !== undefined && typeof statusApi.enabled !== 'boolean') {
+      throw new Error('status_api.enabled must be a boolean');
+    }
+
+    if (
+      statusApi.port !== undefined &&
+      (!Number.isInteger(statusApi.port) || statusApi.port < 1 || statusApi.port > 65535)
+    ) {
+      throw new Error('status_api.port must be between 1 and 65535');
+    }
+
+    if (
+      statusApi.history_size !== undefined &&
+      (!Number.isInteger(statusApi.history_size) || statusApi.history_size < 1)
+    ) {
+      throw new Error('status_api.history_size must be a positive integer');
+    }
+  }
+
+  /**
+   * Validate history database settings
+   */
+  validateHistory() {
+    const { history } = this.config;
+    if (history === undefined) {
+      return;
+    }
+
+    if (typeof history !== 'object' || history === null) {
+      throw new Error('history must be an object');
+    }
+
+    if (history.enabled !== undefined && typeof history.enabled !== 'boolean') {
+      throw new Error('history.enabled must be a boolean');
+    }
+
+    if (history.file !== undefined && (typeof history.file !== 'string' || !history.file)) {
+      throw new Error('history.file must be a file path');
+    }
+
+    if (history.check_bucket !== undefined && !isTimeString(history.check_bucket)) {
+      throw new Error('history.check_bucket must be a time string (e.g. 1m)');
+    }
+
+    const retention = history.retention || {};
+    for (const [key, value] of Object.entries(retention)) {
+      if (!['checks', 'switches', 'actions'].includes(key)) {
+        throw new Error(`history.retention.${key} is not a known history table`);
+      }
+      if (!isTimeString(value)) {
+        throw new Error(`history.retention.${key} must be a time string (e.g. 30d)`);
+      }
+    }
+  }
+
+  /**
+   * Validate hot reload settings
+   */
+  validateHotReload() {
+    const { hot_reload: hotReload } = this.config;
+    if (hotReload === undefined) {
+      return;
+    }
+
+    if (typeof hotReload !== 'object' || hotReload === null) {
+      throw new Error('hot_reload must be an object');
+    }
+
+    for (const key of ['watch', 'restore_removed']) {
+      if (hotReload[key] !== undefined && typeof hotReload[key] !== 'boolean') {
+        throw new Error(`hot_reload.${key} must be a boolean`);
+      }
+    }
+
+    if (hotReload.watch_interval !== undefined && !isTimeString(hotReload.watch_interval)) {
+      throw new Error('hot_reload.watch_interval must be a time string (e.g. 2s)');
+    }
+  }
+
+  /**
+   * Validate control channel settings
+   */
+  validateControl() {
+    const { control } = this.config;
+    if (control === undefined) {
+      return;
+    }
+
+    if (typeof control !== 'object' || control === null) {
+      throw new Error('control must be an object');
+    }
+
+    if (control.enabled !== undefined && typeof control.enabled !== 'boolean') {
+      throw new Error('control.enabled must be a boolean');
+    }
+
+    for (const key of ['socket', 'state_file']) {
+      if (control[key] !== undefined && (typeof control[key] !== 'string' || !control[key])) {
+        throw new Error(`control.${key} must be a file path`);
+      }
+    }
+  }
+
+  /**
+   * Validate retention rules (keep_last, max_age)
+   * @param {string} key - Config key (snapshot_retention or backup_retention)
+   */
+  validateRetention(key) {
+    const retention = this.config[key];
+    if (retention === undefined) {
+      return;
+    }
+
+    if (typeof retention !== 'object' || retention === null) {
+      throw new Error(`${key} must be an object`);
+    }
+
+    if (
+      retention.keep_last !== undefined &&
+      (!Number.isInteger(retention.keep_last) || retention.keep_last < 1)
+    ) {
+      throw new Error(`${key}.keep_last must be a positive integer`);
+    }
+
+    if (retention.max_age !== undefined && !isTimeString(retention.max_age)) {
+      throw new Error(`${key}.max_age must be a time string (e.g. 30d)`);
+    }
+  }
+
+  /**
+   * Validate drift detection settings
+   */
+  validateDrift() {
+    const { drift } = this.config;
+    if (drift === undefined) {
+      return;
+    }
+
+    if (typeof drift !== 'object' || drift === null) {
+      throw new Error('drift must be an object');
+    }
+
+    if (drift.enabled !== undefined && typeof drift.enabled !== 'boolean') {
+      throw new Error('drift.enabled must be a boolean');
+    }
+
+    if (drift.interval !== undefined && !isTimeString(drift.interval)) {
+      throw new Error('drift.interval must be a time string (e.g. 1m)');
+    }
+
+    if (drift.policy !== undefined && !DRIFT_POLICIES.includes(drift.policy)) {
+      throw new Error(`drift.policy must be one of ${DRIFT_POLICIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate notification sinks
+   */
+  validateNotifications() {
+    const { notifications } = this.config;
+    if (notifications === undefined) {
+      return;
+    }
+
+    if (!notifications || !Array.isArray(notifications.sinks)) {
+      throw new Error('notifications.sinks must be a list');
+    }
+
+    notifications.sinks.forEach((sink, index) => {
+      const label = `Notification sink '${sink.name || index + 1}'`;
+
+      if (!SINK_TYPES.includes(sink.type)) {
+        throw new Error(`${label} type must be one of ${SINK_TYPES.join(', ')}`);
+      }
+
+      if (sink.type === 'email') {
+        this.validateEmailSink(label, sink);
+      } else if (sink.type === 'telegram') {
+        if (!sink.chat_id) {
+          throw new Error(`${label} missing chat_id`);
+        }
+        if (!sink.url && !hasSecret(sink, 'token')) {
+          throw new Error(`${label} requires a bot token (token, token_env or token_file)`);
+        }
+      } else if (!/^https?:\/\//.test(String(sink.url || ''))) {
+        throw new Error(`${label} url must be an http(s) URL`);
+      }
+
+      for (const field of ['services', 'events']) {
+        if (sink[field] !== undefined && !Array.isArray(sink[field])) {
+          throw new Error(`${label} ${field} must be a list`);
+        }
+      }
+
+      for (const serviceName of sink.services || []) {
+        if (!this.config.services || !this.config.services[serviceName]) {
+          throw new Error(`${label} references unknown service: ${serviceName}`);
+        }
+      }
+
+      for (const event of sink.events || []) {
+        if (!NOTIFICATION_EVENTS.includes(event)) {
+          throw new Error(`${label} event must be one of ${NOTIFICATION_EVENTS.join(', ')}`);
+        }
+      }
+
+      if (sink.retries !== undefined && (!Number.isInteger(sink.retries) || sink.retries < 0)) {
+        throw new Error(`${label} retries must be a non-negative integer`);
+      }
+
+      for (const field of ['backoff', 'dedupe_window']) {
+        if (sink[field] !== undefined && !isTimeString(sink[field])) {
+          throw new Error(`${label} ${field} must be a time string (e.g. 30s, 5m)`);
+        }
+      }
+
+      this.validateSinkSecrets(label, sink, ['secret', 'token']);
+    });
+  }
+
+  /**
+   * Validate an email notification sink
+   * @param {string} label - Sink label for error messages
+   * @param {NotificationSinkConfig} sink - Email sink configuration
+   */
+  validateEmailSink(label, sink) {
+    const { smtp } = sink;
+
+    if (!smtp || !smtp.host) {
+      throw new Error(`${label} missing smtp.host`);
+    }
+    if (smtp.port !== undefined && (!Number.isInteger(smtp.port) || smtp.port < 1)) {
+      throw new Error(`${label} smtp.port must be a positive integer`);
+    }
+    for (const field of ['secure', 'starttls', 'tls_verify']) {
+      if (smtp[field] !== undefined && typeof smtp[field] !== 'boolean') {
+        throw new Error(`${label} smtp.${field} must be a boolean`);
+      }
+    }
+    if (smtp.secure && smtp.starttls !== undefined) {
+      throw new Error(`${label} smtp.starttls cannot be combined with smtp.secure`);
+    }
+    if (hasSecret(smtp, 'password') && !hasSecret(smtp, 'username')) {
+      throw new Error(`${label} smtp password requires a username`);
+    }
+    this.validateSinkSecrets(label, smtp, ['username', 'password']);
+
+    if (!sink.from) {
+      throw new Error(`${label} missing from address`);
+    }
+
+    const recipients = sink.recipients || {};
+    if (typeof recipients !== 'object' || Array.isArray(recipients)) {
+      throw new Error(`${label} recipients must map service names to address lists`);
+    }
+    for (const serviceName of Object.keys(recipients)) {
+      if (!this.config.services || !this.config.services[serviceName]) {
+        throw new Error(`${label} recipients references unknown service: ${serviceName}`);
+      }
+    }
+    if (!sink.to && Object.keys(recipients).length === 0) {
+      throw new Error(`${label} requires 'to' or per-service 'recipients'`);
+    }
+
+    if (sink.digest_window !== undefined && !isTimeString(sink.digest_window)) {
+      throw new Error(`${label} digest_window must be a time string (e.g. 30s, 5m)`);
+    }
+
+    for (const name of ['text_template_file', 'html_template_file']) {
+      if (sink[name] && !fs.existsSync(sink[name])) {
+        throw new Error(`${label} ${name} not found: ${sink[name]}`);
+      }
+    }
+  }
+
+  /**
+   * Validate `*_env` and `*_file` secret sources of a notification sink
+   * @param {string} label - Sink label for error messages
+   * @param {Object} source - Config block holding the secrets
+   * @param {Array<string>} keys - Secret names
+   */
+  validateSinkSecrets(label, source, keys) {
+    for (const key of keys) {
+      const envName = source[`${key}_env`];
+      if (envName && process.env[envName] === undefined) {
+        throw new Error(`${label} environment variable ${envName} is not set`);
+      }
+      const filePath = source[`${key}_file`];
+      if (filePath && !fs.existsSync(filePath)) {
+        throw new Error(`${label} secret file not found: ${filePath}`);
+      }
+    }
+  }
+
+  /**
+   * Replace a `rest_page: true` target with the rest page server upstream
+   * NPM reaches the server through `rest_page.advertise_host`, or the bind
+   * address when it is not a wildcard.
+   * @param {string} scope - Service name or 'global'
+   * @param {Object} [target] - Upstream target from the configuration
+   * @returns {Object} Resolved target (unchanged if it is not a rest page target)
+   */
+  resolveRestPageTarget(scope, target) {
+    if (!target || target.rest_page !== true) {
+      return target;
+    }
+
+    const restPage = this.config.rest_page || {};
+    if (!restPage.enabled) {
+      throw new Error(`'${scope}' uses rest_page as a target but rest_page is not enabled`);
+    }
+
+    const bindHost = restPage.host && restPage.host !== '0.0.0.0' ? restPage.host : '127.0.0.1';
+
+    return {
+      ...target,
+      host: restPage.advertise_host || bindHost,
+      port: restPage.port,
+      scheme: 'http',
+    };
+  }
+
+  /**
+   * Validate all_down_policy and maintenance_target of a service or the global config
+   * @param {string} scope - Service name or 'global'
+   * @param {Object} source - Service or global configuration
+   */
+  validateAllDownPolicy(scope, source) {
+    const policies = ['stay_primary', 'fallback', 'maintenance'];
+
+    if (source.all_down_policy !== undefined && !policies.includes(source.all_down_policy)) {
+      throw new Error(`'${scope}' all_down_policy must be one of ${policies.join(', ')}`);
+    }
+
+    if (source.maintenance_target !== undefined) {
+      const target = source.maintenance_target;
+      if (!target || !target.host || !target.port) {
+        throw new Error(`'${scope}' maintenance_target missing host or port`);
+      }
+      if (target.scheme && !['http', 'https'].includes(target.scheme)) {
+        throw new Error(`'${scope}' maintenance_target scheme must be 'http' or 'https'`);
+      }
+    }
+  }
+
+  /**
+   * Validate the maintenance windows of a service or the global config
+   * A window needs either `cron` + `duration` or `start` + `end`.
+   * @param {string} scope - Service name or 'global'
+   * @param {MaintenanceWindow|Array<MaintenanceWindow>} windows - Window or list of windows
+   * @param {ServiceConfig} [service] - Service configuration (service windows only)
+   */
+  validateMaintenanceWindows(scope, windows, service = null) {
+    if (windows === undefined) {
+      return;
+    }
+
+    [].concat(windows).forEach((window, index) => {
+      const label = `'${scope}' maintenance[${index}]`;
+
+      if (!window || typeof window !== 'object') {
+        throw new Error(`${label} must be an object`);
+      }
+
+      if (window.cron !== undefined) {
+        if (typeof window.cron !== 'string' || !isCronExpression(window.cron)) {
+          throw new Error(`${label} cron is not a valid cron expression`);
+        }
+        if (!isTimeString(window.duration)) {
+          throw new Error(`${label} needs a duration time string (e.g. 2h) with cron`);
+        }
+        if (window.start !== undefined || window.end !== undefined) {
+          throw new Error(`${label} must use either cron or start/end, not both`);
+        }
+        if (window.timezone !== undefined) {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: window.timezone });
+          } catch {
+            throw new Error(`${label} timezone '${window.timezone}' is not a valid timezone`);
+          }
+        }
+      } else {
+        const start = new Date(window.start).getTime();
+        const end = new Date(window.end).getTime();
+        if (window.start === undefined || window.end === undefined || isNaN(start) || isNaN(end)) {
+          throw new Error(`${label} needs cron and duration, or start and end dates`);
+        }
+        if (end <= start) {
+          throw new Error(`${label} end must be after start`);
+        }
+      }
+
+      if (window.target !== undefined && !['fallback', 'maintenance'].includes(window.target)) {
+        throw new Error(`${label} target must be 'fallback' or 'maintenance'`);
+      }
+
+      if (window.checks !== undefined && !['suspend', 'silent'].includes(window.checks)) {
+        throw new Error(`${label} checks must be 'suspend' or 'silent'`);
+      }
+
+      if (window.services !== undefined) {
+        if (service) {
+          throw new Error(`${label} services is only allowed in global maintenance windows`);
+        }
+        if (!Array.isArray(window.services)) {
+          throw new Error(`${label} services must be a list of service names`);
+        }
+        for (const name of window.services) {
+          if (!this.config.services[name]) {
+            throw new Error(`${label} references unknown service '${name}'`);
+          }
+        }
+      }
+
+      if (window.target === 'maintenance') {
+        const covered = service
+          ? [service]
+          : (window.services || Object.keys(this.config.services)).map(
+              name => this.config.services[name]
+            );
+        if (covered.some(s => !s.maintenance_target && !this.config.maintenance_target)) {
+          throw new Error(`${label} target 'maintenance' requires a maintenance_target`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Validate service health check definition
+   * Accepts a URL string (HTTP check) or an object with a `type`.
+   * @param {string} serviceName - Name of the service
+   * @param {string|HealthCheckConfig} check - Health check definition
+   */
+  validateCheck(serviceName, check) {
+    if (typeof check === 'string') {
+      return;
+    }
+
+    if (typeof check !== 'object' || check === null) {
+      throw new Error(`Service '${serviceName}' check must be a URL or an object`);
+    }
+
+    const type = check.type || 'http';
+
+    if (!['http', 'tcp'].includes(type)) {
+      throw new Error(`Service '${serviceName}' check type must be 'http' or 'tcp'`);
+    }
+
+    if (type === 'http' && !check.url) {
+      throw new Error(`Service '${serviceName}' http check missing url`);
+    }
+
+    if (type === 'tcp') {
+      if (!check.host || !check.port) {
+        throw new Error(`Service '${serviceName}' tcp check missing host or port`);
+      }
+
+      if (!Number.isInteger(check.port) || check.port < 1 || check.port > 65535) {
+        throw new Error(`Service '${serviceName}' tcp check port must be between 1 and 65535`);
+      }
+    }
+
+    if (check.timeout !== undefined && !isTimeString(check.timeout)) {
+      throw new Error(`Service '${serviceName}' check timeout must be a time string like '5s'`);
+    }
+
+    if (type === 'http') {
+      this.validateHttpOptions(serviceName, check);
+    }
+
+    if (check.assert !== undefined) {
+      if (type !== 'http') {
+        throw new Error(`Service '${serviceName}' check assert is only supported for http checks`);
+      }
+      this.validateAssertions(serviceName, check.assert);
+    }
+  }
+
+  /**
+   * Validate request options of an HTTP health check
+   * @param {string} serviceName - Name of the service
+   * @param {HealthCheckConfig} check - HTTP check definition
+   */
+  validateHttpOptions(serviceName, check) {
+    const methods = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+    if (check.method !== undefined && !methods.includes(String(check.method).toUpperCase())) {
+      throw new Error(`Service '${serviceName}' check method must be one of ${methods.join(', ')}`);
+    }
+
+    if (
+      check.headers !== undefined &&
+      (typeof check.headers !== 'object' || check.headers === null)
+    ) {
+      throw new Error(`Service '${serviceName}' check headers must be an object`);
+    }
+
+    if (check.auth !== undefined) {
+      const { auth } = check;
+      if (typeof auth !== 'object' || auth === null) {
+        throw new Error(`Service '${serviceName}' check auth must be an object`);
+      }
+      if (!['basic', 'bearer'].includes(auth.type)) {
+        throw new Error(`Service '${serviceName}' check auth type must be 'basic' or 'bearer'`);
+      }
+      if (auth.type === 'bearer' && !hasSecret(auth, 'token')) {
+        throw new Error(
+          `Service '${serviceName}' bearer auth requires token, token_env or token_file`
+        );
+      }
+      if (auth.type === 'basic' && !hasSecret(auth, 'username')) {
+        throw new Error(
+          `Service '${serviceName}' basic auth requires username, username_env or username_file`
+        );
+      }
+      this.validateSecretSources(serviceName, auth);
+    }
+
+    if (check.tls !== undefined) {
+      const { tls } = check;
+      if (typeof tls !== 'object' || tls === null) {
+        throw new Error(`Service '${serviceName}' check tls must be an object`);
+      }
+      if (tls.verify !== undefined && typeof tls.verify !== 'boolean') {
+        throw new Error(`Service '${serviceName}' check tls verify must be a boolean`);
+      }
+      if (Boolean(tls.cert_file) !== Boolean(tls.key_file)) {
+        throw new Error(`Service '${serviceName}' check tls requires both cert_file and key_file`);
+      }
+      for (const field of ['ca_file', 'cert_file', 'key_file']) {
+        if (tls[field] && !fs.existsSync(tls[field])) {
+          throw new Error(`Service '${serviceName}' check tls ${field} not found: ${tls[field]}`);
+        }
+      }
+      this.validateSecretSources(serviceName, tls);
+    }
+  }
+
+  /**
+   * Validate that secrets referenced through `*_env` and `*_file` are available
+   * @param {string} serviceName - Name of the service
+   * @param {Object} source - Config block holding secrets
+   */
+  validateSecretSources(serviceName, source) {
+    for (const [field, value] of Object.entries(source)) {
+      if (field.endsWith('_env') && process.env[value] === undefined) {
+        throw new Error(`Service '${serviceName}' environment variable ${value} is not set`);
+      }
+      if (field.endsWith('_file') && !['ca_file', 'cert_file', 'key_file'].includes(field)) {
+        if (!fs.existsSync(value)) {
+          throw new Error(`Service '${serviceName}' secret file not found: ${value}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate HTTP response assertions of a health check
+   * @param {string} serviceName - Name of the service
+   * @param {ResponseAssertions} assertions - Response assertions
+   */
+  validateAssertions(serviceName, assertions) {
+    if (typeof assertions !== 'object' || assertions === null) {
+      throw new Error(`Service '${serviceName}' check assert must be an object`);
+    }
+
+    if (assertions.status !== undefined) {
+      const rules = Array.isArray(assertions.status) ? assertions.status : [assertions.status];
+      for (const rule of rules) {
+        if (!/^\d{3}(-\d{3})?$/.test(String(rule))) {
+          throw new Error(
+            `Service '${serviceName}' assert status must be a code (200) or range ('200-299')`
+          );
+        }
+      }
+    }
+
+    if (assertions.body_regex !== undefined) {
+      try {
+        new RegExp(assertions.body_regex);
+      } catch (error) {
+        throw new Error(`Service '${serviceName}' assert body_regex is invalid: ${error.message}`);
+      }
+    }
+
+    if (assertions.json !== undefined) {
+      if (typeof assertions.json !== 'object' || assertions.json === null) {
+        throw new Error(`Service '${serviceName}' assert json must map JSON paths to values`);
+      }
+      // Parsed the way checks parse them, so a bad path fails here instead of on every check
+      for (const jsonPath of Object.keys(assertions.json)) {
+        try {
+          parseJsonPath(jsonPath);
+        } catch (error) {
+          throw new Error(`Service '${serviceName}' assert json: ${error.message}`);
+        }
+      }
+    }
+
+    if (assertions.headers !== undefined) {
+      if (typeof assertions.headers !== 'object' || assertions.headers === null) {
+        throw new Error(`Service '${serviceName}' assert headers must be an object`);
+      }
+    }
+  }
+
   /**
    * Get configuration
    * @returns {AppConfig} Application configuration
@@ -163,8 +957,16 @@ class ConfigLoader {
    * @returns {AppConfig} Updated configuration
    */
   reload() {
-    this.config = null;
-    return this.load();
+    const previous = this.config;
+
+    try {
+      this.config = null;
+      return this.load();
+    } catch (error) {
+      // Keep the last valid configuration
+      this.config = previous;
+      throw error;
+    }
   }
 }
 
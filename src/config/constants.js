@@ -0,0 +1,33 @@
+/**
+ * Values the configuration accepts for enumerated options
+ *
+ * Kept in the config layer so ConfigLoader can validate them without loading
+ * the services; the services import them from here.
+ */
+
+// drift.policy and per-service drift_policy
+const DRIFT_POLICIES = ['alert', 'adopt', 'revert'];
+
+// notifications.sinks[].type
+const SINK_TYPES = ['webhook', 'slack', 'mattermost', 'discord', 'telegram', 'email'];
+
+// notifications.sinks[].events
+const NOTIFICATION_EVENTS = [
+  'failover',
+  'failback',
+  'tier-change',
+  'switch-failed',
+  'all-down',
+  'check-failed',
+  'check-recovered',
+  'nginx-reload-failed',
+  'maintenance-start',
+  'maintenance-end',
+  'drift-detected',
+];
+
+module.exports = {
+  DRIFT_POLICIES,
+  SINK_TYPES,
+  NOTIFICATION_EVENTS,
+};
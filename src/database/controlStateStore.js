@@ -0,0 +1,70 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_STATE_FILE = './data/control.json';
+
+/**
+ * JSON file keeping control channel state (pins and pause) across restarts
+ */
+class ControlStateStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.file = config.control?.state_file || DEFAULT_STATE_FILE;
+    this.saving = Promise.resolve(); // Tail of the save queue
+  }
+
+  /**
+   * Load the saved state
+   * @returns {Promise<{paused: boolean, pins: Object.<string, ServicePin>}>} Saved state (empty if none)
+   */
+  async load() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      return { paused: Boolean(state.paused), pins: state.pins || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(
+          `Could not read control state ${this.file}: ${error.message}`,
+          'service-manager'
+        );
+      }
+      return { paused: false, pins: {} };
+    }
+  }
+
+  /**
+   * Save the state atomically (write a temp file, then rename)
+   * Saves run one at a time in call order, so the file always ends up with the
+   * state of the last call even when callers do not await.
+   * @param {{paused: boolean, pins: Object.<string, ServicePin>}} state - State to save
+   * @returns {Promise<void>}
+   */
+  save(state) {
+    const content = JSON.stringify(state, null, 2);
+    const run = this.saving.then(() => this.write(content));
+
+    this.saving = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write the state file through a uniquely named temp file
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  async write(content) {
+    const tempFile = `${this.file}.tmp-${process.pid}-${Date.now()}`;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    try {
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, this.file);
+    } catch (error) {
+      await fs.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+}
+
+module.exports = ControlStateStore;
@@ -2,6 +2,27 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
+// proxy_host columns captured in snapshots: everything NPM needs to regenerate the host
+const SNAPSHOT_FIELDS = [
+  'domain_names',
+  'forward_host',
+  'forward_port',
+  'forward_scheme',
+  'enabled',
+  'access_list_id',
+  'certificate_id',
+  'ssl_forced',
+  'http2_support',
+  'hsts_enabled',
+  'hsts_subdomains',
+  'caching_enabled',
+  'block_exploits',
+  'allow_websocket_upgrade',
+  'advanced_config',
+  'locations',
+  'meta',
+];
+
 /**
  * Database manager for SQLite operations
  */
@@ -80,6 +101,7 @@ class DatabaseManager {
    * Backup initial proxy_host data
    * @param {string} serviceName - Name of the service being initialized
    * @param {Object} proxyHost - Proxy host data to backup
+   * @returns {Promise<string|null>} Backup file name, or null if the backup failed
    */
   async backupInitialProxyHost(serviceName, proxyHost) {
     try {
@@ -111,6 +133,7 @@ class DatabaseManager {
         filename,
         proxyHostId: proxyHost.id,
       });
+      return filename;
     } catch (error) {
       this.logger.error(
         `Failed to backup initial proxy_host for ${serviceName}: ${error.message}`,
@@ -120,6 +143,7 @@ class DatabaseManager {
           proxyHostId: proxyHost.id,
         }
       );
+      return null;
     }
   }
 
@@ -159,6 +183,88 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Find proxy host by ID
+   * @param {number} id - Proxy host ID
+   * @returns {Promise<ProxyHost|null>} Proxy host record or null if not found
+   */
+  async findProxyHostById(id) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT id, domain_names, forward_host, forward_port, forward_scheme, enabled
+        FROM proxy_host
+        WHERE id = ? AND is_deleted = 0
+      `;
+
+      this.db.get(query, [id], (err, row) => {
+        if (err) {
+          this.logger.error(`Database query failed: ${err.message}`, 'database', { id });
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the snapshot columns of a proxy host
+   * @param {number} id - Proxy host ID
+   * @returns {Promise<Object|null>} Proxy host id and SNAPSHOT_FIELDS, or null if not found
+   */
+  async getProxyHostDetails(id) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT id, ${SNAPSHOT_FIELDS.join(', ')}
+        FROM proxy_host
+        WHERE id = ? AND is_deleted = 0
+      `;
+
+      this.db.get(query, [id], (err, row) => {
+        if (err) {
+          this.logger.error(`Database query failed: ${err.message}`, 'database', { id });
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Write captured snapshot columns back to a proxy host
+   * @param {number} id - Proxy host ID
+   * @param {Object} fields - Column values (keys outside SNAPSHOT_FIELDS are ignored)
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateProxyHostFields(id, fields) {
+    const { logger } = this;
+    const columns = SNAPSHOT_FIELDS.filter(column => fields[column] !== undefined);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE proxy_host
+        SET ${columns.map(column => `${column} = ?`).join(', ')}, modified_on = datetime('now')
+        WHERE id = ?
+      `;
+      const params = [...columns.map(column => fields[column]), id];
+
+      // Regular function so sqlite3 can bind `this.changes`
+      this.db.run(query, params, function (err) {
+        if (err) {
+          logger.error(`Failed to update proxy host: ${err.message}`, 'database', { id });
+          reject(err);
+        } else if (this.changes === 0) {
+          logger.warn(`No rows updated for proxy host ID: ${id}`, 'database');
+          resolve(false);
+        } else {
+          logger.info(`Restored ${columns.length} fields of proxy host ID ${id}`, 'database');
+          resolve(true);
+        }
+      });
+    });
+  }
+
   /**
    * Update proxy host forward settings
    * @param {number} id - Proxy host ID
@@ -168,6 +274,8 @@ class DatabaseManager {
    * @returns {Promise<boolean>} Success status
    */
   async updateProxyHost(id, newHost, newPort, newScheme = null) {
+    const { logger } = this;
+
     return new Promise((resolve, reject) => {
       let query, params;
 
@@ -187,9 +295,10 @@ class DatabaseManager {
         params = [newHost, newPort, id];
       }
 
-      this.db.run(query, params, err => {
+      // Regular function so sqlite3 can bind `this.changes`
+      this.db.run(query, params, function (err) {
         if (err) {
-          this.logger.error(`Failed to update proxy host: ${err.message}`, 'database', {
+          logger.error(`Failed to update proxy host: ${err.message}`, 'database', {
             id,
             newHost,
             newPort,
@@ -197,11 +306,11 @@ class DatabaseManager {
           });
           reject(err);
         } else if (this.changes === 0) {
-          this.logger.warn(`No rows updated for proxy host ID: ${id}`, 'database');
+          logger.warn(`No rows updated for proxy host ID: ${id}`, 'database');
           resolve(false);
         } else {
           const schemeInfo = newScheme ? ` (scheme: ${newScheme})` : '';
-          this.logger.info(
+          logger.info(
             `Updated proxy host ID ${id}: ${newHost}:${newPort}${schemeInfo}`,
             'database'
           );
@@ -235,6 +344,28 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Describe the NPM schema, for checking that a snapshot fits this database
+   * @returns {Promise<{proxy_host_columns: Array<string>, migration: string|null}>} proxy_host columns and the latest applied NPM (knex) migration
+   */
+  async getSchemaInfo() {
+    const query = (sql, params = []) =>
+      new Promise((resolve, reject) => {
+        this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      });
+
+    const columns = await query('PRAGMA table_info(proxy_host)');
+    let migration = null;
+    try {
+      const rows = await query('SELECT name FROM migrations ORDER BY id DESC LIMIT 1');
+      migration = rows[0]?.name || null;
+    } catch {
+      // No migrations table: not created by NPM's knex migrations
+    }
+
+    return { proxy_host_columns: columns.map(column => column.name), migration };
+  }
+
   /**
    * Test database connection
    * @returns {Promise<boolean>} Connection status
@@ -259,4 +390,6 @@ class DatabaseManager {
   }
 }
 
+DatabaseManager.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
 module.exports = DatabaseManager;
@@ -0,0 +1,380 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { parseTimeToMs, isTimeString } = require('../utils/time');
+
+const DEFAULTS = {
+  file: './data/history.sqlite',
+  check_bucket: '1m',
+  retention: {
+    checks: '7d',
+    switches: '90d',
+    actions: '365d',
+  },
+};
+
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_LIMIT = 100;
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS switches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    service TEXT NOT NULL,
+    proxy_id INTEGER,
+    reason TEXT NOT NULL,
+    from_target TEXT,
+    to_target TEXT,
+    outcome TEXT NOT NULL,
+    failed_step TEXT,
+    error TEXT,
+    nginx_test TEXT,
+    nginx_reload TEXT,
+    duration_ms INTEGER,
+    steps TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_switches_service ON switches (service, timestamp)',
+  `CREATE TABLE IF NOT EXISTS check_buckets (
+    service TEXT NOT NULL,
+    target TEXT NOT NULL,
+    bucket_start TEXT NOT NULL,
+    checks INTEGER NOT NULL DEFAULT 0,
+    failures INTEGER NOT NULL DEFAULT 0,
+    total_response_ms INTEGER NOT NULL DEFAULT 0,
+    max_response_ms INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    PRIMARY KEY (service, target, bucket_start)
+  )`,
+  `CREATE TABLE IF NOT EXISTS actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    action TEXT NOT NULL,
+    service TEXT,
+    actor TEXT,
+    details TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_actions_time ON actions (timestamp)',
+];
+
+/**
+ * Switcher-owned SQLite database for audit history
+ *
+ * Kept separate from NPM's database. Stores switch transactions, manual
+ * actions and health check results aggregated per time bucket. Writes never
+ * throw: a history failure is logged and must not affect monitoring. Only
+ * connect() throws; the daemon then runs without history.
+ */
+class HistoryStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.options = {
+      ...DEFAULTS,
+      ...(config.history || {}),
+      retention: { ...DEFAULTS.retention, ...(config.history?.retention || {}) },
+    };
+    this.db = null;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Whether history is enabled (on unless `history.enabled` is false)
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return this.options.enabled !== false;
+  }
+
+  /**
+   * Open the history database and create the schema
+   * @throws {Error} If the database cannot be opened; the store then stays disconnected
+   */
+  async connect() {
+    if (!this.isEnabled() || this.db) {
+      return;
+    }
+
+    const dbPath = this.options.file;
+    try {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+      await new Promise((resolve, reject) => {
+        this.db = new sqlite3.Database(dbPath, err => (err ? reject(err) : resolve()));
+      });
+
+      for (const statement of SCHEMA) {
+        await this.run(statement);
+      }
+    } catch (error) {
+      // Without a db every write is skipped
+      this.db?.close(() => {});
+      this.db = null;
+      throw error;
+    }
+
+    this.logger.info(`Connected to history database: ${dbPath}`, 'history');
+  }
+
+  /**
+   * Prune now and then every hour
+   */
+  startRetention() {
+    if (!this.db || this.pruneTimer) {
+      return;
+    }
+
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Close the history database
+   */
+  async close() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+
+    if (!this.db) {
+      return;
+    }
+
+    await new Promise(resolve => this.db.close(() => resolve()));
+    this.db = null;
+  }
+
+  /**
+   * Add a health check result to its aggregation bucket
+   * @param {string} serviceName - Service name
+   * @param {string} target - 'primary' or 'tier-<n>'
+   * @param {HealthCheckResult} result - Check result
+   * @returns {Promise<void>}
+   */
+  async recordCheck(serviceName, target, result) {
+    const bucketMs = parseTimeToMs(this.options.check_bucket);
+    const bucketStart = new Date(Math.floor(Date.now() / bucketMs) * bucketMs).toISOString();
+    const responseTime = Math.round(result.responseTime || 0);
+
+    await this.write(
+      `INSERT INTO check_buckets
+        (service, target, bucket_start, checks, failures, total_response_ms, max_response_ms, last_error)
+       VALUES (?, ?, ?, 1, ?, ?, ?, ?)
+       ON CONFLICT (service, target, bucket_start) DO UPDATE SET
+        checks = checks + 1,
+        failures = failures + excluded.failures,
+        total_response_ms = total_response_ms + excluded.total_response_ms,
+        max_response_ms = MAX(max_response_ms, excluded.max_response_ms),
+        last_error = COALESCE(excluded.last_error, last_error)`,
+      [
+        serviceName,
+        target,
+        bucketStart,
+        result.success ? 0 : 1,
+        responseTime,
+        responseTime,
+        result.success ? null : result.error || 'Unknown error',
+      ]
+    );
+  }
+
+  /**
+   * Record a switch transaction
+   * @param {Object} event - Switch event from ServiceManager.updateServiceConfiguration
+   * @returns {Promise<void>}
+   */
+  async recordSwitch(event) {
+    await this.write(
+      `INSERT INTO switches
+        (timestamp, service, proxy_id, reason, from_target, to_target, outcome, failed_step,
+         error, nginx_test, nginx_reload, duration_ms, steps)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        new Date().toISOString(),
+        event.service,
+        event.proxyId,
+        event.reason,
+        event.from,
+        event.to,
+        event.outcome,
+        event.failedStep,
+        event.error,
+        event.steps.test_config || null,
+        event.steps.reload || null,
+        event.durationMs,
+        JSON.stringify(event.steps),
+      ]
+    );
+  }
+
+  /**
+   * Record a manual action (CLI, API or control channel)
+   * @param {string} action - Action name (e.g. 'snapshot.delete')
+   * @param {Object} [options] - Action details
+   * @param {string} [options.service] - Affected service
+   * @param {string} [options.actor] - Who triggered the action (e.g. 'cli')
+   * @param {Object} [options.details] - Extra details stored as JSON
+   * @returns {Promise<void>}
+   */
+  async recordAction(action, { service = null, actor = null, details = null } = {}) {
+    await this.write(
+      'INSERT INTO actions (timestamp, action, service, actor, details) VALUES (?, ?, ?, ?, ?)',
+      [new Date().toISOString(), action, service, actor, details ? JSON.stringify(details) : null]
+    );
+  }
+
+  /**
+   * Query switch history, newest first
+   * @param {HistoryQuery} [query] - Filters
+   * @returns {Promise<Array<Object>>} Switch records
+   */
+  async getSwitches(query = {}) {
+    const rows = await this.select('switches', 'timestamp', query);
+    return rows.map(row => ({ ...row, steps: row.steps ? JSON.parse(row.steps) : {} }));
+  }
+
+  /**
+   * Query aggregated check results, newest bucket first
+   * @param {HistoryQuery} [query] - Filters (`target` narrows to 'primary' or a tier)
+   * @returns {Promise<Array<Object>>} Check buckets with average response time
+   */
+  async getCheckStats(query = {}) {
+    const rows = await this.select('check_buckets', 'bucket_start', query);
+    return rows.map(row => ({
+      ...row,
+      avg_response_ms: row.checks ? Math.round(row.total_response_ms / row.checks) : null,
+    }));
+  }
+
+  /**
+   * Query manual actions, newest first
+   * @param {HistoryQuery} [query] - Filters
+   * @returns {Promise<Array<Object>>} Action records
+   */
+  async getActions(query = {}) {
+    const rows = await this.select('actions', 'timestamp', query);
+    return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+  }
+
+  /**
+   * Delete records older than the retention settings
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const { retention } = this.options;
+
+    await this.write('DELETE FROM check_buckets WHERE bucket_start < ?', [
+      this.cutoff(retention.checks),
+    ]);
+    await this.write('DELETE FROM switches WHERE timestamp < ?', [this.cutoff(retention.switches)]);
+    await this.write('DELETE FROM actions WHERE timestamp < ?', [this.cutoff(retention.actions)]);
+  }
+
+  /**
+   * Get the ISO timestamp before which records are pruned
+   * @param {string} retention - Retention time string
+   * @returns {string} ISO timestamp
+   */
+  cutoff(retention) {
+    return new Date(Date.now() - parseTimeToMs(retention)).toISOString();
+  }
+
+  /**
+   * Run a filtered, newest-first query on a history table
+   * @param {string} table - Table name
+   * @param {string} timeColumn - Column holding the record time
+   * @param {HistoryQuery} query - Filters
+   * @returns {Promise<Array<Object>>} Rows (empty when history is disabled)
+   */
+  async select(table, timeColumn, query) {
+    if (!this.db) {
+      return [];
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (query.service) {
+      conditions.push('service = ?');
+      params.push(query.service);
+    }
+    if (query.target && table === 'check_buckets') {
+      conditions.push('target = ?');
+      params.push(query.target);
+    }
+    if (query.since) {
+      conditions.push(`${timeColumn} >= ?`);
+      params.push(this.parseSince(query.since));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.max(1, Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, 10000));
+
+    return this.all(
+      `SELECT * FROM ${table} ${where} ORDER BY ${timeColumn} DESC LIMIT ${limit}`,
+      params
+    );
+  }
+
+  /**
+   * Parse a `since` filter
+   * @param {string|Date} since - Time string relative to now (e.g. '24h') or a date
+   * @returns {string} ISO timestamp
+   */
+  parseSince(since) {
+    if (isTimeString(since)) {
+      return this.cutoff(since);
+    }
+
+    const date = new Date(since);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid since value: ${since}`);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Run a write statement, logging instead of throwing on failure
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<void>}
+   */
+  async write(sql, params) {
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      await this.run(sql, params);
+    } catch (error) {
+      this.logger.warn(`History write failed: ${error.message}`, 'history');
+    }
+  }
+
+  /**
+   * Promisified db.run
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Statement parameters
+   * @returns {Promise<void>}
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * Promisified db.all
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+}
+
+module.exports = HistoryStore;
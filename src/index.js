@@ -1,8 +1,13 @@
 #!/usr/bin/env node
 
 const ConfigLoader = require('./config/configLoader');
+const ConfigReloader = require('./services/configReloader');
+const ControlServer = require('./services/controlServer');
 const Logger = require('./utils/logger');
+const ProcessLock = require('./utils/processLock');
 const ServiceManager = require('./services/serviceManager');
+const RestPageServer = require('./services/restPageServer');
+const StatusApiServer = require('./services/statusApiServer');
 
 /**
  * Parse command line arguments
@@ -17,8 +22,27 @@ function parseArguments() {
     snapshot_number: null,
     force_snapshot: false,
     list_snapshots: false,
+    verify_snapshots: false,
     create_snapshot: false,
+    description: null,
+    label: null,
     delete_snapshot: null,
+    restore_snapshot: null,
+    dry_run: false,
+    allow_imported: false,
+    diff_snapshot: null,
+    json: false,
+    export_snapshot: null,
+    import_snapshot: null,
+    list_backups: false,
+    list_backups_service: null,
+    restore_backup: null,
+    list_conf_backups: null,
+    restore_conf_backup: null,
+    history: false,
+    history_service: null,
+    control: null,
+    healthcheck: false,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -66,9 +90,22 @@ function parseArguments() {
       case '--list-snapshots':
         options.list_snapshots = true;
         break;
+      case '--verify-snapshots':
+        options.verify_snapshots = true;
+        break;
       case '--create-snapshot':
         options.create_snapshot = true;
         break;
+      case '--description':
+      case '--label':
+        if (i + 1 < args.length) {
+          options[arg.slice(2)] = args[i + 1];
+          i++; // Skip next argument as it's the value
+        } else {
+          console.error(`Error: ${arg} requires a value`);
+          process.exit(1);
+        }
+        break;
       case '--delete-snapshot':
         if (i + 1 < args.length) {
           const snapshotNum = parseInt(args[i + 1], 10);
@@ -83,6 +120,152 @@ function parseArguments() {
           process.exit(1);
         }
         break;
+      case '--restore-snapshot':
+        if (i + 1 < args.length) {
+          const snapshotNum = parseInt(args[i + 1], 10);
+          if (isNaN(snapshotNum) || snapshotNum < 1) {
+            console.error('Error: --restore-snapshot requires a positive number');
+            process.exit(1);
+          }
+          options.restore_snapshot = snapshotNum;
+          i++; // Skip next argument as it's the value
+        } else {
+          console.error('Error: --restore-snapshot requires a snapshot number');
+          process.exit(1);
+        }
+        break;
+      case '--dry-run':
+        options.dry_run = true;
+        break;
+      case '--allow-imported':
+        options.allow_imported = true;
+        break;
+      case '--diff-snapshot': {
+        const from = parseInt(args[i + 1], 10);
+        if (isNaN(from) || from < 1) {
+          console.error('Error: --diff-snapshot requires a snapshot number');
+          process.exit(1);
+        }
+        options.diff_snapshot = { from, to: 'live' };
+        i++; // Skip next argument as it's the value
+
+        // Optional second snapshot number, or 'live' (default)
+        if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+          const to = args[i + 1] === 'live' ? 'live' : parseInt(args[i + 1], 10);
+          if (to !== 'live' && (isNaN(to) || to < 1)) {
+            console.error('Error: --diff-snapshot compares with a snapshot number or live');
+            process.exit(1);
+          }
+          options.diff_snapshot.to = to;
+          i++; // Skip next argument as it's the value
+        }
+        break;
+      }
+      case '--json':
+        options.json = true;
+        break;
+      case '--export-snapshot': {
+        const snapshotNum = parseInt(args[i + 1], 10);
+        if (isNaN(snapshotNum) || snapshotNum < 1 || i + 2 >= args.length) {
+          console.error('Error: --export-snapshot requires a snapshot number and an archive file');
+          process.exit(1);
+        }
+        options.export_snapshot = { number: snapshotNum, file: args[i + 2] };
+        i += 2; // Skip snapshot number and file
+        break;
+      }
+      case '--import-snapshot':
+        if (i + 1 < args.length) {
+          options.import_snapshot = args[i + 1];
+          i++; // Skip next argument as it's the archive file
+        } else {
+          console.error('Error: --import-snapshot requires an archive file');
+          process.exit(1);
+        }
+        break;
+      case '--list-backups':
+        options.list_backups = true;
+        if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+          options.list_backups_service = args[i + 1];
+          i++; // Skip next argument as it's the service name
+        }
+        break;
+      case '--restore-backup':
+        if (i + 1 < args.length) {
+          options.restore_backup = args[i + 1];
+          i++; // Skip next argument as it's the backup file
+        } else {
+          console.error('Error: --restore-backup requires a backup file name');
+          process.exit(1);
+        }
+        break;
+      case '--list-conf-backups':
+        if (i + 1 < args.length) {
+          options.list_conf_backups = args[i + 1];
+          i++; // Skip next argument as it's the service name
+        } else {
+          console.error('Error: --list-conf-backups requires a service name');
+          process.exit(1);
+        }
+        break;
+      case '--restore-conf-backup':
+        if (i + 2 < args.length) {
+          options.restore_conf_backup = { service: args[i + 1], file: args[i + 2] };
+          i += 2; // Skip service and file
+        } else {
+          console.error('Error: --restore-conf-backup requires a service and a backup file name');
+          process.exit(1);
+        }
+        break;
+      case '--history':
+        options.history = true;
+        if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+          options.history_service = args[i + 1];
+          i++; // Skip next argument as it's the service name
+        }
+        break;
+      case '--pin':
+        if (i + 2 < args.length) {
+          options.control = {
+            ...options.control,
+            command: 'pin',
+            service: args[i + 1],
+            target: args[i + 2],
+          };
+          i += 2; // Skip service and target
+        } else {
+          console.error(
+            'Error: --pin requires a service and a target (primary, fallback or host:port)'
+          );
+          process.exit(1);
+        }
+        break;
+      case '--expires':
+        if (i + 1 < args.length && /^\d+[smhd]$/.test(args[i + 1])) {
+          options.control = { ...options.control, expires: args[i + 1] };
+          i++; // Skip next argument as it's the value
+        } else {
+          console.error('Error: --expires requires a time like 30m or 2h');
+          process.exit(1);
+        }
+        break;
+      case '--unpin':
+        if (i + 1 < args.length) {
+          options.control = { ...options.control, command: 'unpin', service: args[i + 1] };
+          i++; // Skip next argument as it's the service name
+        } else {
+          console.error('Error: --unpin requires a service name');
+          process.exit(1);
+        }
+        break;
+      case '--pause':
+      case '--resume':
+      case '--status':
+        options.control = { ...options.control, command: arg.slice(2) };
+        break;
+      case '--healthcheck':
+        options.healthcheck = true;
+        break;
       default:
         if (arg.startsWith('-')) {
           console.error(`Error: Unknown option ${arg}`);
@@ -110,8 +293,30 @@ Options:
   -s, --snapshot <number>    Use specific snapshot number
   -f, --force-snapshot       Force creation of new snapshot from current state
   -l, --list-snapshots      List all available snapshots
+  --verify-snapshots        Check snapshot checksums and report corrupt files
   --create-snapshot         Create a new snapshot from current state
+  --description <text>      Description of the snapshot (use with --create-snapshot)
+  --label <name>            Short label of the snapshot (use with --create-snapshot)
   --delete-snapshot <num>   Delete a specific snapshot
+  --restore-snapshot <num>  Apply a snapshot to the NPM database and nginx (switcher must be stopped)
+  --dry-run                 Show what a --restore-* command would change without writing
+  --allow-imported          Allow --restore-snapshot of a snapshot imported from another host
+  --diff-snapshot <a> [b]   Compare snapshot a with snapshot b or live (default), exits 1 on differences
+  --json                    Print the --diff-snapshot result as JSON
+  --export-snapshot <n> <file>  Write snapshot n with its conf files and backups to an archive
+  --import-snapshot <file>  Add the snapshot of an archive under the next free number
+  --list-backups [service]  List the proxy_host backups in backup_dir, per service
+  --restore-backup <file>   Apply a proxy_host backup to the NPM database and nginx (switcher must be stopped)
+  --list-conf-backups <service>  List the <id>.conf backups of a service
+  --restore-conf-backup <service> <file>  Put a conf backup back and reload nginx (switcher must be stopped)
+  --history [service]       Show recent switches and manual actions
+  --status                  Show the live status of the running switcher
+  --pin <service> <target>  Pin a service to primary, fallback or host:port
+  --expires <time>          Drop the pin after this time (e.g. 2h, use with --pin)
+  --unpin <service>         Remove a pin and resume health-driven routing
+  --pause                   Pause monitoring (no checks, no switches)
+  --resume                  Resume monitoring
+  --healthcheck             Exit 0 if the switcher runs (status API /healthz, or the lock_file holder)
   -h, --help                Display this help message
   -v, --version             Display version information
 
@@ -122,8 +327,22 @@ Examples:
   node src/index.js --snapshot 3                      # Use snapshot number 3
   node src/index.js --force-snapshot                  # Force create new snapshot
   node src/index.js --list-snapshots                  # List all snapshots
+  node src/index.js --verify-snapshots                # Check snapshot integrity
   node src/index.js --create-snapshot                 # Create new snapshot
+  node src/index.js --create-snapshot --label pre-upgrade --description "Before NPM 2.12"
   node src/index.js --delete-snapshot 2               # Delete snapshot 2
+  node src/index.js --restore-snapshot 2 --dry-run    # Preview restoring snapshot 2
+  node src/index.js --diff-snapshot 2                 # What changed in NPM since snapshot 2
+  node src/index.js --diff-snapshot 2 3 --json        # Differences between snapshots 2 and 3
+  node src/index.js --export-snapshot 3 staging.snapshot.gz   # Archive snapshot 3
+  node src/index.js --import-snapshot staging.snapshot.gz     # Import it on another host
+  node src/index.js --list-backups api                # Backups of service api
+  node src/index.js --restore-backup proxy_host_api_2025-01-20T12-30-45-123Z.json --dry-run
+  node src/index.js --list-conf-backups api           # Conf backups of service api
+  node src/index.js --restore-conf-backup api 1737376245123.conf --dry-run
+  node src/index.js --history api                     # Show switch history of 'api'
+  node src/index.js --pin api fallback --expires 2h   # Keep 'api' on its fallback for 2 hours
+  node src/index.js --unpin api                       # Let health checks route 'api' again
 
 Configuration File:
   The configuration file should be a YAML file containing:
@@ -170,21 +389,77 @@ async function handleSnapshotOperations(options) {
       }
 
       snapshots.forEach(snapshot => {
-        console.log(`  📸 Snapshot ${snapshot.id}:`);
+        console.log(`  📸 Snapshot ${snapshot.id}${snapshot.label ? ` [${snapshot.label}]` : ''}:`);
         console.log(`     Description: ${snapshot.description}`);
         console.log(`     Created: ${new Date(snapshot.timestamp).toLocaleString()}`);
         console.log(`     Services: ${snapshot.servicesCount}`);
+        if (snapshot.importedFrom) {
+          const { id, source } = snapshot.importedFrom;
+          console.log(`     Imported: snapshot ${id} from ${source}`);
+        }
         console.log('');
       });
     }
 
+    if (options.verify_snapshots) {
+      console.log('🔐 Verifying snapshots:');
+      console.log('');
+
+      const results = await snapshotManager.verifySnapshots();
+      if (results.length === 0) {
+        console.log('  No snapshots found.');
+      }
+      results.forEach(result => {
+        const icon = { ok: '✅', unverified: '⚪', corrupt: '❌' }[result.status];
+        const detail = result.error ? `: ${result.error}` : '';
+        const note =
+          result.status === 'unverified' ? ' (no checksum, written by an older version)' : '';
+        console.log(`  ${icon} ${result.file}  ${result.status}${detail}${note}`);
+      });
+
+      if (results.some(result => result.status === 'corrupt')) {
+        process.exitCode = 1;
+      }
+    }
+
     if (options.create_snapshot) {
+      const DatabaseManager = require('./database/databaseManager');
+      const NginxConfigUpdater = require('./services/nginxConfigUpdater');
+
       console.log('📸 Creating snapshot from current database state...');
 
-      // This would need to be implemented to read from database
-      // For now, just show the message
-      console.log('  Note: This feature requires database access to read current state.');
-      console.log('  Use the application normally to create snapshots automatically.');
+      const database = new DatabaseManager(config, logger);
+      await database.connect();
+      let services;
+      try {
+        services = await snapshotManager.captureServices(
+          database,
+          new NginxConfigUpdater(config, logger)
+        );
+      } finally {
+        await database.close();
+      }
+
+      const serviceNames = Object.keys(services);
+      if (serviceNames.length === 0) {
+        throw new Error('No configured service has a proxy host, nothing to snapshot');
+      }
+
+      const snapshotNumber = await snapshotManager.createSnapshot(
+        services,
+        options.description || 'Manual snapshot from CLI',
+        { label: options.label }
+      );
+      await recordCliAction(config, logger, 'snapshot.create', {
+        snapshot: snapshotNumber,
+        label: options.label,
+        services: serviceNames,
+      });
+
+      const label = options.label ? ` (${options.label})` : '';
+      console.log(
+        `✅ Snapshot ${snapshotNumber}${label} created with ${serviceNames.length} service(s).`
+      );
     }
 
     if (options.delete_snapshot !== null) {
@@ -192,6 +467,9 @@ async function handleSnapshotOperations(options) {
 
       const deleted = await snapshotManager.deleteSnapshot(options.delete_snapshot);
       if (deleted) {
+        await recordCliAction(config, logger, 'snapshot.delete', {
+          snapshot: options.delete_snapshot,
+        });
         console.log(`✅ Snapshot ${options.delete_snapshot} deleted successfully.`);
       } else {
         console.log(`❌ Failed to delete snapshot ${options.delete_snapshot}.`);
@@ -199,12 +477,554 @@ async function handleSnapshotOperations(options) {
       }
     }
 
+    if (options.restore_snapshot !== null) {
+      const SnapshotRestorer = require('./services/snapshotRestorer');
+
+      assertSwitcherStopped(config, 'restoring a snapshot');
+
+      const mode = options.dry_run ? ' (dry run)' : '';
+      console.log(`📸 Restoring snapshot ${options.restore_snapshot}${mode}...`);
+
+      const restorer = new SnapshotRestorer(config, logger);
+      const report = await restorer.restore(options.restore_snapshot, {
+        dryRun: options.dry_run,
+        allowImported: options.allow_imported,
+      });
+      printRestoreResults(report, `Snapshot ${report.snapshot.id}`);
+
+      if (!report.dryRun) {
+        await recordCliAction(config, logger, 'snapshot.restore', {
+          snapshot: options.restore_snapshot,
+          results: report.results.map(({ service, status }) => ({ service, status })),
+        });
+      }
+
+      if (!report.success) {
+        process.exit(1);
+      }
+    }
+
+    if (options.export_snapshot) {
+      const SnapshotArchive = require('./services/snapshotArchive');
+      const { number, file } = options.export_snapshot;
+
+      console.log(`📦 Exporting snapshot ${number} to ${file}...`);
+
+      const manifest = await new SnapshotArchive(config, logger).exportSnapshot(number, file);
+      manifest.files.forEach(entry => console.log(`  ${entry.path}`));
+      console.log(`✅ Snapshot ${number} exported (${manifest.files.length} files).`);
+    }
+
+    if (options.import_snapshot) {
+      const SnapshotArchive = require('./services/snapshotArchive');
+
+      assertSwitcherStopped(config, 'importing a snapshot');
+
+      console.log(`📦 Importing snapshot archive ${options.import_snapshot}...`);
+
+      const report = await new SnapshotArchive(config, logger).importSnapshot(
+        options.import_snapshot
+      );
+      const { manifest, backups } = report;
+      await recordCliAction(config, logger, 'snapshot.import', {
+        snapshot: report.snapshotNumber,
+        archive: options.import_snapshot,
+        source: manifest.source,
+        source_snapshot: manifest.snapshot.id,
+        backups: backups.written,
+      });
+
+      report.warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+      backups.written.forEach(file => console.log(`  + backup ${file}`));
+      backups.skipped.forEach(file => console.log(`  = backup ${file} (already present)`));
+      console.log(
+        `✅ Snapshot ${manifest.snapshot.id} from ${manifest.source} ` +
+          `(switcher v${manifest.switcher_version}) imported as snapshot ${report.snapshotNumber}.`
+      );
+    }
   } catch (error) {
     console.error('❌ Snapshot operation failed:', error.message);
     process.exit(1);
   }
 }
 
+/**
+ * Handle backup operations (proxy_host backups and conf backups)
+ * @param {Object} options - Command line options
+ */
+async function handleBackupOperations(options) {
+  const BackupManager = require('./services/backupManager');
+
+  try {
+    const config = new ConfigLoader(options.config).load();
+    const logger = new Logger();
+    const backupManager = new BackupManager(config, logger);
+
+    if (options.list_backups) {
+      const service = options.list_backups_service;
+      console.log(`🗄️ proxy_host backups${service ? ` of ${service}` : ''}:`);
+      console.log('');
+
+      const backups = backupManager.listProxyHostBackups(service);
+      if (backups.length === 0) {
+        console.log('  No backups found.');
+        return;
+      }
+
+      let current = null;
+      backups.forEach(backup => {
+        if (backup.service !== current) {
+          current = backup.service;
+          console.log(`  ${current} (${backup.domain})`);
+        }
+        const created = new Date(backup.timestamp).toLocaleString();
+        const disabled = backup.enabled === 0 ? ' (disabled)' : '';
+        console.log(`    ${backup.file}  ${created}  ${backup.target}${disabled}`);
+      });
+    }
+
+    if (options.restore_backup) {
+      assertSwitcherStopped(config, 'restoring a backup');
+
+      const mode = options.dry_run ? ' (dry run)' : '';
+      console.log(`🗄️ Restoring backup ${options.restore_backup}${mode}...`);
+
+      const report = await backupManager.restoreProxyHostBackup(options.restore_backup, {
+        dryRun: options.dry_run,
+      });
+      printRestoreResults(report, `Backup ${report.backup}`);
+
+      if (!report.dryRun) {
+        const [result] = report.results;
+        await recordCliAction(
+          config,
+          logger,
+          'backup.restore',
+          { backup: report.backup, status: result.status, changes: result.changes },
+          result.service
+        );
+      }
+
+      if (!report.success) {
+        process.exit(1);
+      }
+    }
+
+    if (options.list_conf_backups) {
+      const service = options.list_conf_backups;
+      const { proxyId, dir, backups } = await backupManager.listConfBackups(service);
+      console.log(`🗄️ Conf backups of ${service} (proxy host ${proxyId}, ${dir}):`);
+      console.log('');
+
+      if (backups.length === 0) {
+        console.log('  No backups found.');
+        return;
+      }
+
+      const width = Math.max(...backups.map(backup => backup.file.length));
+      backups.forEach(backup => {
+        const created = backup.createdAt.toLocaleString();
+        const size = `${(backup.size / 1024).toFixed(1)} KB`;
+        const upstream = backup.upstream || 'unreadable';
+        console.log(`  ${backup.file.padEnd(width)}  ${created}  ${size}  ${upstream}`);
+      });
+    }
+
+    if (options.restore_conf_backup) {
+      const { service, file } = options.restore_conf_backup;
+      assertSwitcherStopped(config, 'restoring a conf backup');
+
+      const mode = options.dry_run ? ' (dry run)' : '';
+      console.log(`🗄️ Restoring conf backup ${file} of ${service}${mode}...`);
+      console.log('');
+
+      const report = await backupManager.restoreConfBackup(service, file, {
+        dryRun: options.dry_run,
+      });
+      printConfRestore(report);
+
+      if (!report.dryRun && report.status !== 'unchanged') {
+        await recordCliAction(
+          config,
+          logger,
+          'conf-backup.restore',
+          {
+            backup: file,
+            proxyId: report.proxyId,
+            from: report.from,
+            to: report.to,
+            status: report.status,
+          },
+          service
+        );
+      }
+
+      if (!report.success) {
+        process.exit(1);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Backup operation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the result of a conf backup restore
+ * @param {Object} report - Report from BackupManager.restoreConfBackup
+ */
+function printConfRestore(report) {
+  const name = `Conf backup ${report.backup} of ${report.service}`;
+
+  if (report.status === 'unchanged') {
+    console.log(`  ${report.proxyId}.conf already matches the backup.`);
+    return;
+  }
+
+  console.log(`  upstream: ${report.from} → ${report.to}`);
+  report.lines.removed.forEach(line => console.log(`  - ${line}`));
+  report.lines.added.forEach(line => console.log(`  + ${line}`));
+  console.log('');
+  if (report.warning) {
+    console.log(`⚠️ ${report.warning}`);
+  }
+
+  if (report.dryRun) {
+    console.log('Dry run: nothing was written.');
+  } else if (report.success) {
+    console.log(`✅ ${name} restored.`);
+  } else {
+    console.log(`❌ ${name} was not restored (${report.status}: ${report.error}).`);
+  }
+}
+
+/**
+ * Refuse to write to NPM while the switcher daemon runs
+ * The daemon would overwrite the change with its own view of the services.
+ * @param {Object} config - Loaded configuration
+ * @param {string} action - What is refused, for the error message
+ * @throws {Error} If the daemon lock is held
+ */
+function assertSwitcherStopped(config, action) {
+  const holder = new ProcessLock(ProcessLock.getLockFile(config)).getHolder();
+  if (holder !== null) {
+    throw new Error(`The switcher is running (pid ${holder}), stop it before ${action}`);
+  }
+}
+
+/**
+ * Compare a snapshot with another snapshot or the live NPM state
+ * Exits with 1 when there are differences and 2 on errors, like diff(1).
+ * @param {Object} options - Command line options
+ */
+async function handleSnapshotDiff(options) {
+  const SnapshotManager = require('./services/snapshotManager');
+  const { from, to } = options.diff_snapshot;
+
+  try {
+    const config = new ConfigLoader(options.config).load();
+    const logger = new Logger();
+    if (options.json) {
+      logger.silenceConsole();
+    }
+    const snapshotManager = new SnapshotManager(logger, config);
+
+    const older = await snapshotManager.loadSnapshot(from);
+    let newer;
+    if (to === 'live') {
+      const DatabaseManager = require('./database/databaseManager');
+      const NginxConfigUpdater = require('./services/nginxConfigUpdater');
+      const database = new DatabaseManager(config, logger);
+
+      await database.connect();
+      try {
+        newer = await snapshotManager.captureLiveState(
+          database,
+          new NginxConfigUpdater(config, logger),
+          older
+        );
+      } finally {
+        await database.close();
+      }
+    } else {
+      newer = await snapshotManager.loadSnapshot(to);
+    }
+
+    const diff = snapshotManager.diffSnapshots(older, newer);
+    if (options.json) {
+      console.log(JSON.stringify(diff, null, 2));
+    } else {
+      printSnapshotDiff(diff);
+    }
+
+    process.exitCode = diff.identical ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Snapshot diff failed:', error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * Print a snapshot diff
+ * @param {Object} diff - Diff from SnapshotManager.diffSnapshots
+ */
+function printSnapshotDiff(diff) {
+  const name = id => (id === 'live' ? 'live state' : `snapshot ${id}`);
+
+  console.log(`🔍 Differences from ${name(diff.from)} to ${name(diff.to)}:`);
+  console.log('');
+
+  if (diff.identical) {
+    console.log('  No differences.');
+    return;
+  }
+
+  diff.added.forEach(entry => {
+    console.log(`  + ${entry.service} (${entry.domain})  ${entry.target}`);
+  });
+  diff.removed.forEach(entry => {
+    console.log(`  - ${entry.service} (${entry.domain})  ${entry.target}`);
+  });
+  diff.changed.forEach(entry => {
+    const changes = entry.changes.map(change => `${change.field} ${change.from} → ${change.to}`);
+    console.log(`  ~ ${entry.service} (${entry.domain})  ${changes.join(', ')}`);
+  });
+}
+
+/**
+ * Print the per-service result table and field changes of a restore
+ * @param {Object} report - Report from SnapshotRestorer.restore
+ * @param {string} name - What was restored, e.g. "Snapshot 3"
+ */
+function printRestoreResults(report, name) {
+  const rows = [['SERVICE', 'DOMAIN', 'FROM', 'TO', 'RESULT']].concat(
+    report.results.map(result => [
+      result.service,
+      result.domain,
+      result.from || '-',
+      result.to,
+      result.error ? `${result.status}: ${result.error}` : result.status,
+    ])
+  );
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+
+  console.log('');
+  rows.forEach(row => {
+    console.log(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd());
+  });
+  console.log('');
+
+  // Long values (advanced_config, locations) are cut to keep one change per line
+  const show = value => {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  };
+  report.results
+    .filter(result => ['would-change', 'restored'].includes(result.status))
+    .forEach(result => {
+      console.log(`  ${result.service}:`);
+      result.changes.forEach(change => {
+        console.log(`    ${change.field}: ${show(change.from)} → ${show(change.to)}`);
+      });
+      console.log('');
+    });
+
+  if (report.dryRun) {
+    console.log('Dry run: nothing was written.');
+  } else if (report.success) {
+    console.log(`✅ ${name} restored.`);
+  } else {
+    console.log(`❌ ${name} was not fully restored.`);
+  }
+}
+
+/**
+ * Record a manual CLI action in the history database
+ * @param {Object} config - Loaded configuration
+ * @param {Logger} logger - Logger instance
+ * @param {string} action - Action name
+ * @param {Object} [details] - Action details
+ * @param {string} [service] - Affected service
+ */
+async function recordCliAction(config, logger, action, details = null, service = null) {
+  const HistoryStore = require('./database/historyStore');
+  const history = new HistoryStore(config, logger);
+
+  try {
+    await history.connect();
+    await history.recordAction(action, { service, actor: 'cli', details });
+  } catch (error) {
+    console.warn(`⚠️ Could not record ${action} in history: ${error.message}`);
+  } finally {
+    await history.close();
+  }
+}
+
+/**
+ * Show switch and manual action history
+ * @param {Object} options - Command line options
+ */
+async function handleHistoryQuery(options) {
+  const HistoryStore = require('./database/historyStore');
+
+  try {
+    const configLoader = new ConfigLoader(options.config);
+    const config = configLoader.load();
+    const history = new HistoryStore(config, new Logger());
+
+    if (!history.isEnabled()) {
+      console.log('History is disabled (history.enabled: false).');
+      return;
+    }
+
+    await history.connect();
+    const query = { service: options.history_service, limit: 20 };
+    const switches = await history.getSwitches(query);
+    const actions = await history.getActions(query);
+    await history.close();
+
+    const scope = options.history_service ? ` for ${options.history_service}` : '';
+    console.log(`🔀 Recent switches${scope}:`);
+    console.log('');
+    if (switches.length === 0) {
+      console.log('  No switches recorded.');
+    }
+    switches.forEach(entry => {
+      const failure = entry.failed_step ? ` at ${entry.failed_step}: ${entry.error}` : '';
+      console.log(
+        `  ${new Date(entry.timestamp).toLocaleString()}  ${entry.service}  ${entry.reason}  ` +
+          `${entry.from_target} → ${entry.to_target}  ${entry.outcome}${failure} (${entry.duration_ms}ms)`
+      );
+    });
+
+    console.log('');
+    console.log(`🛠️ Recent manual actions${scope}:`);
+    console.log('');
+    if (actions.length === 0) {
+      console.log('  No actions recorded.');
+    }
+    actions.forEach(entry => {
+      const target = entry.service ? `  ${entry.service}` : '';
+      const details = entry.details ? `  ${JSON.stringify(entry.details)}` : '';
+      console.log(
+        `  ${new Date(entry.timestamp).toLocaleString()}  ${entry.action}${target}  by ${entry.actor}${details}`
+      );
+    });
+  } catch (error) {
+    console.error('❌ History query failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Send a command to the running switcher over its control socket
+ * @param {Object} options - Command line options
+ */
+async function handleControlCommand(options) {
+  const ControlClient = require('./services/controlClient');
+  const { control } = options;
+
+  try {
+    if (!control.command) {
+      throw new Error('--expires can only be used with --pin');
+    }
+
+    const config = new ConfigLoader(options.config).load();
+    const client = new ControlClient(ControlServer.getSocketPath(config));
+    const result = await client.send({ ...control, actor: 'cli' });
+
+    switch (control.command) {
+      case 'pin': {
+        const until = result.expiresAt
+          ? ` until ${new Date(result.expiresAt).toLocaleString()}`
+          : '';
+        console.log(`📌 Pinned ${control.service} to ${control.target}${until}`);
+        break;
+      }
+      case 'unpin':
+        console.log(`📌 Unpinned ${control.service}, health checks decide its target again`);
+        break;
+      case 'pause':
+        console.log('⏸️ Monitoring paused');
+        break;
+      case 'resume':
+        console.log('▶️ Monitoring resumed');
+        break;
+      default:
+        printStatus(result);
+    }
+  } catch (error) {
+    console.error('❌ Control command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Probe the running switcher, for container HEALTHCHECKs
+ * With the status API enabled its `/healthz` endpoint decides; otherwise the
+ * switcher counts as healthy while a live process holds the `lock_file`.
+ * Exits 0 when healthy and 1 otherwise.
+ * @param {Object} options - Command line options
+ */
+async function handleHealthcheck(options) {
+  try {
+    const config = new ConfigLoader(options.config).load();
+    const statusApi = config.status_api || {};
+
+    if (!statusApi.enabled) {
+      const holder = new ProcessLock(ProcessLock.getLockFile(config)).getHolder();
+      process.exit(holder !== null ? 0 : 1);
+    }
+
+    // A wildcard listen address is reachable on loopback
+    const host =
+      statusApi.host && !['0.0.0.0', '::'].includes(statusApi.host) ? statusApi.host : '127.0.0.1';
+    const request = { host, port: statusApi.port || 3000, path: '/healthz', timeout: 3000 };
+
+    const statusCode = await new Promise((resolve, reject) => {
+      require('http')
+        .get(request, res => {
+          res.resume();
+          resolve(res.statusCode);
+        })
+        .on('timeout', function () {
+          this.destroy(new Error('Timed out'));
+        })
+        .on('error', reject);
+    });
+    process.exit(statusCode === 200 ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Health check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the live service status
+ * @param {Object} status - Status from ServiceManager.getServiceStatus
+ */
+function printStatus(status) {
+  console.log(`🔎 Switcher status${status.paused ? ' (⏸️ monitoring paused)' : ''}:`);
+  console.log('');
+
+  for (const service of Object.values(status.services)) {
+    const target = service.currentHost
+      ? `${service.currentScheme || 'http'}://${service.currentHost}:${service.currentPort}`
+      : 'unknown';
+    console.log(`  ${service.name} (${service.domain})  ${service.state}  → ${target}`);
+
+    if (service.pin) {
+      const until = service.pin.expiresAt
+        ? `until ${new Date(service.pin.expiresAt).toLocaleString()}`
+        : 'until unpinned';
+      console.log(`     📌 Pinned to ${service.pin.target} ${until}`);
+    }
+    if (service.maintenance) {
+      console.log(`     🛠️ In maintenance window ${service.maintenance.window}`);
+    }
+  }
+}
+
 /**
  * Main application entry point
  */
@@ -214,6 +1034,11 @@ class Application {
     this.config = null;
     this.logger = null;
     this.serviceManager = null;
+    this.restPageServer = null;
+    this.statusApiServer = null;
+    this.configReloader = null;
+    this.controlServer = null;
+    this.lock = null;
     this.snapshotOptions = {
       snapshot_number: null,
       force_snapshot: false
@@ -252,12 +1077,24 @@ class Application {
       this.logger = new Logger(this.config);
 
       this.logger.info('Starting Nginx Proxy Manager Switcher...', 'app');
+
+      // Only one switcher may manage NPM at a time
+      this.lock = new ProcessLock(ProcessLock.getLockFile(this.config));
+      this.lock.acquire();
       this.logger.info(`Configuration loaded from: ${this.configLoader.configPath}`, 'app');
 
       // Initialize service manager
       this.serviceManager = new ServiceManager(this.config, this.logger);
       await this.serviceManager.initialize();
 
+      // Initialize built-in rest page server (only listens if enabled)
+      this.restPageServer = new RestPageServer(this.config, this.logger, () =>
+        this.serviceManager.getServiceStatus()
+      );
+
+      // Initialize status API server (only listens if enabled)
+      this.statusApiServer = new StatusApiServer(this.config, this.logger, this.serviceManager);
+
       this.logger.success('Application initialized successfully', 'app');
 
     } catch (error) {
@@ -273,9 +1110,23 @@ class Application {
     try {
       await this.initialize();
 
+      // Start rest page server before monitoring so it can serve as a fallback target
+      await this.restPageServer.start();
+
       // Start service monitoring (now async)
       await this.serviceManager.start();
 
+      // Expose status API once monitoring is running so /healthz reports ready
+      await this.statusApiServer.start();
+
+      // Reload the config on SIGHUP (and file changes if hot_reload.watch is set)
+      this.configReloader = new ConfigReloader(this.configLoader, this.serviceManager, this.logger);
+      this.configReloader.start();
+
+      // Accept pin/pause commands from the CLI
+      this.controlServer = new ControlServer(this.config, this.logger, this.serviceManager);
+      await this.controlServer.start();
+
       this.logger.success('Application started successfully', 'app');
 
       // Set up graceful shutdown
@@ -298,10 +1149,30 @@ class Application {
       this.logger.info(`Received ${signal}, shutting down gracefully...`, 'app');
 
       try {
+        if (this.configReloader) {
+          this.configReloader.stop();
+        }
+
+        if (this.controlServer) {
+          await this.controlServer.stop();
+        }
+
+        if (this.statusApiServer) {
+          await this.statusApiServer.stop();
+        }
+
         if (this.serviceManager) {
           await this.serviceManager.shutdown();
         }
 
+        if (this.restPageServer) {
+          await this.restPageServer.stop();
+        }
+
+        if (this.lock) {
+          this.lock.release();
+        }
+
         this.logger.success('Application shutdown complete', 'app');
         process.exit(0);
 
@@ -358,12 +1229,82 @@ if (require.main === module) {
     process.exit(0);
   }
 
+  if (
+    options.dry_run &&
+    options.restore_snapshot === null &&
+    !options.restore_backup &&
+    !options.restore_conf_backup
+  ) {
+    console.error(
+      'Error: --dry-run can only be used with --restore-snapshot, --restore-backup or --restore-conf-backup'
+    );
+    process.exit(1);
+  }
+
+  if (options.allow_imported && options.restore_snapshot === null) {
+    console.error('Error: --allow-imported can only be used with --restore-snapshot');
+    process.exit(1);
+  }
+
+  if (options.json && !options.diff_snapshot) {
+    console.error('Error: --json can only be used with --diff-snapshot');
+    process.exit(1);
+  }
+
+  if ((options.description || options.label) && !options.create_snapshot) {
+    console.error('Error: --description and --label can only be used with --create-snapshot');
+    process.exit(1);
+  }
+
   // Handle snapshot operations
-  if (options.list_snapshots || options.create_snapshot || options.delete_snapshot !== null) {
+  if (
+    options.list_snapshots ||
+    options.verify_snapshots ||
+    options.create_snapshot ||
+    options.delete_snapshot !== null ||
+    options.restore_snapshot !== null ||
+    options.export_snapshot ||
+    options.import_snapshot
+  ) {
     handleSnapshotOperations(options);
     return;
   }
 
+  // Handle backup operations
+  if (
+    options.list_backups ||
+    options.restore_backup ||
+    options.list_conf_backups ||
+    options.restore_conf_backup
+  ) {
+    handleBackupOperations(options);
+    return;
+  }
+
+  // Handle snapshot comparison
+  if (options.diff_snapshot) {
+    handleSnapshotDiff(options);
+    return;
+  }
+
+  // Handle history query
+  if (options.history) {
+    handleHistoryQuery(options);
+    return;
+  }
+
+  // Handle container health probes
+  if (options.healthcheck) {
+    handleHealthcheck(options);
+    return;
+  }
+
+  // Handle control channel commands
+  if (options.control) {
+    handleControlCommand(options);
+    return;
+  }
+
   // Create application with custom config path
   const app = new Application(options.config);
 
@@ -0,0 +1,396 @@
+const fs = require('fs');
+const path = require('path');
+const NginxConfigUpdater = require('./nginxConfigUpdater');
+const SnapshotRestorer = require('./snapshotRestorer');
+const DatabaseManager = require('../database/databaseManager');
+const { parseTimeToMs } = require('../utils/time');
+
+// proxy_host_<service>_<ISO timestamp with : and . replaced by ->.json
+const PROXY_HOST_BACKUP_PATTERN = /^proxy_host_(.+)_(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.json$/;
+
+/**
+ * Reads, restores and prunes the backups in `backup_dir`
+ *
+ * - proxy_host backups: DatabaseManager.backupInitialProxyHost writes one on
+ *   every start. A backup is restored like a one-service snapshot (see
+ *   SnapshotRestorer): the proxy_host columns it holds and the upstream of
+ *   `<id>.conf` are written, then nginx is tested and reloaded, with rollback
+ *   on failure.
+ * - conf backups: copies of `<id>.conf` taken before every conf change (see
+ *   ConfBackupStore). A restore puts the copy back and tests and reloads nginx;
+ *   proxy_host is left as it is.
+ */
+class BackupManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.backupDir = config.backup_dir || './backups';
+  }
+
+  /**
+   * List proxy_host backups
+   * @param {string|null} [serviceName] - Only list backups of this service
+   * @returns {Array<{file: string, service: string, timestamp: string, proxyHostId: number, domain: string, target: string, enabled: number}>} Backups by service, oldest first
+   */
+  listProxyHostBackups(serviceName = null) {
+    let files;
+    try {
+      files = fs.readdirSync(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const backups = [];
+    for (const file of files.filter(name => PROXY_HOST_BACKUP_PATTERN.test(name))) {
+      try {
+        const backup = this.loadProxyHostBackup(file);
+        if (serviceName && backup.serviceName !== serviceName) {
+          continue;
+        }
+
+        const { proxyHost } = backup;
+        backups.push({
+          file,
+          service: backup.serviceName,
+          timestamp: backup.timestamp,
+          proxyHostId: proxyHost.id,
+          domain: this.getDomain(backup),
+          target: `${proxyHost.forward_scheme || 'http'}://${proxyHost.forward_host}:${proxyHost.forward_port}`,
+          enabled: proxyHost.enabled,
+        });
+      } catch (error) {
+        this.logger.warn(`Failed to read backup file ${file}: ${error.message}`, 'backup-manager');
+      }
+    }
+
+    return backups.sort(
+      (a, b) => a.service.localeCompare(b.service) || a.timestamp.localeCompare(b.timestamp)
+    );
+  }
+
+  /**
+   * Load a proxy_host backup
+   * @param {string} file - Backup file name in backup_dir
+   * @returns {Object} Backup data
+   * @throws {Error} If the file is not a readable proxy_host backup
+   */
+  loadProxyHostBackup(file) {
+    if (path.basename(file) !== file || !PROXY_HOST_BACKUP_PATTERN.test(file)) {
+      throw new Error(`Not a proxy_host backup file name: ${file}`);
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(fs.readFileSync(path.join(this.backupDir, file), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Backup not found in ${this.backupDir}: ${file}`);
+      }
+      throw error;
+    }
+
+    const { proxyHost } = backup;
+    if (
+      !backup.serviceName ||
+      !proxyHost?.id ||
+      !proxyHost.forward_host ||
+      !proxyHost.forward_port
+    ) {
+      throw new Error(`Backup ${file} has no proxy_host data`);
+    }
+    return backup;
+  }
+
+  /**
+   * Restore a proxy_host backup into NPM
+   * @param {string} file - Backup file name in backup_dir
+   * @param {Object} [options] - Restore options
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<{backup: string, snapshot: Object, dryRun: boolean, success: boolean, results: Array<Object>}>} Restore report (see SnapshotRestorer.restore)
+   */
+  async restoreProxyHostBackup(file, { dryRun = false } = {}) {
+    const backup = this.loadProxyHostBackup(file);
+    const { proxyHost } = backup;
+
+    const snapshot = {
+      id: file,
+      timestamp: backup.timestamp,
+      description: `Initial proxy_host backup of ${backup.serviceName}`,
+      services: {
+        [backup.serviceName]: {
+          host: proxyHost.forward_host,
+          port: proxyHost.forward_port,
+          scheme: proxyHost.forward_scheme,
+          domain: this.getDomain(backup),
+          proxy_host: proxyHost,
+        },
+      },
+    };
+
+    const restorer = new SnapshotRestorer(this.config, this.logger);
+    const report = await restorer.restoreSnapshot(snapshot, { dryRun });
+
+    return { ...report, backup: file };
+  }
+
+  /**
+   * Delete proxy_host backups outside the `backup_retention` rules
+   * Rules apply per service: a backup is kept while it is among the service's
+   * `keep_last` newest or younger than `max_age`. The newest backup of a service
+   * is never deleted.
+   * @param {string|null} [serviceName] - Only prune backups of this service
+   * @returns {Array<string>} Deleted file names
+   */
+  pruneProxyHostBackups(serviceName = null) {
+    const { keep_last: keepLast, max_age: maxAge } = this.config.backup_retention || {};
+    if (!keepLast && !maxAge) {
+      return [];
+    }
+
+    const maxAgeMs = maxAge ? parseTimeToMs(maxAge) : null;
+    const byService = {};
+    for (const backup of this.listProxyHostBackups(serviceName)) {
+      (byService[backup.service] = byService[backup.service] || []).unshift(backup);
+    }
+
+    const deleted = [];
+    for (const backups of Object.values(byService)) {
+      for (const [rank, backup] of backups.entries()) {
+        const keptByCount = keepLast && rank < keepLast;
+        const keptByAge = maxAgeMs && Date.now() - new Date(backup.timestamp).getTime() < maxAgeMs;
+        if (rank === 0 || keptByCount || keptByAge) {
+          continue;
+        }
+
+        try {
+          fs.unlinkSync(path.join(this.backupDir, backup.file));
+          deleted.push(backup.file);
+        } catch (error) {
+          this.logger.error(
+            `Failed to delete backup ${backup.file}: ${error.message}`,
+            'backup-manager'
+          );
+        }
+      }
+    }
+
+    if (deleted.length > 0) {
+      this.logger.info(
+        `🧹 Pruned ${deleted.length} proxy_host backup(s) by retention`,
+        'backup-manager',
+        { files: deleted }
+      );
+    }
+    return deleted;
+  }
+
+  /**
+   * List the conf backups of a service's proxy host
+   * @param {string} serviceName - Name of a configured service
+   * @returns {Promise<{proxyId: number, dir: string, backups: Array<Object>}>} Backups, oldest first, with the upstream each one holds
+   */
+  async listConfBackups(serviceName) {
+    const { id: proxyId } = await this.findServiceProxyHost(serviceName);
+    const nginxUpdater = new NginxConfigUpdater(this.config, this.logger);
+    const store = nginxUpdater.confBackups;
+
+    const backups = store.list(proxyId).map(backup => {
+      let upstream = null;
+      try {
+        upstream = this.formatUpstream(nginxUpdater.parseUpstream(store.read(backup.path)));
+      } catch (error) {
+        this.logger.warn(
+          `Failed to read conf backup ${backup.path}: ${error.message}`,
+          'backup-manager'
+        );
+      }
+      return { ...backup, upstream };
+    });
+
+    return { proxyId, dir: store.getProxyDir(proxyId), backups };
+  }
+
+  /**
+   * Put a conf backup back into `<id>.conf`, then test and reload nginx
+   * The replaced conf is itself backed up first. If the test or reload fails,
+   * it is put back.
+   * Status: unchanged, would-change (dry run), restored, failed, rolled_back or rollback_failed.
+   * @param {string} serviceName - Name of a configured service
+   * @param {string} file - Backup file name, as listed by listConfBackups
+   * @param {Object} [options] - Restore options
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<Object>} Restore report (service, proxyId, backup, from, to, lines, status, error, warning)
+   */
+  async restoreConfBackup(serviceName, file, { dryRun = false } = {}) {
+    const row = await this.findServiceProxyHost(serviceName);
+    const nginxUpdater = new NginxConfigUpdater(this.config, this.logger);
+    const backupPath = nginxUpdater.confBackups.resolve(row.id, file);
+    const content = nginxUpdater.confBackups.read(backupPath);
+    // Backing up the replaced conf must not prune the backup being restored
+    nginxUpdater.confBackups.hold(backupPath);
+    const current = nginxUpdater.readProxyConfig(row.id);
+    if (current === null) {
+      throw new Error(`Nginx config file of proxy host ${row.id} not found`);
+    }
+
+    const upstream = nginxUpdater.parseUpstream(content);
+    const proxyHost = {
+      host: row.forward_host,
+      port: row.forward_port,
+      scheme: row.forward_scheme,
+    };
+    const report = {
+      service: serviceName,
+      proxyId: row.id,
+      backup: file,
+      dryRun,
+      from: this.formatUpstream(nginxUpdater.parseUpstream(current)),
+      to: this.formatUpstream(upstream),
+      lines: this.diffLines(current, content),
+      status: 'would-change',
+      error: null,
+      warning: null,
+    };
+
+    if (!this.upstreamMatches(upstream, proxyHost)) {
+      report.warning =
+        `proxy_host still forwards to ${this.formatUpstream(proxyHost)}; ` +
+        'drift detection will report a partial switch';
+    }
+
+    if (current === content) {
+      report.status = 'unchanged';
+    } else if (!dryRun) {
+      report.status = await this.applyConf(nginxUpdater, row.id, content, report);
+    }
+
+    report.success = ['unchanged', 'would-change', 'restored'].includes(report.status);
+    return report;
+  }
+
+  /**
+   * Write conf content through the nginx test and reload path
+   * @param {NginxConfigUpdater} nginxUpdater - Nginx config updater
+   * @param {number} proxyId - Proxy host ID
+   * @param {string} content - Conf content to write
+   * @param {Object} report - Restore report (error is set on failure)
+   * @returns {Promise<string>} restored, failed, rolled_back or rollback_failed
+   */
+  async applyConf(nginxUpdater, proxyId, content, report) {
+    const previousPath = nginxUpdater.replaceProxyConfig(proxyId, content);
+    if (!previousPath) {
+      report.error = `Could not write ${proxyId}.conf`;
+      return 'failed';
+    }
+
+    const tested = await nginxUpdater.testNginxConfig();
+    if (tested && (await nginxUpdater.reloadNginx())) {
+      return 'restored';
+    }
+
+    report.error = tested ? 'nginx reload failed' : 'nginx config test failed';
+    const restored = nginxUpdater.restoreProxyConfig(proxyId, previousPath);
+    // A failed reload may have applied part of the config
+    if (restored && (!tested || (await nginxUpdater.reloadNginx()))) {
+      return 'rolled_back';
+    }
+    return 'rollback_failed';
+  }
+
+  /**
+   * Find the proxy host of a configured service
+   * @param {string} serviceName - Name of the service
+   * @returns {Promise<Object>} Proxy host row
+   * @throws {Error} If the service is not configured or has no proxy host
+   */
+  async findServiceProxyHost(serviceName) {
+    const serviceConfig = this.config.services?.[serviceName];
+    if (!serviceConfig) {
+      throw new Error(`Unknown service: ${serviceName}`);
+    }
+
+    const database = new DatabaseManager(this.config, this.logger);
+    await database.connect();
+    try {
+      const row = await database.findProxyHostByDomain(serviceConfig.domain);
+      if (!row) {
+        throw new Error(`No proxy host found for domain: ${serviceConfig.domain}`);
+      }
+      return row;
+    } finally {
+      await database.close();
+    }
+  }
+
+  /**
+   * List the lines only in one of two conf versions
+   * Confs are short and their lines rarely move, so comparing line counts is enough.
+   * @param {string} before - Current content
+   * @param {string} after - Content to restore
+   * @returns {{removed: Array<string>, added: Array<string>}} Trimmed lines, blank lines ignored
+   */
+  diffLines(before, after) {
+    const count = content => {
+      const counts = new Map();
+      content
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+      return counts;
+    };
+    const only = (a, b) =>
+      [...a].flatMap(([line, n]) => Array(Math.max(0, n - (b.get(line) || 0))).fill(line));
+
+    const beforeCounts = count(before);
+    const afterCounts = count(after);
+    return { removed: only(beforeCounts, afterCounts), added: only(afterCounts, beforeCounts) };
+  }
+
+  /**
+   * Whether a conf upstream matches a proxy_host target (missing directives are not compared)
+   * @param {Object} upstream - Upstream parsed from a conf
+   * @param {Object} target - Host, port and scheme
+   * @returns {boolean} Match status
+   */
+  upstreamMatches(upstream, target) {
+    return (
+      (upstream.host === null || upstream.host === String(target.host)) &&
+      (upstream.port === null || upstream.port === Number(target.port)) &&
+      (upstream.scheme === null || upstream.scheme === (target.scheme || 'http'))
+    );
+  }
+
+  /**
+   * Format an upstream for display
+   * @param {Object} upstream - Host, port and scheme (null for missing directives)
+   * @returns {string} scheme://host:port
+   */
+  formatUpstream(upstream) {
+    return `${upstream.scheme || 'http'}://${upstream.host ?? '?'}:${upstream.port ?? '?'}`;
+  }
+
+  /**
+   * Get the domain a backup belongs to
+   * The configured domain of the service wins over the backed-up domain_names.
+   * @param {Object} backup - Backup data
+   * @returns {string|null} Domain
+   */
+  getDomain(backup) {
+    const configured = this.config.services?.[backup.serviceName]?.domain;
+    if (configured) {
+      return configured;
+    }
+
+    try {
+      return JSON.parse(backup.proxyHost.domain_names)[0] || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseTimeToMs } = require('../utils/time');
+
+// <epoch ms>.conf, or <epoch ms>.conf.gz when conf_backups.gzip is on
+const BACKUP_FILE_PATTERN = /^(\d+)\.conf(\.gz)?$/;
+// Backups written into nginx_conf_dir by earlier versions
+const LEGACY_FILE_PATTERN = /^(\d+)\.conf\.backup\.(\d+)$/;
+
+/**
+ * Storage for the `<id>.conf` copies taken before every conf change
+ *
+ * Copies live under `<backup_dir>/conf/<proxy id>/`, outside the directory NPM
+ * manages, and are pruned per proxy host by `conf_backups` (keep_last, max_age)
+ * after each write. The newest copy is never pruned, because a running switch
+ * may still roll back to it.
+ */
+class ConfBackupStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.dir = path.join(config.backup_dir || './backups', 'conf');
+    this.nginxConfDir = config.nginx_conf_dir;
+    this.held = new Set(); // Backup paths exempt from pruning
+  }
+
+  /**
+   * Exempt a backup from pruning for the life of this store (e.g. while it is restored)
+   * @param {string} backupPath - Backup file path
+   */
+  hold(backupPath) {
+    this.held.add(backupPath);
+  }
+
+  /**
+   * Get the backup directory of a proxy host
+   * @param {number} proxyId - Proxy host ID
+   * @returns {string} Directory path
+   */
+  getProxyDir(proxyId) {
+    return path.join(this.dir, String(proxyId));
+  }
+
+  /**
+   * Store a copy of a proxy host config, then prune older copies
+   * @param {number} proxyId - Proxy host ID
+   * @param {string} content - Current file content
+   * @returns {string} Backup file path
+   */
+  write(proxyId, content) {
+    const proxyDir = this.getProxyDir(proxyId);
+    const gzip = this.config.conf_backups?.gzip === true;
+    const data = gzip ? zlib.gzipSync(content) : content;
+    fs.mkdirSync(proxyDir, { recursive: true });
+
+    // Two changes within the same millisecond get consecutive names
+    for (let stamp = Date.now(); ; stamp++) {
+      const backupPath = path.join(proxyDir, `${stamp}.conf${gzip ? '.gz' : ''}`);
+      try {
+        fs.writeFileSync(backupPath, data, { flag: 'wx' });
+        this.prune(proxyId);
+        return backupPath;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Read a backup
+   * @param {string} backupPath - Backup file path
+   * @returns {string} Config content
+   */
+  read(backupPath) {
+    const data = fs.readFileSync(backupPath);
+    return backupPath.endsWith('.gz')
+      ? zlib.gunzipSync(data).toString('utf8')
+      : data.toString('utf8');
+  }
+
+  /**
+   * List the backups of a proxy host
+   * @param {number} proxyId - Proxy host ID
+   * @returns {Array<{file: string, path: string, createdAt: Date, size: number, compressed: boolean}>} Backups, oldest first
+   */
+  list(proxyId) {
+    const proxyDir = this.getProxyDir(proxyId);
+    let files;
+    try {
+      files = fs.readdirSync(proxyDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => BACKUP_FILE_PATTERN.test(file))
+      .map(file => {
+        const backupPath = path.join(proxyDir, file);
+        return {
+          file,
+          path: backupPath,
+          createdAt: new Date(parseInt(file, 10)),
+          size: fs.statSync(backupPath).size,
+          compressed: file.endsWith('.gz'),
+        };
+      })
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Get the path of a backup by file name
+   * @param {number} proxyId - Proxy host ID
+   * @param {string} file - Backup file name, as listed
+   * @returns {string} Backup file path
+   * @throws {Error} If there is no such backup
+   */
+  resolve(proxyId, file) {
+    const backup = this.list(proxyId).find(entry => entry.file === file);
+    if (!backup) {
+      throw new Error(`No conf backup ${file} for proxy host ${proxyId}`);
+    }
+    return backup.path;
+  }
+
+  /**
+   * Delete backups of a proxy host outside the `conf_backups` retention rules
+   * A backup is kept while it is among the `keep_last` newest or younger than `max_age`.
+   * @param {number} proxyId - Proxy host ID
+   * @returns {Array<string>} Deleted file names
+   */
+  prune(proxyId) {
+    const { keep_last: keepLast, max_age: maxAge } = this.config.conf_backups || {};
+    if (!keepLast && !maxAge) {
+      return [];
+    }
+
+    const maxAgeMs = maxAge ? parseTimeToMs(maxAge) : null;
+    const deleted = [];
+
+    for (const [rank, backup] of this.list(proxyId).reverse().entries()) {
+      const keptByCount = keepLast && rank < keepLast;
+      const keptByAge = maxAgeMs && Date.now() - backup.createdAt.getTime() < maxAgeMs;
+      if (rank === 0 || keptByCount || keptByAge || this.held.has(backup.path)) {
+        continue;
+      }
+
+      try {
+        fs.unlinkSync(backup.path);
+        deleted.push(backup.file);
+      } catch (error) {
+        this.logger.error(`Failed to delete conf backup ${backup.path}: ${error.message}`, 'nginx');
+      }
+    }
+
+    if (deleted.length > 0) {
+      this.logger.debug(
+        `Pruned ${deleted.length} conf backup(s) of proxy host ${proxyId}`,
+        'nginx'
+      );
+    }
+    return deleted;
+  }
+
+  /**
+   * Move `<id>.conf.backup.<epoch>` files left in nginx_conf_dir by earlier versions
+   * @returns {number} Number of files moved
+   */
+  migrateLegacyBackups() {
+    let files;
+    try {
+      files = fs.readdirSync(this.nginxConfDir);
+    } catch {
+      return 0;
+    }
+
+    const proxyIds = new Set();
+    let moved = 0;
+
+    for (const file of files) {
+      const match = file.match(LEGACY_FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const [, proxyId, stamp] = match;
+      const source = path.join(this.nginxConfDir, file);
+      const target = path.join(this.getProxyDir(proxyId), `${stamp}.conf`);
+      try {
+        fs.mkdirSync(this.getProxyDir(proxyId), { recursive: true });
+        fs.copyFileSync(source, target, fs.constants.COPYFILE_EXCL);
+        fs.unlinkSync(source);
+        proxyIds.add(proxyId);
+        moved++;
+      } catch (error) {
+        this.logger.warn(`Could not move conf backup ${source}: ${error.message}`, 'nginx');
+      }
+    }
+
+    if (moved > 0) {
+      proxyIds.forEach(proxyId => this.prune(proxyId));
+      this.logger.info(
+        `Moved ${moved} conf backup(s) from ${this.nginxConfDir} to ${this.dir}`,
+        'nginx'
+      );
+    }
+    return moved;
+  }
+}
+
+module.exports = ConfBackupStore;
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { parseTimeToMs } = require('../utils/time');
+
+const DEFAULT_WATCH_INTERVAL = '2s';
+
+/**
+ * Reloads the YAML configuration without restarting the daemon
+ *
+ * Triggered by SIGHUP and, with `hot_reload.watch`, by changes to the config
+ * file. The new file is validated first: an invalid config is logged and
+ * rejected while the running one stays in effect.
+ */
+class ConfigReloader {
+  constructor(configLoader, serviceManager, logger) {
+    this.configLoader = configLoader;
+    this.serviceManager = serviceManager;
+    this.logger = logger;
+    this.watching = false;
+    this.watchInterval = null;
+    this.reloading = null; // Promise of the reload in progress
+    this.pending = null; // Trigger of a reload requested while one was running
+    this.onSignal = () => this.reload('signal');
+    this.onChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload('watch');
+      }
+    };
+  }
+
+  /**
+   * Listen for SIGHUP and start the file watcher if enabled
+   */
+  start() {
+    process.on('SIGHUP', this.onSignal);
+    this.updateWatcher();
+    this.logger.debug('Config hot reload enabled (SIGHUP)', 'config');
+  }
+
+  /**
+   * Stop listening for reload triggers
+   */
+  stop() {
+    process.off('SIGHUP', this.onSignal);
+    this.unwatch();
+  }
+
+  /**
+   * Reload the configuration and apply it to the service manager
+   * Reloads never overlap; triggers arriving during a reload run once afterwards.
+   * @param {string} [actor] - What triggered the reload ('signal', 'watch', ...)
+   * @returns {Promise<boolean>} Whether the new configuration was applied
+   */
+  async reload(actor = 'manual') {
+    if (this.reloading) {
+      this.pending = actor;
+      return this.reloading;
+    }
+
+    this.reloading = this.applyReload(actor);
+    try {
+      return await this.reloading;
+    } finally {
+      this.reloading = null;
+      if (this.pending) {
+        const next = this.pending;
+        this.pending = null;
+        this.reload(next);
+      }
+    }
+  }
+
+  /**
+   * Load, validate and apply the configuration file
+   * @param {string} actor - What triggered the reload
+   * @returns {Promise<boolean>} Whether the new configuration was applied
+   */
+  async applyReload(actor) {
+    this.logger.info(
+      `Reloading configuration from ${this.configLoader.configPath} (${actor})`,
+      'config'
+    );
+
+    let newConfig;
+    try {
+      newConfig = this.configLoader.reload();
+    } catch (error) {
+      this.logger.error(`${error.message} - keeping the current configuration`, 'config');
+      return false;
+    }
+
+    try {
+      await this.serviceManager.applyConfig(newConfig, actor);
+    } catch (error) {
+      this.logger.error(`Failed to apply reloaded configuration: ${error.message}`, 'config');
+      return false;
+    }
+
+    this.updateWatcher();
+    return true;
+  }
+
+  /**
+   * Start, restart or stop the file watcher to match `hot_reload`
+   */
+  updateWatcher() {
+    const options = this.serviceManager.config.hot_reload || {};
+    const interval = parseTimeToMs(options.watch_interval || DEFAULT_WATCH_INTERVAL);
+
+    if (!options.watch) {
+      this.unwatch();
+      return;
+    }
+
+    if (this.watching && this.watchInterval === interval) {
+      return;
+    }
+
+    this.unwatch();
+    fs.watchFile(this.configLoader.configPath, { interval, persistent: false }, this.onChange);
+    this.watching = true;
+    this.watchInterval = interval;
+    this.logger.info(`Watching ${this.configLoader.configPath} for changes`, 'config');
+  }
+
+  /**
+   * Stop the file watcher
+   */
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.configLoader.configPath, this.onChange);
+      this.watching = false;
+      this.watchInterval = null;
+    }
+  }
+}
+
+module.exports = ConfigReloader;
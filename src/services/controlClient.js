@@ -0,0 +1,61 @@
+const net = require('net');
+
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Client for the daemon's control channel (see ControlServer)
+ */
+class ControlClient {
+  constructor(socketPath) {
+    this.socketPath = socketPath;
+  }
+
+  /**
+   * Send a command and wait for its response
+   * @param {Object} request - Request with `command` and its arguments
+   * @returns {Promise<*>} Command result
+   */
+  send(request) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+      let buffer = '';
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(REQUEST_TIMEOUT, () => {
+        socket.destroy();
+        reject(new Error('Timed out waiting for the switcher'));
+      });
+      socket.on('connect', () => socket.write(`${JSON.stringify(request)}\n`));
+      socket.on('data', chunk => {
+        buffer += chunk;
+        const newline = buffer.indexOf('\n');
+        if (newline === -1) {
+          return;
+        }
+
+        socket.end();
+        let response;
+        try {
+          response = JSON.parse(buffer.slice(0, newline));
+        } catch (error) {
+          reject(new Error(`Invalid response from the switcher: ${error.message}`));
+          return;
+        }
+        if (response?.ok) {
+          resolve(response.result);
+        } else {
+          reject(new Error(response?.error || 'Invalid response from the switcher'));
+        }
+      });
+      socket.on('error', error => {
+        if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+          reject(new Error(`Switcher is not running (no control socket at ${this.socketPath})`));
+        } else {
+          reject(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ControlClient;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const DEFAULT_SOCKET = './data/switcher.sock';
+
+/**
+ * Local control channel on a Unix socket
+ *
+ * Each connection sends one JSON request per line and gets one JSON response
+ * line back (`{ok: true, result}` or `{ok: false, error}`). Commands: status,
+ * pin, unpin, pause and resume. The socket is only accessible to its owner.
+ */
+class ControlServer {
+  constructor(config, logger, serviceManager) {
+    this.config = config;
+    this.logger = logger;
+    this.serviceManager = serviceManager;
+    this.options = config.control || {};
+    this.socketPath = ControlServer.getSocketPath(config);
+    this.server = null;
+  }
+
+  /**
+   * Get the control socket path of a configuration
+   * @param {AppConfig} config - Application configuration
+   * @returns {string} Socket path
+   */
+  static getSocketPath(config) {
+    return config.control?.socket || DEFAULT_SOCKET;
+  }
+
+  /**
+   * Whether the control channel is enabled (on unless `control.enabled` is false)
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return this.options.enabled !== false;
+  }
+
+  /**
+   * Start listening on the socket
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.isEnabled() || this.server) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+    // A socket file left behind by a crashed process would make listen fail
+    if (fs.existsSync(this.socketPath)) {
+      fs.unlinkSync(this.socketPath);
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    fs.chmodSync(this.socketPath, 0o600);
+
+    this.logger.info(`Control channel listening on ${this.socketPath}`, 'control');
+  }
+
+  /**
+   * Stop listening and remove the socket
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.logger.info('Control channel stopped', 'control');
+  }
+
+  /**
+   * Read newline-delimited requests from a connection
+   * @param {net.Socket} socket - Client connection
+   */
+  handleConnection(socket) {
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('error', error => {
+      this.logger.debug(`Control connection error: ${error.message}`, 'control');
+    });
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          this.handleLine(line).then(response => socket.write(`${JSON.stringify(response)}\n`));
+        }
+      }
+    });
+  }
+
+  /**
+   * Parse and run one request
+   * @param {string} line - JSON request
+   * @returns {Promise<{ok: boolean, result?: *, error?: string}>} Response
+   */
+  async handleLine(line) {
+    try {
+      const request = JSON.parse(line);
+      const result = await this.runCommand(request);
+      return { ok: true, result };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run a control command
+   * @param {Object} request - Request with `command` and its arguments
+   * @returns {Promise<*>} Command result
+   */
+  async runCommand(request) {
+    const manager = this.serviceManager;
+    const actor = request.actor || 'control';
+
+    this.logger.debug(`Control command: ${request.command}`, 'control');
+
+    switch (request.command) {
+      case 'status':
+        return manager.getServiceStatus();
+      case 'pin':
+        if (!request.service || !request.target) {
+          throw new Error('pin requires a service and a target');
+        }
+        return manager.pinService(request.service, request.target, {
+          expires: request.expires || null,
+          actor,
+        });
+      case 'unpin':
+        if (!request.service) {
+          throw new Error('unpin requires a service');
+        }
+        await manager.unpinService(request.service, { actor });
+        return { service: request.service };
+      case 'pause':
+        await manager.pauseMonitoring({ actor });
+        return { paused: true };
+      case 'resume':
+        await manager.resumeMonitoring({ actor });
+        return { paused: false };
+      default:
+        throw new Error(`Unknown command: ${request.command}`);
+    }
+  }
+}
+
+module.exports = ControlServer;
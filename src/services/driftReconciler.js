@@ -0,0 +1,251 @@
+const { DRIFT_POLICIES } = require('../config/constants');
+const { parseTimeToMs } = require('../utils/time');
+
+const DEFAULT_INTERVAL = '1m';
+const DEFAULT_POLICY = 'alert';
+
+/**
+ * Detects manual edits made outside the switcher (drift) and reconciles them
+ *
+ * Compares the proxy_host row, the generated `<id>.conf` and the in-memory
+ * service state. Mismatches are classified as:
+ * - external-edit: proxy_host and conf agree on a target the switcher did not set (NPM UI edit)
+ * - partial-switch: proxy_host and conf disagree (interrupted switch or hand-edited file)
+ * - missing-conf / missing-proxy-host: nothing to compare against
+ *
+ * The `alert`, `adopt` or `revert` policy decides what happens. Runs as part of
+ * a service's check cycle so it never races a switch of the same service.
+ */
+class DriftReconciler {
+  constructor(config, logger, serviceManager) {
+    this.config = config;
+    this.logger = logger;
+    this.serviceManager = serviceManager;
+  }
+
+  /**
+   * Whether drift detection is enabled (on unless `drift.enabled` is false)
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return this.config.drift?.enabled !== false;
+  }
+
+  /**
+   * Whether a service is due for a drift check
+   * @param {Object} serviceState - Service state object
+   * @returns {boolean} Due status
+   */
+  isDue(serviceState) {
+    if (!this.isEnabled() || !serviceState.currentHost) {
+      return false;
+    }
+
+    const intervalMs = parseTimeToMs(this.config.drift?.interval || DEFAULT_INTERVAL);
+    return (
+      !serviceState.lastDriftCheck ||
+      Date.now() - serviceState.lastDriftCheck.getTime() >= intervalMs
+    );
+  }
+
+  /**
+   * Get the drift policy of a service
+   * @param {ServiceConfig} serviceConfig - Service configuration
+   * @returns {string} alert | adopt | revert
+   */
+  getPolicy(serviceConfig) {
+    return serviceConfig.drift_policy || this.config.drift?.policy || DEFAULT_POLICY;
+  }
+
+  /**
+   * Check a service for drift and apply its policy
+   * A drift is handled once; the same mismatch is not reported again until it changes.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @returns {Promise<void>}
+   */
+  async reconcile(serviceName, serviceState) {
+    serviceState.lastDriftCheck = new Date();
+
+    const drift = await this.detect(serviceState);
+
+    if (!drift) {
+      if (serviceState.drift) {
+        this.logger.info(`🔀 Drift of ${serviceName} resolved`, 'drift');
+        serviceState.drift = null;
+        serviceState.driftSignature = null;
+      }
+      return;
+    }
+
+    const signature = JSON.stringify([drift.kind, drift.proxyHost, drift.conf]);
+    if (serviceState.driftSignature === signature) {
+      return;
+    }
+
+    const policy = this.getPolicy(serviceState.config);
+    const decision = await this.applyPolicy(serviceName, serviceState, drift, policy);
+
+    serviceState.driftSignature = signature;
+    serviceState.drift = {
+      kind: drift.kind,
+      policy,
+      decision,
+      detectedAt: serviceState.lastDriftCheck,
+      expected: this.describe(drift.expected),
+      proxyHost: this.describe(drift.proxyHost),
+      conf: this.describe(drift.conf),
+    };
+
+    this.report(serviceName, serviceState);
+  }
+
+  /**
+   * Compare proxy_host, the conf file and the in-memory state
+   * @param {Object} serviceState - Service state object
+   * @returns {Promise<Object|null>} Drift (kind, proxyId, expected, proxyHost, conf) or null when in sync
+   */
+  async detect(serviceState) {
+    const manager = this.serviceManager;
+    const expected = {
+      host: serviceState.currentHost,
+      port: serviceState.currentPort,
+      scheme: serviceState.currentScheme,
+    };
+
+    const row = await manager.database.findProxyHostByDomain(serviceState.config.domain);
+    if (!row) {
+      return { kind: 'missing-proxy-host', proxyId: null, expected, proxyHost: null, conf: null };
+    }
+
+    const proxyHost = manager.rowToTarget(row);
+    const conf = manager.nginxUpdater.readProxyUpstream(row.id);
+    const drift = { proxyId: row.id, expected, proxyHost, conf };
+
+    if (!conf) {
+      return { ...drift, kind: 'missing-conf' };
+    }
+    if (!this.confMatches(conf, proxyHost)) {
+      return { ...drift, kind: 'partial-switch' };
+    }
+    if (!manager.isSameTarget(proxyHost, expected)) {
+      return { ...drift, kind: 'external-edit' };
+    }
+    return null;
+  }
+
+  /**
+   * Apply the drift policy
+   * - alert: log and notify only
+   * - adopt: accept what NPM has (proxy_host) as the new primary and repair the conf if needed
+   * - revert: switch back to the target the switcher expects
+   * Missing conf or proxy_host cannot be repaired and are only alerted.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @param {Object} drift - Detected drift
+   * @param {string} policy - alert | adopt | revert
+   * @returns {Promise<string>} alerted | adopted | reverted | adopt-failed | revert-failed
+   */
+  async applyPolicy(serviceName, serviceState, drift, policy) {
+    const manager = this.serviceManager;
+
+    if (
+      policy === 'alert' ||
+      drift.kind === 'missing-conf' ||
+      drift.kind === 'missing-proxy-host'
+    ) {
+      return 'alerted';
+    }
+
+    if (policy === 'revert') {
+      const reverted = await manager.updateServiceConfiguration(
+        serviceName,
+        serviceState,
+        drift.expected,
+        'drift-revert'
+      );
+      return reverted ? 'reverted' : 'revert-failed';
+    }
+
+    // A partial switch leaves the conf behind proxy_host; rewrite it first
+    if (drift.kind === 'partial-switch') {
+      const repaired = await manager.updateServiceConfiguration(
+        serviceName,
+        serviceState,
+        drift.proxyHost,
+        'drift-adopt'
+      );
+      if (!repaired) {
+        return 'adopt-failed';
+      }
+    }
+
+    await manager.adoptPrimaryTarget(serviceName, serviceState, drift.proxyHost);
+    return 'adopted';
+  }
+
+  /**
+   * Log, notify and record a drift decision
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   */
+  report(serviceName, serviceState) {
+    const { drift } = serviceState;
+    const conf = drift.conf ? `, conf ${drift.conf}` : '';
+
+    this.logger.warn(
+      `🔀 Drift on ${serviceName} (${drift.kind}): proxy_host ${drift.proxyHost || 'missing'}${conf}, ` +
+        `expected ${drift.expected} - policy ${drift.policy}: ${drift.decision}`,
+      'drift'
+    );
+
+    this.serviceManager.notifier.notify({
+      event: 'drift-detected',
+      service: serviceName,
+      domain: serviceState.config.domain,
+      from: drift.proxyHost,
+      to: drift.expected,
+      kind: drift.kind,
+      policy: drift.policy,
+      decision: drift.decision,
+      error: null,
+    });
+
+    this.serviceManager.history.recordAction('drift.reconcile', {
+      service: serviceName,
+      actor: 'reconciler',
+      details: drift,
+    });
+  }
+
+  /**
+   * Whether the conf upstream matches a target
+   * Directives missing from the conf are not compared.
+   * @param {{host: string|null, port: number|null, scheme: string|null}} conf - Upstream read from the conf
+   * @param {Object} target - Host, port and scheme
+   * @returns {boolean} Match status
+   */
+  confMatches(conf, target) {
+    return (
+      (conf.host === null || conf.host === String(target.host)) &&
+      (conf.port === null || conf.port === Number(target.port)) &&
+      (conf.scheme === null || conf.scheme === (target.scheme || 'http'))
+    );
+  }
+
+  /**
+   * Format a target for logs and status
+   * @param {Object|null} target - Host, port and scheme
+   * @returns {string|null} scheme://host:port
+   */
+  describe(target) {
+    if (!target) {
+      return null;
+    }
+    return `${target.scheme || 'http'}://${target.host ?? '?'}:${target.port ?? '?'}`;
+  }
+}
+
+DriftReconciler.POLICIES = DRIFT_POLICIES;
+
+module.exports = DriftReconciler;
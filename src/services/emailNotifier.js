@@ -0,0 +1,171 @@
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const { resolveSecret } = require('../utils/secrets');
+
+const DEFAULT_SUBJECT = '[switcher] {{message}}';
+const DEFAULT_DIGEST_SUBJECT = '[switcher] {{count}} service event(s)';
+
+const DEFAULT_TEXT_TEMPLATE = `{{message}}
+
+Event:   {{event}}
+Service: {{service}}
+Domain:  {{domain}}
+From:    {{from}}
+To:      {{to}}
+Error:   {{error}}
+Time:    {{timestamp}}
+`;
+
+const DEFAULT_HTML_TEMPLATE = `<p><strong>{{message}}</strong></p>
+<table cellpadding="4">
+  <tr><td>Event</td><td>{{event}}</td></tr>
+  <tr><td>Service</td><td>{{service}}</td></tr>
+  <tr><td>Domain</td><td>{{domain}}</td></tr>
+  <tr><td>From</td><td>{{from}}</td></tr>
+  <tr><td>To</td><td>{{to}}</td></tr>
+  <tr><td>Error</td><td>{{error}}</td></tr>
+  <tr><td>Time</td><td>{{timestamp}}</td></tr>
+</table>
+`;
+
+/**
+ * SMTP email sink for notifications
+ *
+ * Sends one message per event, or one digest message for a batch of events.
+ * Text and HTML bodies are rendered from templates; HTML values are escaped.
+ */
+class EmailNotifier {
+  constructor(sink, logger) {
+    this.sink = sink;
+    this.logger = logger;
+    this.transport = null;
+  }
+
+  /**
+   * Get (or create) the SMTP transport
+   * STARTTLS is negotiated when offered unless `starttls` is false; `starttls: true` requires it.
+   * @returns {Object} Nodemailer transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      const smtp = this.sink.smtp || {};
+      const secure = Boolean(smtp.secure);
+      const options = {
+        host: smtp.host,
+        port: smtp.port || (secure ? 465 : 587),
+        secure,
+        requireTLS: smtp.starttls === true,
+        ignoreTLS: smtp.starttls === false,
+        tls: { rejectUnauthorized: smtp.tls_verify !== false },
+      };
+
+      const username = resolveSecret(smtp, 'username');
+      if (username) {
+        options.auth = { user: username, pass: resolveSecret(smtp, 'password') || '' };
+      }
+
+      this.transport = nodemailer.createTransport(options);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Get the recipients for a service
+   * A `recipients` entry for the service replaces the default `to` list.
+   * @param {string|null} serviceName - Service name (null for global events)
+   * @returns {Array<string>} Recipient addresses
+   */
+  getRecipients(serviceName) {
+    const perService = this.sink.recipients && serviceName && this.sink.recipients[serviceName];
+    return [].concat(perService || this.sink.to || []);
+  }
+
+  /**
+   * Send events as one email
+   * @param {Array<NotificationEvent>} events - Events (with rendered `message`) for the same recipients
+   * @returns {Promise<void>}
+   */
+  async send(events) {
+    const digest = events.length > 1;
+    const [first] = events;
+    const textTemplate = this.loadTemplate('text_template') || DEFAULT_TEXT_TEMPLATE;
+    const htmlTemplate = this.loadTemplate('html_template') || DEFAULT_HTML_TEMPLATE;
+
+    const text = events.map(event => this.render(textTemplate, event)).join('\n----\n\n');
+    const html = events.map(event => this.render(htmlTemplate, event, true)).join('<hr />\n');
+    const subjectTemplate = digest
+      ? this.sink.digest_subject || DEFAULT_DIGEST_SUBJECT
+      : this.sink.subject || DEFAULT_SUBJECT;
+
+    await this.getTransport().sendMail({
+      from: this.sink.from,
+      to: this.getRecipients(first.service).join(', '),
+      subject: this.render(subjectTemplate, { ...first, count: events.length }),
+      text,
+      html,
+    });
+
+    this.logger.debug(
+      `Sent email with ${events.length} event(s) to ${this.getRecipients(first.service).join(', ')}`,
+      'notifications'
+    );
+  }
+
+  /**
+   * Load an inline (`<name>`) or file (`<name>_file`) template
+   * @param {string} name - Template option name ('text_template' or 'html_template')
+   * @returns {string|null} Template source or null if not configured
+   */
+  loadTemplate(name) {
+    if (this.sink[name]) {
+      return this.sink[name];
+    }
+
+    const filePath = this.sink[`${name}_file`];
+    return filePath ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  /**
+   * Render `{{field}}` placeholders
+   * @param {string} template - Template source
+   * @param {Object} context - Template values
+   * @param {boolean} [html] - Escape values for HTML
+   * @returns {string} Rendered text
+   */
+  render(template, context, html = false) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, key) => {
+      const value = context[key];
+      if (value === undefined || value === null) {
+        return html ? '' : '-';
+      }
+      return html ? this.escapeHtml(String(value)) : String(value);
+    });
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} value - Raw value
+   * @returns {string} Escaped value
+   */
+  escapeHtml(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Close the SMTP transport
+   */
+  close() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+}
+
+module.exports = EmailNotifier;
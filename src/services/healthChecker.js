@@ -1,30 +1,35 @@
 const axios = require('axios');
+const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const ResponseValidator = require('./responseValidator');
+const { resolveSecret } = require('../utils/secrets');
+const { parseTimeToMs } = require('../utils/time');
+
+const DEFAULT_TIMEOUT = 10000;
 
 /**
  * Health checker service for monitoring service availability
  */
 class HealthChecker {
-  constructor(logger) {
+  constructor(logger, metrics = null) {
     this.logger = logger;
+    this.metrics = metrics; // Optional SwitcherMetrics
+    this.responseValidator = new ResponseValidator();
+    this.tlsAgents = new Map(); // HTTPS agents (and file mtimes) per distinct TLS config
 
     // Configure HTTP and HTTPS agents with proper keep-alive settings
     const httpAgent = new http.Agent({
       keepAlive: false, // Disable keep-alive to prevent socket hang-ups
       maxSockets: 50,
-      timeout: 10000,
+      timeout: DEFAULT_TIMEOUT,
     });
 
-    const httpsAgent = new https.Agent({
-      keepAlive: false, // Disable keep-alive to prevent socket hang-ups
-      maxSockets: 50,
-      timeout: 10000,
-      rejectUnauthorized: false, // Allow self-signed certificates
-    });
+    const httpsAgent = this.createHttpsAgent({ rejectUnauthorized: false }); // Allow self-signed certificates
 
     this.axiosInstance = axios.create({
-      timeout: 10000, // 10 second timeout
+      timeout: DEFAULT_TIMEOUT, // 10 second timeout
       maxRedirects: 5,
       validateStatus: status => status >= 200 && status < 300, // Only 2xx is success
       headers: {
@@ -38,80 +43,63 @@ class HealthChecker {
 
   /**
    * Perform health check on a service
-   * @param {string} checkUrl - URL to check
+   * @param {string|HealthCheckConfig} check - URL to check or check definition
    * @param {string} serviceName - Name of the service being checked
    * @param {number} retries - Number of retry attempts (defaults to 3)
    * @returns {Promise<HealthCheckResult>} Health check result
    */
-  async checkHealth(checkUrl, serviceName, retries = 3) {
+  async checkHealth(check, serviceName, retries = 3) {
     const maxRetries = Math.max(1, retries); // Ensure at least 1 attempt
+    const checkConfig = this.normalizeCheck(check);
+    const target = this.describeCheck(checkConfig);
     let lastError = null;
+    let lastAssertion = null;
+    let lastResponseTime = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       const startTime = Date.now();
 
       try {
         if (attempt > 1) {
-          this.logger.debug(
-            `Health check retry ${attempt}/${maxRetries}: ${checkUrl}`,
-            serviceName
-          );
+          this.logger.debug(`Health check retry ${attempt}/${maxRetries}: ${target}`, serviceName);
+        } else {
+          this.logger.debug(`Starting health check: ${target}`, serviceName);
+        }
+
+        if (checkConfig.type === 'tcp') {
+          await this.checkTcp(checkConfig);
         } else {
-          this.logger.debug(`Starting health check: ${checkUrl}`, serviceName);
+          await this.checkHttp(checkConfig);
         }
 
-        const response = await this.axiosInstance.get(checkUrl);
         const responseTime = Date.now() - startTime;
+        this.metrics?.recordCheckAttempt(serviceName, responseTime, null);
 
-        // Consider 2xx status codes as success
-        const success = response.status >= 200 && response.status < 300;
-
-        if (success) {
-          if (attempt > 1) {
-            this.logger.info(
-              `Health check succeeded on retry ${attempt}/${maxRetries}`,
-              serviceName,
-              { responseTime, attempt }
-            );
-          }
-          this.logger.healthCheck(serviceName, true, responseTime);
-
-          return {
-            success,
-            responseTime,
-            error: null,
-            attempts: attempt,
-          };
-        } else {
-          lastError = `HTTP ${response.status}`;
-          if (attempt < maxRetries) {
-            this.logger.warn(
-              `Health check failed (attempt ${attempt}/${maxRetries}): HTTP ${response.status}`,
-              serviceName,
-              { responseTime, attempt }
-            );
-            // Wait a bit before retrying
-            await this.sleep(1000);
-            continue;
-          }
+        if (attempt > 1) {
+          this.logger.info(
+            `Health check succeeded on retry ${attempt}/${maxRetries}`,
+            serviceName,
+            { responseTime, attempt }
+          );
         }
+        this.logger.healthCheck(serviceName, true, responseTime);
+        this.metrics?.recordCheck(serviceName, true);
+
+        return {
+          success: true,
+          responseTime,
+          error: null,
+          assertion: null,
+          attempts: attempt,
+        };
       } catch (error) {
         const responseTime = Date.now() - startTime;
-        let errorMessage = 'Unknown error';
-
-        if (error.code === 'ECONNREFUSED') {
-          errorMessage = 'Connection refused';
-        } else if (error.code === 'ETIMEDOUT') {
-          errorMessage = 'Connection timeout';
-        } else if (error.code === 'ENOTFOUND') {
-          errorMessage = 'Host not found';
-        } else if (error.response) {
-          errorMessage = `HTTP ${error.response.status}`;
-        } else if (error.message) {
-          errorMessage = error.message;
-        }
+        const errorMessage = this.describeError(error);
 
         lastError = errorMessage;
+        lastAssertion = error.assertion || null;
+        lastResponseTime = responseTime;
+        this.metrics?.recordCheckAttempt(serviceName, responseTime, this.classifyError(error));
 
         if (attempt < maxRetries) {
           this.logger.warn(
@@ -121,62 +109,252 @@ class HealthChecker {
           );
           // Wait a bit before retrying
           await this.sleep(1000);
-          continue;
         }
-
-        // Last attempt failed
-        this.logger.healthCheck(serviceName, false, responseTime, errorMessage);
-
-        return {
-          success: false,
-          responseTime,
-          error: errorMessage,
-          attempts: attempt,
-        };
       }
     }
 
     // All retries exhausted
-    this.logger.healthCheck(serviceName, false, null, lastError);
+    this.logger.healthCheck(serviceName, false, lastResponseTime, lastError, lastAssertion);
+    this.metrics?.recordCheck(serviceName, false);
     return {
       success: false,
-      responseTime: 0,
+      responseTime: lastResponseTime || 0,
       error: lastError,
+      assertion: lastAssertion,
       attempts: maxRetries,
     };
   }
 
   /**
-   * Sleep for specified milliseconds
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise<void>}
+   * Request the check URL and validate the response
+   * The body is kept as raw text so body and JSON assertions see exactly what was sent.
+   * @param {HealthCheckConfig} check - HTTP check definition
+   * @returns {Promise<void>} Resolves when all assertions pass, rejects otherwise
    */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async checkHttp(check) {
+    const response = await this.axiosInstance.request(this.buildRequestOptions(check));
+
+    this.responseValidator.validate(response, check.assert);
   }
 
   /**
-   * Parse time string to milliseconds
-   * @param {string} timeStr - Time string (e.g., "2s", "5m", "1h")
-   * @returns {number} Milliseconds
+   * Build axios request options for an HTTP check
+   * Secrets are resolved on every check so rotated tokens and files are picked up.
+   * @param {HealthCheckConfig} check - HTTP check definition
+   * @returns {Object} Axios request config
    */
-  parseTimeToMs(timeStr) {
-    const match = timeStr.match(/^(\d+)([smhd])$/);
-    if (!match) {
-      throw new Error(`Invalid time format: ${timeStr}`);
+  buildRequestOptions(check) {
+    const options = {
+      url: check.url,
+      method: (check.method || 'GET').toUpperCase(),
+      headers: { ...(check.headers || {}) },
+      timeout: check.timeout ? parseTimeToMs(check.timeout) : DEFAULT_TIMEOUT,
+      validateStatus: () => true,
+      transformResponse: [data => data],
+    };
+
+    if (check.body !== undefined) {
+      options.data = check.body;
     }
 
-    const value = parseInt(match[1], 10);
-    const unit = match[2];
+    if (check.auth) {
+      if (check.auth.type === 'bearer') {
+        options.headers.Authorization = `Bearer ${resolveSecret(check.auth, 'token')}`;
+      } else {
+        options.auth = {
+          username: resolveSecret(check.auth, 'username'),
+          password: resolveSecret(check.auth, 'password') || '',
+        };
+      }
+    }
 
-    const multipliers = {
-      s: 1000,
-      m: 60 * 1000,
-      h: 60 * 60 * 1000,
-      d: 24 * 60 * 60 * 1000,
-    };
+    if (check.tls) {
+      options.httpsAgent = this.getTlsAgent(check.tls);
+    }
+
+    return options;
+  }
+
+  /**
+   * Get (or create) the HTTPS agent for a TLS config
+   * Certificates are verified unless `verify: false`. The agent is rebuilt when
+   * the modification time of a CA, cert or key file changes, so rotated files
+   * are picked up without a restart.
+   * @param {Object} tls - TLS options from the check config
+   * @returns {https.Agent} HTTPS agent
+   */
+  getTlsAgent(tls) {
+    const key = JSON.stringify(tls);
+    const files = [tls.ca_file, tls.cert_file, tls.key_file].filter(Boolean);
+    const stamp = files.map(file => fs.statSync(file).mtimeMs).join(':');
+    const cached = this.tlsAgents.get(key);
+
+    if (!cached || cached.stamp !== stamp) {
+      const agentOptions = { rejectUnauthorized: tls.verify !== false };
+
+      if (tls.ca_file) agentOptions.ca = fs.readFileSync(tls.ca_file);
+      if (tls.cert_file) agentOptions.cert = fs.readFileSync(tls.cert_file);
+      if (tls.key_file) agentOptions.key = fs.readFileSync(tls.key_file);
+
+      const passphrase = resolveSecret(tls, 'passphrase');
+      if (passphrase) agentOptions.passphrase = passphrase;
+
+      this.tlsAgents.set(key, { stamp, agent: this.createHttpsAgent(agentOptions) });
+    }
+
+    return this.tlsAgents.get(key).agent;
+  }
+
+  /**
+   * Create an HTTPS agent with the shared socket settings
+   * @param {Object} options - Additional https.Agent options
+   * @returns {https.Agent} HTTPS agent
+   */
+  createHttpsAgent(options) {
+    return new https.Agent({
+      keepAlive: false, // Disable keep-alive to prevent socket hang-ups
+      maxSockets: 50,
+      timeout: DEFAULT_TIMEOUT,
+      ...options,
+    });
+  }
+
+  /**
+   * Open a TCP connection and optionally exchange a banner
+   *
+   * Resolves once the connection is established, or once the received data
+   * contains `expect` when it is configured. `send` is written right after
+   * connecting so protocols that wait for the client (e.g. Redis PING) work.
+   *
+   * @param {HealthCheckConfig} check - TCP check definition
+   * @returns {Promise<void>} Resolves when the check passes, rejects otherwise
+   */
+  checkTcp(check) {
+    return new Promise((resolve, reject) => {
+      const timeout = check.timeout ? parseTimeToMs(check.timeout) : DEFAULT_TIMEOUT;
+      const socket = net.createConnection({ host: check.host, port: check.port });
+      let received = '';
+      let settled = false;
 
-    return value * multipliers[unit];
+      const finish = error => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      socket.setTimeout(timeout, () => {
+        const error = new Error('Connection timeout');
+        error.code = 'ETIMEDOUT';
+        finish(error);
+      });
+
+      socket.on('error', finish);
+
+      socket.on('connect', () => {
+        if (check.send !== undefined) {
+          socket.write(String(check.send));
+        }
+        if (check.expect === undefined) {
+          finish();
+        }
+      });
+
+      socket.on('data', chunk => {
+        received += chunk.toString('utf8');
+        if (received.includes(String(check.expect))) {
+          finish();
+        }
+      });
+
+      socket.on('close', () => {
+        finish(new Error(`Expected response not received: ${JSON.stringify(check.expect)}`));
+      });
+    });
+  }
+
+  /**
+   * Normalize a service check definition
+   * A plain string is shorthand for an HTTP check against that URL.
+   * @param {string|HealthCheckConfig} check - Check definition from config
+   * @returns {HealthCheckConfig} Normalized check definition
+   */
+  normalizeCheck(check) {
+    if (typeof check === 'string') {
+      return { type: 'http', url: check };
+    }
+
+    return { ...check, type: check.type || 'http' };
+  }
+
+  /**
+   * Get a human readable target for a check definition
+   * @param {string|HealthCheckConfig} check - Check definition
+   * @returns {string} Check target (URL or tcp://host:port)
+   */
+  describeCheck(check) {
+    const checkConfig = this.normalizeCheck(check);
+
+    if (checkConfig.type === 'tcp') {
+      return `tcp://${checkConfig.host}:${checkConfig.port}`;
+    }
+
+    return checkConfig.url;
+  }
+
+  /**
+   * Map a check error to a short message
+   * @param {Error} error - Error thrown by the check
+   * @returns {string} Error message
+   */
+  describeError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return 'Connection refused';
+    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+      return 'Connection timeout';
+    } else if (error.code === 'ENOTFOUND') {
+      return 'Host not found';
+    } else if (error.response) {
+      return `HTTP ${error.response.status}`;
+    } else if (error.message) {
+      return error.message;
+    }
+
+    return 'Unknown error';
+  }
+
+  /**
+   * Map a check error to a metrics error class
+   * @param {Error} error - Error thrown by the check
+   * @returns {string} Error class
+   */
+  classifyError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return 'connection_refused';
+    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+      return 'timeout';
+    } else if (error.code === 'ENOTFOUND') {
+      return 'host_not_found';
+    } else if (error.code === 'EASSERT') {
+      return 'assertion';
+    } else if (error.response) {
+      return 'http_status';
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -200,13 +378,16 @@ class HealthChecker {
    * @returns {Object} Statistics object
    */
   getStats(serviceName) {
-    // This could be extended to track statistics over time
+    const totals = this.metrics
+      ? this.metrics.getCheckTotals(serviceName)
+      : { total: 0, successful: 0, failed: 0 };
+
     return {
       service: serviceName,
       lastCheck: new Date().toISOString(),
-      totalChecks: 0,
-      successfulChecks: 0,
-      failedChecks: 0,
+      totalChecks: totals.total,
+      successfulChecks: totals.successful,
+      failedChecks: totals.failed,
     };
   }
 }
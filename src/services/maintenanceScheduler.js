@@ -0,0 +1,219 @@
+const { findLastOccurrence, findNextOccurrence } = require('../utils/cron');
+const { parseTimeToMs } = require('../utils/time');
+
+const TICK_INTERVAL = 60 * 1000; // Longest wait between evaluations
+
+/**
+ * Scheduler for planned maintenance windows
+ *
+ * Windows come from the global `maintenance` list (optionally limited with
+ * `services`) and from each service's own `maintenance` list. A window either
+ * opens on a cron expression and lasts `duration`, or runs between explicit
+ * `start` and `end` times. The scheduler only tracks which window is active for
+ * each service; ServiceManager decides what to do when that changes.
+ *
+ * Cron windows are matched with utils/cron on every evaluation, and the next
+ * evaluation is timed to the next opening, so a window found in progress at
+ * startup and one opening later follow the same rules.
+ */
+class MaintenanceScheduler {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.windows = [];
+    this.cronEnds = new Map(); // Window id -> end timestamp of the current cron occurrence
+    this.activeByService = new Map(); // Service name -> id of its active window
+    this.onChange = null;
+    this.timer = null;
+  }
+
+  /**
+   * Load the windows and start evaluating them
+   * Windows active at startup are picked up without calling `onChange`.
+   * @param {Function} onChange - Called with (serviceName, window|null) when a service enters or leaves a window
+   */
+  start(onChange) {
+    this.onChange = onChange;
+    this.load();
+    this.evaluate(false);
+  }
+
+  /**
+   * Stop evaluating the windows
+   */
+  stop() {
+    this.unload();
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reload the windows after a configuration change
+   */
+  reload() {
+    this.unload();
+    this.load();
+    this.evaluate();
+  }
+
+  /**
+   * Build the window list from the configuration
+   */
+  load() {
+    const entries = [].concat(this.config.maintenance || []).map((window, index) => ({
+      ...window,
+      id: `global#${index + 1}`,
+      services: window.services || null,
+    }));
+
+    for (const [serviceName, serviceConfig] of Object.entries(this.config.services)) {
+      [].concat(serviceConfig.maintenance || []).forEach((window, index) => {
+        entries.push({ ...window, id: `${serviceName}#${index + 1}`, services: [serviceName] });
+      });
+    }
+
+    this.windows = entries.map(window => ({
+      ...window,
+      label: window.name || window.id,
+      target: window.target || 'fallback',
+      checks: window.checks || 'suspend',
+      durationMs: window.cron ? parseTimeToMs(window.duration) : null,
+      startMs: window.cron ? null : new Date(window.start).getTime(),
+      endMs: window.cron ? null : new Date(window.end).getTime(),
+    }));
+
+    if (this.windows.length > 0) {
+      this.logger.info(`Loaded ${this.windows.length} maintenance window(s)`, 'maintenance');
+    }
+  }
+
+  /**
+   * Forget the loaded windows
+   */
+  unload() {
+    this.cronEnds.clear();
+    this.windows = [];
+  }
+
+  /**
+   * Find a cron occurrence that opened less than `duration` ago
+   * @param {Object} window - Cron window
+   * @param {number} now - Current timestamp
+   * @returns {number|null} Start timestamp of the occurrence still in progress
+   */
+  findOpenOccurrence(window, now) {
+    return findLastOccurrence(window.cron, window.timezone, now, now - window.durationMs);
+  }
+
+  /**
+   * Update the end of the current occurrence of every cron window
+   * @param {number} now - Current timestamp
+   */
+  updateCronWindows(now) {
+    for (const window of this.windows.filter(w => w.cron)) {
+      const openedAt = this.findOpenOccurrence(window, now);
+      if (openedAt !== null) {
+        this.cronEnds.set(window.id, openedAt + window.durationMs);
+      } else {
+        this.cronEnds.delete(window.id);
+      }
+    }
+  }
+
+  /**
+   * Whether a window is active
+   * @param {Object} window - Maintenance window
+   * @param {number} now - Current timestamp
+   * @returns {boolean} Active status
+   */
+  isActive(window, now) {
+    if (window.cron) {
+      return (this.cronEnds.get(window.id) || 0) > now;
+    }
+    return window.startMs <= now && now < window.endMs;
+  }
+
+  /**
+   * Get the end of the current occurrence of a window
+   * @param {Object} window - Maintenance window
+   * @returns {Date|null} End time (null if the window is not active)
+   */
+  getWindowEnd(window) {
+    const end = window.cron ? this.cronEnds.get(window.id) : window.endMs;
+    return end ? new Date(end) : null;
+  }
+
+  /**
+   * Get the active window of a service
+   * Service windows take precedence over global ones.
+   * @param {string} serviceName - Name of the service
+   * @returns {Object|null} Active window
+   */
+  getActiveWindow(serviceName) {
+    const now = Date.now();
+    const matching = this.windows.filter(
+      window =>
+        (!window.services || window.services.includes(serviceName)) && this.isActive(window, now)
+    );
+
+    return matching.find(window => !window.id.startsWith('global#')) || matching[0] || null;
+  }
+
+  /**
+   * Recompute the active window of every service and report changes
+   * @param {boolean} [notify] - Call `onChange` for services whose window changed
+   */
+  evaluate(notify = true) {
+    this.updateCronWindows(Date.now());
+
+    for (const serviceName of Object.keys(this.config.services)) {
+      const window = this.getActiveWindow(serviceName);
+      const previousId = this.activeByService.get(serviceName) || null;
+      const currentId = window ? window.id : null;
+
+      if (currentId === previousId) {
+        continue;
+      }
+
+      if (currentId) {
+        this.activeByService.set(serviceName, currentId);
+      } else {
+        this.activeByService.delete(serviceName);
+      }
+
+      if (notify && this.onChange) {
+        this.onChange(serviceName, window);
+      }
+    }
+
+    for (const serviceName of this.activeByService.keys()) {
+      if (!this.config.services[serviceName]) {
+        this.activeByService.delete(serviceName);
+      }
+    }
+
+    this.scheduleNextEvaluation();
+  }
+
+  /**
+   * Evaluate again at the next window start or end (or after TICK_INTERVAL)
+   */
+  scheduleNextEvaluation() {
+    const now = Date.now();
+    const boundaries = [...this.cronEnds.values()];
+    for (const window of this.windows) {
+      if (window.cron) {
+        boundaries.push(findNextOccurrence(window.cron, window.timezone, now, now + TICK_INTERVAL));
+      } else {
+        boundaries.push(window.startMs, window.endMs);
+      }
+    }
+    const next = Math.min(now + TICK_INTERVAL, ...boundaries.filter(time => time > now));
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.evaluate(), next - now);
+    this.timer.unref();
+  }
+}
+
+module.exports = MaintenanceScheduler;
@@ -0,0 +1,89 @@
+const MaintenanceScheduler = require('./maintenanceScheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+});
+
+describe('MaintenanceScheduler', () => {
+  let scheduler;
+
+  const start = config => {
+    const onChange = jest.fn();
+    scheduler = new MaintenanceScheduler(config, createLogger());
+    scheduler.start(onChange);
+    return onChange;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-05-03T04:30:00Z') });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  it('picks up a cron window that opened before startup without reporting it', () => {
+    const onChange = start({
+      maintenance: [{ name: 'patching', cron: '0 3 * * *', duration: '2h', timezone: 'UTC' }],
+      services: { api: {} },
+    });
+
+    expect(scheduler.getActiveWindow('api')).toMatchObject({ label: 'patching' });
+    expect(scheduler.getWindowEnd(scheduler.getActiveWindow('api')).toISOString()).toBe(
+      '2024-05-03T05:00:00.000Z'
+    );
+    expect(onChange).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    expect(onChange).toHaveBeenLastCalledWith('api', null);
+    expect(scheduler.getActiveWindow('api')).toBeNull();
+  });
+
+  it('opens a cron window on time', () => {
+    const onChange = start({
+      services: {
+        api: { maintenance: { cron: '0 3 * * *', duration: '1h', timezone: 'UTC' } },
+      },
+    });
+    expect(scheduler.getActiveWindow('api')).toBeNull();
+
+    // Due at 03:00 the next day
+    jest.advanceTimersByTime(22.5 * HOUR - 1);
+    expect(onChange).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onChange).toHaveBeenCalledWith('api', expect.objectContaining({ id: 'api#1' }));
+
+    jest.advanceTimersByTime(HOUR);
+    expect(onChange).toHaveBeenLastCalledWith('api', null);
+  });
+
+  it('opens on either day when both day fields are restricted', () => {
+    // Friday 3 May: the next match is the 6th (a Monday), not the 1st of June
+    const onChange = start({
+      maintenance: [{ cron: '0 3 1 * mon', duration: '1h', timezone: 'UTC' }],
+      services: { api: {} },
+    });
+
+    jest.advanceTimersByTime(2 * 24 * HOUR + 22.5 * HOUR);
+    expect(onChange).toHaveBeenCalledWith('api', expect.objectContaining({ id: 'global#1' }));
+  });
+
+  it('prefers a service window over a global one', () => {
+    start({
+      maintenance: [{ cron: '0 3 * * *', duration: '2h', timezone: 'UTC' }],
+      services: {
+        api: { maintenance: { start: '2024-05-03T04:00:00Z', end: '2024-05-03T06:00:00Z' } },
+        web: {},
+      },
+    });
+
+    expect(scheduler.getActiveWindow('api').id).toBe('api#1');
+    expect(scheduler.getActiveWindow('web').id).toBe('global#1');
+  });
+});
@@ -1,15 +1,20 @@
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
+const ConfBackupStore = require('./confBackupStore');
+const { parseConfig, findSetDirectives, applyEdits } = require('../utils/nginxConf');
 
 /**
  * Nginx configuration updater service
  */
 class NginxConfigUpdater {
-  constructor(config, logger) {
+  constructor(config, logger, metrics = null, notifier = null) {
     this.config = config;
     this.logger = logger;
+    this.metrics = metrics; // Optional SwitcherMetrics
+    this.notifier = notifier; // Optional NotificationManager
     this.nginxConfDir = config.nginx_conf_dir;
+    this.confBackups = new ConfBackupStore(config, logger);
     this.nginxRefreshCmd = config.nginx_refresh_cmd || '/usr/sbin/nginx -s reload';
     this.nginxTestCmd = this.getNginxTestCommand();
   }
@@ -60,7 +65,7 @@ class NginxConfigUpdater {
    * @param {number} newPort - New forward port
    * @param {string} oldScheme - Current forward scheme
    * @param {string} newScheme - New forward scheme
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<string|null>} Backup file path on success, null on failure
    */
   async updateProxyConfig(proxyId, oldHost, newHost, oldPort, newPort, oldScheme, newScheme) {
     const configPath = path.join(this.nginxConfDir, `${proxyId}.conf`);
@@ -69,18 +74,13 @@ class NginxConfigUpdater {
       // Check if config file exists
       if (!fs.existsSync(configPath)) {
         this.logger.error(`Nginx config file not found: ${configPath}`, 'nginx', { proxyId });
-        return false;
+        return null;
       }
 
       // Read current configuration
       const configContent = fs.readFileSync(configPath, 'utf8');
 
-      // Create backup
-      const backupPath = `${configPath}.backup.${Date.now()}`;
-      fs.writeFileSync(backupPath, configContent);
-      this.logger.debug(`Created backup: ${backupPath}`, 'nginx', { proxyId });
-
-      // Update configuration
+      // Update configuration (throws before anything is written if the conf cannot be edited)
       const updatedContent = this.replaceUpstreamConfig(
         configContent,
         oldHost,
@@ -91,8 +91,11 @@ class NginxConfigUpdater {
         newScheme
       );
 
+      // Create backup
+      const backupPath = this.backupProxyConfig(proxyId, configContent);
+
       // Write updated configuration
-      fs.writeFileSync(configPath, updatedContent);
+      this.writeFileAtomic(configPath, updatedContent);
 
       this.logger.configUpdate('nginx', oldHost, newHost, oldPort, newPort);
       this.logger.info(`Updated Nginx config: ${configPath}`, 'nginx', {
@@ -105,67 +108,266 @@ class NginxConfigUpdater {
         newScheme,
       });
 
-      return true;
+      return backupPath;
     } catch (error) {
       this.logger.error(`Failed to update Nginx config: ${error.message}`, 'nginx', {
         proxyId,
         configPath,
         error: error.message,
       });
+      return null;
+    }
+  }
+
+  /**
+   * Replace a proxy host config file with given content (e.g. a conf captured in a snapshot)
+   * @param {number} proxyId - Proxy host ID
+   * @param {string} content - New file content
+   * @returns {string|null} Backup file path on success, null on failure
+   */
+  replaceProxyConfig(proxyId, content) {
+    const configPath = path.join(this.nginxConfDir, `${proxyId}.conf`);
+
+    try {
+      if (!fs.existsSync(configPath)) {
+        this.logger.error(`Nginx config file not found: ${configPath}`, 'nginx', { proxyId });
+        return null;
+      }
+
+      const backupPath = this.backupProxyConfig(proxyId, fs.readFileSync(configPath, 'utf8'));
+      this.writeFileAtomic(configPath, content);
+      this.logger.info(`Replaced Nginx config: ${configPath}`, 'nginx', { proxyId });
+
+      return backupPath;
+    } catch (error) {
+      this.logger.error(`Failed to replace Nginx config: ${error.message}`, 'nginx', {
+        proxyId,
+        configPath,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Write a backup of a proxy host config file before changing it
+   * Backups go to the conf backup store under backup_dir, not into nginx_conf_dir.
+   * @param {number} proxyId - Proxy host ID
+   * @param {string} content - Current file content
+   * @returns {string} Backup file path
+   */
+  backupProxyConfig(proxyId, content) {
+    const backupPath = this.confBackups.write(proxyId, content);
+    this.logger.debug(`Created backup: ${backupPath}`, 'nginx', { proxyId });
+    return backupPath;
+  }
+
+  /**
+   * Read a proxy host config file
+   * @param {number} proxyId - Proxy host ID
+   * @returns {string|null} File content, null if the file is missing
+   */
+  readProxyConfig(proxyId) {
+    const configPath = path.join(this.nginxConfDir, `${proxyId}.conf`);
+    return fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null;
+  }
+
+  /**
+   * Restore a proxy host config file from a backup
+   * @param {number} proxyId - Proxy host ID
+   * @param {string} backupPath - Backup file created by backupProxyConfig
+   * @returns {boolean} Success status
+   */
+  restoreProxyConfig(proxyId, backupPath) {
+    const configPath = path.join(this.nginxConfDir, `${proxyId}.conf`);
+
+    try {
+      this.writeFileAtomic(configPath, this.confBackups.read(backupPath));
+      this.logger.info(`Restored Nginx config from backup: ${backupPath}`, 'nginx', { proxyId });
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to restore Nginx config: ${error.message}`, 'nginx', {
+        proxyId,
+        backupPath,
+      });
       return false;
     }
   }
 
+  /**
+   * Read the forward host, port and scheme from a proxy host config file
+   * @param {number} proxyId - Proxy host ID
+   * @returns {{host: string|null, port: number|null, scheme: string|null}|null} Upstream values, null if the file is missing or cannot be parsed
+   */
+  readProxyUpstream(proxyId) {
+    const content = this.readProxyConfig(proxyId);
+    if (content === null) {
+      return null;
+    }
+
+    try {
+      return this.parseUpstream(content);
+    } catch (error) {
+      this.logger.error(`Cannot parse ${proxyId}.conf: ${error.message}`, 'nginx', { proxyId });
+      return null;
+    }
+  }
+
+  /**
+   * Read the forward host, port and scheme from config content
+   * @param {string} content - Config content
+   * @returns {{host: string|null, port: number|null, scheme: string|null}} Upstream values (null for missing directives)
+   * @throws {Error} If the content cannot be parsed
+   */
+  parseUpstream(content) {
+    const { host, port, scheme } = this.findUpstreamDirectives(content);
+    const value = directive => (directive ? directive.args[1].value : null);
+
+    return {
+      host: value(host),
+      port: /^\d+$/.test(value(port)) ? parseInt(value(port), 10) : null,
+      scheme: value(scheme),
+    };
+  }
+
+  /**
+   * Write a file atomically (temp file in the same directory, then rename)
+   * Nginx never sees a half-written config, even if the process dies mid-write.
+   * @param {string} filePath - Destination path
+   * @param {string} content - File content
+   */
+  writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+
+    try {
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
   /**
    * Replace upstream configuration in Nginx config content
    *
-   * Supports Nginx Proxy Manager format:
+   * Edits the Nginx Proxy Manager directives at the top level of the server block:
    * - set $forward_scheme http;
    * - set $server "192.168.11.2";
    * - set $port 8010;
    *
-   * Also supports traditional upstream format as fallback:
-   * - server 192.168.11.1:8000;
+   * The same directives in nested blocks (custom locations, advanced config) and
+   * comments are left alone. Confs without these directives fall back to the
+   * traditional format, `server 192.168.11.1:8000;` in an upstream block.
    *
    * @param {string} content - Original config content
-   * @param {string} oldHost - Current host
+   * @param {string} oldHost - Current host (matched in upstream blocks only)
    * @param {string} newHost - New host
-   * @param {number} oldPort - Current port
+   * @param {number} oldPort - Current port (matched in upstream blocks only)
    * @param {number} newPort - New port
    * @param {string} oldScheme - Current scheme
-   * @param {string} newScheme - New scheme
+   * @param {string} newScheme - New scheme (left as it is when empty)
    * @returns {string} Updated config content
+   * @throws {Error} If the content cannot be parsed or lacks the directives to edit
    */
   replaceUpstreamConfig(content, oldHost, newHost, oldPort, newPort, oldScheme, newScheme) {
-    let updatedContent = content;
+    const { server, host, port, scheme } = this.findUpstreamDirectives(content);
 
-    // Handle Nginx Proxy Manager format: set $forward_scheme http;
-    if (oldScheme && newScheme && oldScheme !== newScheme) {
-      const schemeSetPattern = new RegExp(`(set\\s+\\$forward_scheme\\s*)${oldScheme}(\\s*;)`, 'g');
-      updatedContent = updatedContent.replace(schemeSetPattern, `$1${newScheme}$2`);
+    if (!host && !port) {
+      return this.replaceUpstreamServer(content, oldHost, newHost, oldPort, newPort);
     }
 
-    // Handle Nginx Proxy Manager format: set $server "192.168.11.2";
-    const serverSetPattern = new RegExp(
-      `(set\\s+\\$server\\s*")${oldHost.replace(/\./g, '\\.')}("\\s*;)`,
-      'g'
-    );
-    updatedContent = updatedContent.replace(serverSetPattern, `$1${newHost}$2`);
+    const missing = [
+      !host && 'set $server',
+      !port && 'set $port',
+      newScheme && !scheme && 'set $forward_scheme',
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      throw new Error(
+        `Server block on line ${server.line} has no ${missing.map(name => `"${name}"`).join(', ')} directive`
+      );
+    }
+
+    const edits = [
+      { token: host.args[1], value: newHost },
+      { token: port.args[1], value: newPort },
+    ];
+    if (newScheme) {
+      edits.push({ token: scheme.args[1], value: newScheme });
+    }
+    return applyEdits(content, edits);
+  }
+
+  /**
+   * Replace an upstream block server address (traditional format)
+   * @param {string} content - Original config content
+   * @param {string} oldHost - Current host
+   * @param {string} newHost - New host
+   * @param {number} oldPort - Current port
+   * @param {number} newPort - New port
+   * @returns {string} Updated config content
+   * @throws {Error} If no upstream block has the current address
+   */
+  replaceUpstreamServer(content, oldHost, newHost, oldPort, newPort) {
+    const address = this.formatServerAddress(oldHost, oldPort);
+    const edits = parseConfig(content)
+      .filter(directive => directive.name === 'upstream' && directive.block)
+      .flatMap(upstream =>
+        upstream.block.filter(
+          directive => directive.name === 'server' && directive.args[0]?.value === address
+        )
+      )
+      .map(directive => ({
+        token: directive.args[0],
+        value: this.formatServerAddress(newHost, newPort),
+      }));
 
-    // Handle Nginx Proxy Manager format: set $port 8010;
-    const portSetPattern = new RegExp(`(set\\s+\\$port\\s*)${oldPort}(\\s*;)`, 'g');
-    updatedContent = updatedContent.replace(portSetPattern, `$1${newPort}$2`);
+    if (edits.length === 0) {
+      throw new Error(
+        `No "set $server" and "set $port" directives in a server block, and no upstream server ${address}`
+      );
+    }
+    return applyEdits(content, edits);
+  }
 
-    // Also handle traditional upstream server format as fallback
-    // Matches: server 192.168.11.1:8000;
-    const serverPattern = new RegExp(`server\\s+${oldHost.replace(/\./g, '\\.')}:${oldPort};`, 'g');
-    updatedContent = updatedContent.replace(serverPattern, `server ${newHost}:${newPort};`);
+  /**
+   * Find the NPM upstream directives of a proxy host config
+   * Only top-level directives of the server block count; when several server
+   * blocks exist, the first one with a `set $server` or `set $port` is used.
+   * @param {string} content - Config content
+   * @returns {{server: Object|null, host: Object|null, port: Object|null, scheme: Object|null}} Server block and the first directive of each kind in it
+   * @throws {Error} If the content cannot be parsed
+   */
+  findUpstreamDirectives(content) {
+    const servers = parseConfig(content).filter(
+      directive => directive.name === 'server' && directive.block
+    );
+    const server =
+      servers.find(
+        block =>
+          findSetDirectives(block.block, '$server').length > 0 ||
+          findSetDirectives(block.block, '$port').length > 0
+      ) ||
+      servers[0] ||
+      null;
+    const first = variable =>
+      server ? findSetDirectives(server.block, variable)[0] || null : null;
 
-    // Handle cases where host and port might be on separate lines
-    const hostPattern = new RegExp(`server\\s+${oldHost.replace(/\./g, '\\.')}:${oldPort}`, 'g');
-    updatedContent = updatedContent.replace(hostPattern, `server ${newHost}:${newPort}`);
+    return {
+      server,
+      host: first('$server'),
+      port: first('$port'),
+      scheme: first('$forward_scheme'),
+    };
+  }
 
-    return updatedContent;
+  /**
+   * Format a host and port as an nginx server address (IPv6 hosts in brackets)
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {string} host:port
+   */
+  formatServerAddress(host, port) {
+    return String(host).includes(':') ? `[${host}]:${port}` : `${host}:${port}`;
   }
 
   /**
@@ -179,6 +381,13 @@ class NginxConfigUpdater {
       exec(this.nginxRefreshCmd, (error, stdout, stderr) => {
         if (error) {
           this.logger.nginxReload(false, error.message);
+          this.metrics?.recordNginxReload(false);
+          this.notifier?.notify({
+            event: 'nginx-reload-failed',
+            service: null,
+            domain: null,
+            error: error.message,
+          });
           this.logger.error(`Nginx reload failed: ${error.message}`, 'nginx', {
             command: this.nginxRefreshCmd,
             stderr: stderr.toString(),
@@ -186,6 +395,7 @@ class NginxConfigUpdater {
           resolve(false);
         } else {
           this.logger.nginxReload(true);
+          this.metrics?.recordNginxReload(true);
           this.logger.info('Nginx reloaded successfully', 'nginx');
           resolve(true);
         }
@@ -207,9 +417,11 @@ class NginxConfigUpdater {
             command: this.nginxTestCmd,
             stderr: stderr.toString(),
           });
+          this.metrics?.recordNginxTest(false);
           resolve(false);
         } else {
           this.logger.debug('Nginx configuration test passed', 'nginx');
+          this.metrics?.recordNginxTest(true);
           resolve(true);
         }
       });
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NginxConfigUpdater = require('./nginxConfigUpdater');
+
+const NPM_CONF = `server {
+  set $forward_scheme http;
+  set $server         "10.0.0.1";
+  set $port           8080;
+
+  listen 80;
+  server_name api.example.com;
+
+  # set $server "10.0.0.1";
+  location /legacy {
+    set $server "10.0.0.1";
+    proxy_pass http://10.0.0.1:8080;
+  }
+
+  location / {
+    include conf.d/include/proxy.conf;
+  }
+}
+`;
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  configUpdate: jest.fn(),
+});
+
+describe('NginxConfigUpdater', () => {
+  let root;
+  let updater;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nginx-updater-'));
+    updater = new NginxConfigUpdater(
+      { nginx_conf_dir: path.join(root, 'conf'), backup_dir: path.join(root, 'backups') },
+      createLogger()
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('replaceUpstreamConfig', () => {
+    it('edits the top-level NPM directives only', () => {
+      const updated = updater.replaceUpstreamConfig(
+        NPM_CONF,
+        '10.0.0.1',
+        '10.0.0.2',
+        8080,
+        9090,
+        'http',
+        'https'
+      );
+
+      expect(updated).toBe(
+        NPM_CONF.replace('$forward_scheme http', '$forward_scheme https')
+          .replace('$server         "10.0.0.1"', '$server         "10.0.0.2"')
+          .replace('$port           8080', '$port           9090')
+      );
+      expect(updater.parseUpstream(updated)).toEqual({
+        host: '10.0.0.2',
+        port: 9090,
+        scheme: 'https',
+      });
+    });
+
+    it('leaves the scheme alone without a new scheme', () => {
+      const updated = updater.replaceUpstreamConfig(
+        NPM_CONF,
+        '10.0.0.1',
+        '10.0.0.2',
+        8080,
+        8080,
+        'http',
+        null
+      );
+
+      expect(updater.parseUpstream(updated).scheme).toBe('http');
+    });
+
+    it('writes an IPv6 host into set $server', () => {
+      const updated = updater.replaceUpstreamConfig(
+        NPM_CONF,
+        '10.0.0.1',
+        'fd00::2',
+        8080,
+        8080,
+        'http',
+        'http'
+      );
+
+      expect(updated).toContain('set $server         "fd00::2";');
+      expect(updater.parseUpstream(updated).host).toBe('fd00::2');
+    });
+
+    it('replaces an IPv6 server in an upstream block (traditional format)', () => {
+      const content = 'upstream backend {\n  server [fd00::1]:8080 max_fails=3;\n}\n';
+
+      expect(
+        updater.replaceUpstreamConfig(content, 'fd00::1', 'fd00::2', 8080, 8081, 'http', 'http')
+      ).toBe('upstream backend {\n  server [fd00::2]:8081 max_fails=3;\n}\n');
+      expect(
+        updater.replaceUpstreamConfig(content, 'fd00::1', '10.0.0.2', 8080, 8080, 'http', 'http')
+      ).toBe('upstream backend {\n  server 10.0.0.2:8080 max_fails=3;\n}\n');
+    });
+
+    it('names the missing directive', () => {
+      const content = 'server {\n  set $server "10.0.0.1";\n  listen 80;\n}\n';
+
+      expect(() =>
+        updater.replaceUpstreamConfig(content, '10.0.0.1', '10.0.0.2', 8080, 8080, 'http', 'http')
+      ).toThrow('Server block on line 1 has no "set $port", "set $forward_scheme" directive');
+      expect(() =>
+        updater.replaceUpstreamConfig(content, '10.0.0.1', '10.0.0.2', 8080, 8080, 'http', null)
+      ).toThrow('Server block on line 1 has no "set $port" directive');
+    });
+
+    it('throws when neither directives nor an upstream server match', () => {
+      const content = 'upstream backend {\n  server 10.0.0.5:8080;\n}\n';
+
+      expect(() =>
+        updater.replaceUpstreamConfig(content, '10.0.0.1', '10.0.0.2', 8080, 8080, 'http', 'http')
+      ).toThrow('no upstream server 10.0.0.1:8080');
+    });
+
+    it('throws on content it cannot parse', () => {
+      expect(() =>
+        updater.replaceUpstreamConfig(
+          'server {\n  set $server "10.0.0.1;\n}\n',
+          '10.0.0.1',
+          '10.0.0.2',
+          8080,
+          8080,
+          'http',
+          'http'
+        )
+      ).toThrow('Unterminated string');
+    });
+  });
+
+  describe('updateProxyConfig', () => {
+    const confPath = () => path.join(root, 'conf', '1.conf');
+    const backupDir = () => path.join(root, 'backups', 'conf', '1');
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(root, 'conf'));
+    });
+
+    it('backs up the conf and writes the new upstream', async () => {
+      fs.writeFileSync(confPath(), NPM_CONF);
+
+      const backupPath = await updater.updateProxyConfig(
+        1,
+        '10.0.0.1',
+        '10.0.0.2',
+        8080,
+        8080,
+        'http',
+        'http'
+      );
+
+      expect(updater.confBackups.read(backupPath)).toBe(NPM_CONF);
+      expect(updater.readProxyUpstream(1)).toEqual({
+        host: '10.0.0.2',
+        port: 8080,
+        scheme: 'http',
+      });
+    });
+
+    it('writes no backup when the conf cannot be edited', async () => {
+      const content = 'server {\n  set $server "10.0.0.1";\n}\n';
+      fs.writeFileSync(confPath(), content);
+
+      await expect(
+        updater.updateProxyConfig(1, '10.0.0.1', '10.0.0.2', 8080, 8080, 'http', 'http')
+      ).resolves.toBeNull();
+
+      expect(fs.existsSync(backupDir())).toBe(false);
+      expect(fs.readFileSync(confPath(), 'utf8')).toBe(content);
+    });
+  });
+});
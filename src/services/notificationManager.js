@@ -0,0 +1,320 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const EmailNotifier = require('./emailNotifier');
+const { NOTIFICATION_EVENTS, SINK_TYPES } = require('../config/constants');
+const { resolveSecret } = require('../utils/secrets');
+const { parseTimeToMs } = require('../utils/time');
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF = '1s';
+const DEFAULT_DEDUPE_WINDOW = '5m';
+const REQUEST_TIMEOUT = 10000;
+
+const DEFAULT_TEMPLATES = {
+  failover: '🔴 {{service}} ({{domain}}) failed over: {{from}} → {{to}}. {{error}}',
+  failback: '🟢 {{service}} ({{domain}}) failed back: {{from}} → {{to}}',
+  'tier-change': '🟠 {{service}} ({{domain}}) moved to another fallback: {{from}} → {{to}}',
+  'switch-failed':
+    '❌ {{service}} ({{domain}}) switch {{from}} → {{to}} failed at {{failed_step}}: {{error}}',
+  'all-down': '🚨 {{service}} ({{domain}}) primary and all fallbacks are down. {{error}}',
+  'check-failed': '⚠️ {{service}} ({{domain}}) health check failing: {{error}}',
+  'check-recovered': '✅ {{service}} ({{domain}}) health check passing again',
+  'nginx-reload-failed': '❌ nginx reload failed: {{error}}',
+  'maintenance-start': '🛠️ {{service}} ({{domain}}) entered maintenance window {{window}}',
+  'maintenance-end': '🛠️ {{service}} ({{domain}}) maintenance ended, health-driven routing resumed',
+  'drift-detected':
+    '🔀 {{service}} ({{domain}}) {{kind}}: NPM has {{from}}, expected {{to}} (policy {{policy}}: {{decision}})',
+};
+
+/**
+ * Notification dispatcher for service state transitions
+ *
+ * Events are fanned out to the configured sinks (generic webhook, Slack,
+ * Mattermost, Discord, Telegram, email). Delivery runs in the background with
+ * retries and never throws, so a broken sink cannot block or fail a switch.
+ * Email sinks with a `digest_window` batch events into one message per window.
+ */
+class NotificationManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.sinks = (config.notifications && config.notifications.sinks) || [];
+    this.lastSent = new Map(); // Dedupe key -> timestamp of the last notification
+    this.emailNotifiers = new Map(); // Sink index -> EmailNotifier
+    this.digests = new Map(); // Digest key -> pending batch
+  }
+
+  /**
+   * Whether any sink is configured
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return this.sinks.length > 0;
+  }
+
+  /**
+   * Send an event to every matching sink without waiting for delivery
+   * @param {NotificationEvent} event - Event to send
+   */
+  notify(event) {
+    const payload = { timestamp: new Date().toISOString(), ...event };
+
+    this.sinks.forEach((sink, index) => {
+      Promise.resolve()
+        .then(() => {
+          if (!this.shouldSend(sink, index, payload)) {
+            return null;
+          }
+
+          const template = sink.template || DEFAULT_TEMPLATES[payload.event];
+          const message = { ...payload, message: this.render(template, payload) };
+
+          if (sink.type === 'email' && sink.digest_window) {
+            this.enqueueDigest(sink, index, message);
+            return null;
+          }
+
+          return this.deliver(sink, index, [message]);
+        })
+        .catch(error => {
+          this.logger.error(
+            `Notification to ${this.describeSink(sink, index)} failed: ${error.message}`,
+            'notifications'
+          );
+        });
+    });
+  }
+
+  /**
+   * Apply per-sink routing and the dedupe window
+   * @param {NotificationSinkConfig} sink - Sink configuration
+   * @param {number} index - Sink position (used when the sink has no name)
+   * @param {NotificationEvent} event - Event to send
+   * @returns {boolean} Whether the event should be sent to the sink
+   */
+  shouldSend(sink, index, event) {
+    if (sink.services && event.service && !sink.services.includes(event.service)) {
+      return false;
+    }
+
+    if (sink.events && !sink.events.includes(event.event)) {
+      return false;
+    }
+
+    const windowMs = parseTimeToMs(sink.dedupe_window || DEFAULT_DEDUPE_WINDOW);
+    const key = `${this.describeSink(sink, index)}|${event.service}|${event.event}`;
+    const now = Date.now();
+    const last = this.lastSent.get(key);
+
+    if (last !== undefined && now - last < windowMs) {
+      this.logger.debug(
+        `Suppressed duplicate ${event.event} notification for ${event.service}`,
+        'notifications'
+      );
+      return false;
+    }
+
+    this.lastSent.set(key, now);
+    return true;
+  }
+
+  /**
+   * Queue an event for the next digest email of a sink
+   * Events are grouped by recipient list; the first event of a group starts the window.
+   * @param {NotificationSinkConfig} sink - Email sink configuration
+   * @param {number} index - Sink position
+   * @param {NotificationEvent} event - Event with rendered message
+   */
+  enqueueDigest(sink, index, event) {
+    const recipients = this.getEmailNotifier(sink, index).getRecipients(event.service);
+    const key = `${index}|${recipients.join(',')}`;
+
+    if (!this.digests.has(key)) {
+      const timer = setTimeout(() => this.flushDigest(key), parseTimeToMs(sink.digest_window));
+      timer.unref();
+      this.digests.set(key, { sink, index, events: [], timer });
+    }
+
+    this.digests.get(key).events.push(event);
+  }
+
+  /**
+   * Send a pending digest
+   * @param {string} key - Digest key
+   * @returns {Promise<void>} Resolves once sent (or failed and logged)
+   */
+  async flushDigest(key) {
+    const batch = this.digests.get(key);
+    if (!batch) {
+      return;
+    }
+
+    this.digests.delete(key);
+    clearTimeout(batch.timer);
+
+    try {
+      await this.deliver(batch.sink, batch.index, batch.events);
+    } catch (error) {
+      this.logger.error(
+        `Notification to ${this.describeSink(batch.sink, batch.index)} failed: ${error.message}`,
+        'notifications'
+      );
+    }
+  }
+
+  /**
+   * Flush pending digests and close email transports
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await Promise.all([...this.digests.keys()].map(key => this.flushDigest(key)));
+
+    for (const notifier of this.emailNotifiers.values()) {
+      notifier.close();
+    }
+    this.emailNotifiers.clear();
+  }
+
+  /**
+   * Replace the configured sinks after a config reload
+   * Pending digests are sent with the old sinks first since state is keyed by sink position.
+   * @param {Array<NotificationSinkConfig>} sinks - New sink configurations
+   * @returns {Promise<void>}
+   */
+  async updateSinks(sinks) {
+    await this.shutdown();
+    this.sinks = sinks;
+  }
+
+  /**
+   * Deliver events to a sink, retrying with exponential backoff
+   * HTTP sinks receive a single event; email sinks may receive a digest batch.
+   * @param {NotificationSinkConfig} sink - Sink configuration
+   * @param {number} index - Sink position
+   * @param {Array<NotificationEvent>} events - Events with rendered messages
+   * @returns {Promise<void>} Resolves when delivered, rejects after the last retry
+   */
+  async deliver(sink, index, events) {
+    const attempts = (sink.retries ?? DEFAULT_RETRIES) + 1;
+    const backoffMs = parseTimeToMs(sink.backoff || DEFAULT_BACKOFF);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        if (sink.type === 'email') {
+          await this.getEmailNotifier(sink, index).send(events);
+        } else {
+          const request = this.buildRequest(sink, events[0]);
+          await axios.post(request.url, request.body, {
+            headers: request.headers,
+            timeout: REQUEST_TIMEOUT,
+          });
+        }
+        this.logger.debug(
+          `Sent ${events.length} notification(s) to ${this.describeSink(sink, index)}`,
+          'notifications'
+        );
+        return;
+      } catch (error) {
+        lastError = error;
+        if (attempt < attempts) {
+          await this.sleep(backoffMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    const status = lastError.response ? `HTTP ${lastError.response.status}` : lastError.message;
+    throw new Error(`${status} after ${attempts} attempt(s)`);
+  }
+
+  /**
+   * Build the HTTP request for a sink
+   * @param {NotificationSinkConfig} sink - Sink configuration
+   * @param {NotificationEvent} event - Event to send
+   * @returns {{url: string, body: string, headers: Object}} Request
+   */
+  buildRequest(sink, event) {
+    const text = event.message;
+    const headers = { 'Content-Type': 'application/json', ...(sink.headers || {}) };
+    let { url } = sink;
+    let payload;
+
+    switch (sink.type) {
+      case 'slack':
+      case 'mattermost':
+        payload = { text };
+        break;
+      case 'discord':
+        payload = { content: text };
+        break;
+      case 'telegram':
+        url = url || `https://api.telegram.org/bot${resolveSecret(sink, 'token')}/sendMessage`;
+        payload = { chat_id: sink.chat_id, text };
+        break;
+      default:
+        payload = event;
+    }
+
+    const body = JSON.stringify(payload);
+
+    const secret = sink.type === 'webhook' ? resolveSecret(sink, 'secret') : null;
+    if (secret) {
+      headers['X-Switcher-Signature'] =
+        `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    return { url, body, headers };
+  }
+
+  /**
+   * Get (or create) the email notifier of a sink
+   * @param {NotificationSinkConfig} sink - Email sink configuration
+   * @param {number} index - Sink position
+   * @returns {EmailNotifier} Email notifier
+   */
+  getEmailNotifier(sink, index) {
+    if (!this.emailNotifiers.has(index)) {
+      this.emailNotifiers.set(index, new EmailNotifier(sink, this.logger));
+    }
+    return this.emailNotifiers.get(index);
+  }
+
+  /**
+   * Render `{{field}}` placeholders with event values
+   * @param {string} template - Message template
+   * @param {NotificationEvent} event - Event
+   * @returns {string} Rendered message
+   */
+  render(template, event) {
+    return template
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, key) => {
+        const value = event[key];
+        return value === undefined || value === null ? '' : String(value);
+      })
+      .trim();
+  }
+
+  /**
+   * Get a readable name for a sink
+   * @param {NotificationSinkConfig} sink - Sink configuration
+   * @param {number} index - Sink position
+   * @returns {string} Sink name
+   */
+  describeSink(sink, index) {
+    return sink.name || `${sink.type}#${index + 1}`;
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+NotificationManager.EVENTS = NOTIFICATION_EVENTS;
+NotificationManager.SINK_TYPES = SINK_TYPES;
+
+module.exports = NotificationManager;
@@ -0,0 +1,148 @@
+const { resolveJsonPath } = require('../utils/jsonPath');
+
+/**
+ * Response validator for HTTP health check assertions
+ */
+class ResponseValidator {
+  /**
+   * Validate an HTTP response against the configured assertions
+   * Throws on the first failing assertion; the error carries the assertion
+   * name in `error.assertion` so the health check result can report it.
+   * @param {Object} response - Axios response (body kept as raw text)
+   * @param {ResponseAssertions} [assertions] - Assertions from the check config
+   */
+  validate(response, assertions = {}) {
+    this.validateStatus(response.status, assertions.status);
+
+    const body = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+
+    if (assertions.body !== undefined && !body.includes(String(assertions.body))) {
+      throw this.createError('body', `body does not contain ${JSON.stringify(assertions.body)}`);
+    }
+
+    if (assertions.body_regex !== undefined && !new RegExp(assertions.body_regex).test(body)) {
+      throw this.createError('body_regex', `body does not match /${assertions.body_regex}/`);
+    }
+
+    if (assertions.json) {
+      this.validateJson(body, assertions.json);
+    }
+
+    if (assertions.headers) {
+      this.validateHeaders(response.headers || {}, assertions.headers);
+    }
+  }
+
+  /**
+   * Validate the response status code
+   * @param {number} status - HTTP status code
+   * @param {Array<number|string>} [allowed] - Allowed codes or "min-max" ranges (defaults to 2xx)
+   */
+  validateStatus(status, allowed) {
+    if (!allowed) {
+      if (status < 200 || status >= 300) {
+        throw this.createError('status', `HTTP ${status}`);
+      }
+      return;
+    }
+
+    const rules = Array.isArray(allowed) ? allowed : [allowed];
+    const matches = rules.some(rule => {
+      const [min, max] = this.parseStatusRule(rule);
+      return status >= min && status <= max;
+    });
+
+    if (!matches) {
+      throw this.createError('status', `HTTP ${status} (expected ${rules.join(', ')})`);
+    }
+  }
+
+  /**
+   * Parse a status rule into an inclusive range
+   * @param {number|string} rule - Status code (200) or range ("200-299")
+   * @returns {Array<number>} [min, max]
+   */
+  parseStatusRule(rule) {
+    const match = String(rule).match(/^(\d{3})(?:-(\d{3}))?$/);
+    if (!match) {
+      throw new Error(`Invalid status rule: ${rule}`);
+    }
+
+    const min = parseInt(match[1], 10);
+    const max = match[2] ? parseInt(match[2], 10) : min;
+    return [min, max];
+  }
+
+  /**
+   * Validate JSON path equality assertions
+   * @param {string} body - Raw response body
+   * @param {Object.<string, *>} expectations - Map of JSON path to expected value
+   */
+  validateJson(body, expectations) {
+    let document;
+    try {
+      document = JSON.parse(body);
+    } catch {
+      throw this.createError('json', 'body is not valid JSON');
+    }
+
+    for (const [jsonPath, expected] of Object.entries(expectations)) {
+      const actual = this.resolveJsonPath(document, jsonPath);
+
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw this.createError(
+          `json ${jsonPath}`,
+          `${jsonPath} expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Resolve a simple JSON path ($.a.b[0].c) against a document
+   * @param {*} document - Parsed JSON document
+   * @param {string} jsonPath - JSON path starting with '$'
+   * @returns {*} Resolved value or undefined
+   */
+  resolveJsonPath(document, jsonPath) {
+    return resolveJsonPath(document, jsonPath);
+  }
+
+  /**
+   * Validate required response headers
+   * `true` only requires the header to be present, a string must be contained in its value.
+   * @param {Object} headers - Response headers
+   * @param {Object.<string, boolean|string>} expectations - Required headers
+   */
+  validateHeaders(headers, expectations) {
+    for (const [name, expected] of Object.entries(expectations)) {
+      const value = headers[name.toLowerCase()];
+
+      if (value === undefined) {
+        throw this.createError(`header ${name}`, `header ${name} is missing`);
+      }
+
+      if (expected !== true && !String(value).includes(String(expected))) {
+        throw this.createError(
+          `header ${name}`,
+          `header ${name} expected to contain ${JSON.stringify(expected)}, got ${JSON.stringify(value)}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Create an assertion failure error
+   * @param {string} assertion - Name of the failed assertion
+   * @param {string} message - Failure description
+   * @returns {Error} Error tagged with the assertion name
+   */
+  createError(assertion, message) {
+    const error = new Error(`Assertion failed (${assertion}): ${message}`);
+    error.code = 'EASSERT';
+    error.assertion = assertion;
+    return error;
+  }
+}
+
+module.exports = ResponseValidator;
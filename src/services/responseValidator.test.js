@@ -0,0 +1,181 @@
+const ResponseValidator = require('./responseValidator');
+
+const response = (data, { status = 200, headers = {} } = {}) => ({ status, data, headers });
+
+// Run a validation expected to fail and return its error
+const failure = run => {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Validation passed');
+};
+
+describe('ResponseValidator', () => {
+  const validator = new ResponseValidator();
+
+  describe('status', () => {
+    it('accepts 2xx by default', () => {
+      expect(() => validator.validate(response('', { status: 204 }))).not.toThrow();
+      expect(failure(() => validator.validate(response('', { status: 301 }))).message).toBe(
+        'Assertion failed (status): HTTP 301'
+      );
+    });
+
+    it('accepts listed codes and ranges', () => {
+      const assertions = { status: [200, '300-399'] };
+
+      expect(() => validator.validate(response('', { status: 200 }), assertions)).not.toThrow();
+      expect(() => validator.validate(response('', { status: 302 }), assertions)).not.toThrow();
+      expect(() => validator.validate(response('', { status: 399 }), assertions)).not.toThrow();
+      expect(
+        failure(() => validator.validate(response('', { status: 201 }), assertions)).message
+      ).toBe('Assertion failed (status): HTTP 201 (expected 200, 300-399)');
+    });
+
+    it('accepts a single rule', () => {
+      expect(() =>
+        validator.validate(response('', { status: 503 }), { status: '500-599' })
+      ).not.toThrow();
+    });
+
+    it('rejects invalid rules', () => {
+      expect(() => validator.validate(response(''), { status: ['2xx'] })).toThrow(
+        'Invalid status rule: 2xx'
+      );
+    });
+  });
+
+  describe('body', () => {
+    it('checks for a substring', () => {
+      expect(() => validator.validate(response('status: UP'), { body: 'UP' })).not.toThrow();
+      expect(failure(() => validator.validate(response('DOWN'), { body: 'UP' })).assertion).toBe(
+        'body'
+      );
+    });
+
+    it('matches body_regex', () => {
+      const assertions = { body_regex: '^ok( \\(\\d+ms\\))?$' };
+
+      expect(() => validator.validate(response('ok (12ms)'), assertions)).not.toThrow();
+      expect(() => validator.validate(response('ok'), assertions)).not.toThrow();
+      expect(failure(() => validator.validate(response('not ok'), assertions)).message).toBe(
+        'Assertion failed (body_regex): body does not match /^ok( \\(\\d+ms\\))?$/'
+      );
+    });
+  });
+
+  describe('json', () => {
+    const body = JSON.stringify({
+      status: 'UP',
+      a: [{ b: 'first' }, { b: 'second' }],
+      checks: { 'db.primary': { ok: true }, count: 0 },
+    });
+
+    it('compares values at JSON paths', () => {
+      expect(() =>
+        validator.validate(response(body), {
+          json: {
+            '$.status': 'UP',
+            '$.a[0].b': 'first',
+            '$.a[1]': { b: 'second' },
+            "$.checks['db.primary'].ok": true,
+            '$.checks.count': 0,
+          },
+        })
+      ).not.toThrow();
+    });
+
+    it('reports the path, expected and actual value', () => {
+      const error = failure(() =>
+        validator.validate(response(body), { json: { '$.a[0].b': 'x' } })
+      );
+
+      expect(error.assertion).toBe('json $.a[0].b');
+      expect(error.message).toBe(
+        'Assertion failed (json $.a[0].b): $.a[0].b expected "x", got "first"'
+      );
+    });
+
+    it('fails on a missing path', () => {
+      for (const jsonPath of ['$.missing', '$.a[5].b', '$.status.deeper.still']) {
+        const error = failure(() =>
+          validator.validate(response(body), { json: { [jsonPath]: 'UP' } })
+        );
+        expect(error.message).toContain(`${jsonPath} expected "UP", got undefined`);
+      }
+    });
+
+    it('fails on a non-JSON body', () => {
+      const error = failure(() =>
+        validator.validate(response('<html>OK</html>'), { json: { '$.status': 'UP' } })
+      );
+
+      expect(error.assertion).toBe('json');
+      expect(error.message).toBe('Assertion failed (json): body is not valid JSON');
+    });
+
+    it('resolves paths', () => {
+      const document = JSON.parse(body);
+
+      expect(validator.resolveJsonPath(document, '$')).toBe(document);
+      expect(validator.resolveJsonPath(document, '$.a[1].b')).toBe('second');
+      expect(validator.resolveJsonPath(document, '$.a[0].b.c')).toBeUndefined();
+    });
+
+    it('rejects invalid paths', () => {
+      expect(() => validator.resolveJsonPath({}, 'status')).toThrow("must start with '$'");
+      expect(() => validator.resolveJsonPath({}, '$.a[x]')).toThrow('Invalid JSON path: $.a[x]');
+      expect(() => validator.resolveJsonPath({}, '$..a')).toThrow('Invalid JSON path: $..a');
+    });
+  });
+
+  describe('headers', () => {
+    const headers = { 'content-type': 'application/json; charset=utf-8', 'x-version': '2.4.1' };
+
+    it('passes when headers are present and contain the expected text', () => {
+      expect(() =>
+        validator.validate(response('', { headers }), {
+          headers: { 'Content-Type': 'application/json', 'X-Version': true },
+        })
+      ).not.toThrow();
+    });
+
+    it('fails on a missing header', () => {
+      const error = failure(() =>
+        validator.validate(response('', { headers }), { headers: { 'X-Request-Id': true } })
+      );
+
+      expect(error.assertion).toBe('header X-Request-Id');
+      expect(error.message).toBe(
+        'Assertion failed (header X-Request-Id): header X-Request-Id is missing'
+      );
+    });
+
+    it('fails on a header without the expected text', () => {
+      const error = failure(() =>
+        validator.validate(response('', { headers }), { headers: { 'X-Version': '3.' } })
+      );
+
+      expect(error.assertion).toBe('header X-Version');
+      expect(error.message).toContain('expected to contain "3.", got "2.4.1"');
+    });
+  });
+
+  it('tags assertion failures with EASSERT and the assertion name', () => {
+    const error = failure(() => validator.validate(response('', { status: 500 })));
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.code).toBe('EASSERT');
+    expect(error.assertion).toBe('status');
+  });
+
+  it('checks assertions in order and stops at the first failure', () => {
+    const error = failure(() =>
+      validator.validate(response('DOWN', { status: 500 }), { body: 'UP', status: [200] })
+    );
+
+    expect(error.assertion).toBe('status');
+  });
+});
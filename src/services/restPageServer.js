@@ -0,0 +1,237 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_RETRY_AFTER = 300; // seconds
+
+const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>{{service.domain}} is temporarily unavailable</title>
+    <style>
+      body { font-family: system-ui, sans-serif; background: #f4f5f7; color: #1f2933; margin: 0; }
+      main { max-width: 560px; margin: 12vh auto; padding: 32px; background: #fff; border-radius: 8px; }
+      h1 { font-size: 1.5rem; margin-top: 0; }
+      p { line-height: 1.5; }
+      .meta { color: #616e7c; font-size: 0.9rem; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>We'll be right back</h1>
+      <p>{{service.domain}} is temporarily unavailable. {{incident.message}}</p>
+      <p>{{incident.eta}}</p>
+      <p class="meta">Unavailable since {{incident.start}}. Please try again in a few minutes.</p>
+    </main>
+  </body>
+</html>
+`;
+
+/**
+ * Built-in HTTP server serving maintenance ("rest") pages
+ *
+ * Nginx Proxy Manager forwards the original Host header, so the requested
+ * domain selects the service whose page is rendered.
+ */
+class RestPageServer {
+  constructor(config, logger, statusProvider) {
+    this.config = config;
+    this.logger = logger;
+    this.statusProvider = statusProvider;
+    this.options = config.rest_page || {};
+    this.templateDir = this.options.template_dir || null;
+    this.server = null;
+  }
+
+  /**
+   * Whether the rest page server is enabled in the configuration
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return Boolean(this.options.enabled);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.isEnabled() || this.server) {
+      return;
+    }
+
+    const host = this.options.host || '0.0.0.0';
+    const { port } = this.options;
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.logger.info(`Rest page server listening on ${host}:${port}`, 'rest-page');
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.logger.info('Rest page server stopped', 'rest-page');
+  }
+
+  /**
+   * Handle an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    try {
+      const serviceName = this.resolveServiceName(req);
+      const context = this.buildContext(serviceName);
+      const body = this.render(this.loadTemplate(serviceName), context);
+
+      res.writeHead(503, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store',
+        'Retry-After': String(context.retry_after),
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      this.logger.error(`Failed to render rest page: ${error.message}`, 'rest-page');
+      res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Service temporarily unavailable\n');
+    }
+  }
+
+  /**
+   * Find the service a request is for
+   * Uses the Host header, or the `service` query parameter for direct testing.
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string|null} Service name or null if unknown
+   */
+  resolveServiceName(req) {
+    // eslint-disable-next-line no-undef
+    const url = new URL(req.url, 'http://localhost');
+    const requested = url.searchParams.get('service');
+    if (requested && this.config.services[requested]) {
+      return requested;
+    }
+
+    const hostHeader = (req.headers.host || '').toLowerCase();
+    const host = hostHeader.startsWith('[') ? hostHeader : hostHeader.split(':')[0];
+
+    for (const [serviceName, service] of Object.entries(this.config.services)) {
+      if (String(service.domain).toLowerCase() === host) {
+        return serviceName;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the template context for a service
+   * @param {string|null} serviceName - Service name
+   * @returns {Object} Template context
+   */
+  buildContext(serviceName) {
+    const serviceConfig = serviceName ? this.config.services[serviceName] : null;
+    const pageOptions = (serviceConfig && serviceConfig.rest_page) || {};
+    const status = (serviceName && this.statusProvider()?.services?.[serviceName]) || {};
+    const incidentStart = status.incidentStart ? new Date(status.incidentStart) : null;
+
+    return {
+      service: {
+        ...status,
+        name: serviceName || '',
+        domain: serviceConfig ? serviceConfig.domain : 'This service',
+      },
+      incident: {
+        start: incidentStart ? incidentStart.toUTCString() : 'recently',
+        start_iso: incidentStart ? incidentStart.toISOString() : '',
+        message: pageOptions.message || this.options.message || '',
+        eta: pageOptions.eta || this.options.eta || '',
+      },
+      health: {
+        last_check: status.lastCheck ? new Date(status.lastCheck).toISOString() : '',
+        error: status.lastError || '',
+        response_time: status.lastResponseTime ?? '',
+      },
+      retry_after: pageOptions.retry_after || this.options.retry_after || DEFAULT_RETRY_AFTER,
+    };
+  }
+
+  /**
+   * Load the template for a service
+   * Looks for `<service>.html`, then `default.html` in template_dir, then the built-in page.
+   * A per-service `rest_page.template` file name overrides `<service>.html`.
+   * @param {string|null} serviceName - Service name
+   * @returns {string} Template source
+   */
+  loadTemplate(serviceName) {
+    if (this.templateDir) {
+      const serviceConfig = serviceName ? this.config.services[serviceName] : null;
+      const candidates = [];
+
+      if (serviceConfig && serviceConfig.rest_page && serviceConfig.rest_page.template) {
+        candidates.push(serviceConfig.rest_page.template);
+      }
+      if (serviceName) {
+        candidates.push(`${serviceName}.html`);
+      }
+      candidates.push('default.html');
+
+      for (const candidate of candidates) {
+        const templatePath = path.join(this.templateDir, path.basename(candidate));
+        if (fs.existsSync(templatePath)) {
+          return fs.readFileSync(templatePath, 'utf8');
+        }
+      }
+    }
+
+    return DEFAULT_TEMPLATE;
+  }
+
+  /**
+   * Render `{{path.to.value}}` placeholders with HTML-escaped context values
+   * @param {string} template - Template source
+   * @param {Object} context - Template context
+   * @returns {string} Rendered HTML
+   */
+  render(template, context) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, key) => {
+      const value = key.split('.').reduce((current, part) => current?.[part], context);
+      return value === undefined || value === null ? '' : this.escapeHtml(String(value));
+    });
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} value - Raw value
+   * @returns {string} Escaped value
+   */
+  escapeHtml(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = RestPageServer;
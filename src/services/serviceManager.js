@@ -1,7 +1,30 @@
+const net = require('net');
+const { isDeepStrictEqual } = require('util');
+const BackupManager = require('./backupManager');
+const DriftReconciler = require('./driftReconciler');
 const HealthChecker = require('./healthChecker');
+const MaintenanceScheduler = require('./maintenanceScheduler');
 const NginxConfigUpdater = require('./nginxConfigUpdater');
+const NotificationManager = require('./notificationManager');
 const SnapshotManager = require('./snapshotManager');
+const SwitcherMetrics = require('./switcherMetrics');
+const ControlStateStore = require('../database/controlStateStore');
 const DatabaseManager = require('../database/databaseManager');
+const HistoryStore = require('../database/historyStore');
+const { parseTimeToMs } = require('../utils/time');
+
+// Top-level keys applied by a hot reload; any other change needs a restart
+const RELOADABLE_KEYS = [
+  'services',
+  'all_down_policy',
+  'maintenance_target',
+  'notifications',
+  'hot_reload',
+  'maintenance',
+  'drift',
+];
+// Keys set from command line options rather than the config file
+const CLI_KEYS = ['snapshot_number', 'force_snapshot'];
 
 /**
  * Main service manager for handling service monitoring and switching
@@ -10,13 +33,24 @@ class ServiceManager {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
-    this.healthChecker = new HealthChecker(logger);
-    this.nginxUpdater = new NginxConfigUpdater(config, logger);
+    this.metrics = new SwitcherMetrics();
+    this.healthChecker = new HealthChecker(logger, this.metrics);
+    this.notifier = new NotificationManager(config, logger);
+    this.nginxUpdater = new NginxConfigUpdater(config, logger, this.metrics, this.notifier);
     this.database = new DatabaseManager(config, logger);
+    this.history = new HistoryStore(config, logger);
     this.snapshotManager = new SnapshotManager(logger, config);
+    this.backups = new BackupManager(config, logger);
+    this.maintenance = new MaintenanceScheduler(config, logger);
+    this.controlState = new ControlStateStore(config, logger);
+    this.driftReconciler = new DriftReconciler(config, logger, this);
 
     this.serviceStates = new Map(); // Track service states
     this.timers = new Map(); // Track interval timers
+    this.historySize = config.status_api?.history_size || 50; // Check results kept per service
+    this.pins = new Map(); // Service name -> ServicePin set from the control channel
+    this.pinTimers = new Map(); // Service name -> pin expiry timer
+    this.paused = false; // Monitoring paused from the control channel
     this.isRunning = false;
   }
 
@@ -30,9 +64,23 @@ class ServiceManager {
       // Connect to database
       await this.database.connect();
 
+      // Open the switcher's own history database; monitoring does not depend on it
+      try {
+        await this.history.connect();
+        this.history.startRetention();
+      } catch (error) {
+        this.logger.error(
+          `History is not recorded, cannot open ${this.history.options.file}: ${error.message}`,
+          'history'
+        );
+      }
+
       // Ensure Nginx config directory exists
       this.nginxUpdater.ensureConfigDirectory();
 
+      // Conf backups of earlier versions were kept next to the confs
+      this.nginxUpdater.confBackups.migrateLegacyBackups();
+
       // Test Nginx configuration
       const nginxConfigValid = await this.nginxUpdater.testNginxConfig();
       if (!nginxConfigValid) {
@@ -42,6 +90,9 @@ class ServiceManager {
       // Initialize service states
       await this.initializeServiceStates();
 
+      // Restore pins and pause state saved by the control channel
+      await this.restoreControlState();
+
       this.logger.success('Service Manager initialized successfully', 'service-manager');
     } catch (error) {
       this.logger.error(
@@ -62,52 +113,83 @@ class ServiceManager {
     const snapshotNumber = await this.handleSnapshotLogic();
 
     for (const [serviceName, serviceConfig] of Object.entries(this.config.services)) {
-      this.logger.debug(`Initializing service: ${serviceName}`, 'service-manager');
+      this.serviceStates.set(
+        serviceName,
+        await this.createServiceState(serviceName, serviceConfig, snapshotNumber)
+      );
 
-      let originalConfig = null;
+      this.logger.debug(`Initialized service state: ${serviceName}`, 'service-manager');
+    }
+  }
 
-      if (snapshotNumber > 0) {
-        // Use snapshot configuration
-        originalConfig = await this.loadConfigurationFromSnapshot(serviceName, snapshotNumber);
-      } else {
-        // Use current database configuration
-        const proxyHost = await this.database.findProxyHostByDomain(serviceConfig.domain);
-
-        if (proxyHost) {
-          originalConfig = {
-            host: proxyHost.forward_host,
-            port: proxyHost.forward_port,
-            scheme: proxyHost.forward_scheme,
-          };
-          this.logger.debug(
-            `Found current config for ${serviceName}: ${originalConfig.scheme}://${originalConfig.host}:${originalConfig.port}`,
-            'service-manager'
-          );
-
-          // Backup initial proxy_host configuration
-          await this.database.backupInitialProxyHost(serviceName, proxyHost);
-        } else {
-          this.logger.warn(
-            `No proxy host found for domain: ${serviceConfig.domain}`,
-            'service-manager'
-          );
-        }
-      }
+  /**
+   * Create the initial state of a service
+   * @param {string} serviceName - Name of the service
+   * @param {ServiceConfig} serviceConfig - Service configuration
+   * @param {number} snapshotNumber - Snapshot to read the original config from (0 = database)
+   * @returns {Promise<Object>} Service state object
+   */
+  async createServiceState(serviceName, serviceConfig, snapshotNumber) {
+    this.logger.debug(`Initializing service: ${serviceName}`, 'service-manager');
 
-      this.serviceStates.set(serviceName, {
-        name: serviceName,
-        config: serviceConfig,
-        originalConfig, // Store original config from snapshot or database
-        isHealthy: false, // Will be determined by immediate health check
-        lastCheck: null,
-        consecutiveFailures: 0,
-        currentHost: originalConfig?.host || null,
-        currentPort: originalConfig?.port || null,
-        currentScheme: originalConfig?.scheme || null,
-      });
+    let originalConfig = null;
 
-      this.logger.debug(`Initialized service state: ${serviceName}`, 'service-manager');
+    if (snapshotNumber > 0) {
+      // Use snapshot configuration
+      originalConfig = await this.loadConfigurationFromSnapshot(serviceName, snapshotNumber);
+    } else {
+      // Use current database configuration
+      const proxyHost = await this.database.findProxyHostByDomain(serviceConfig.domain);
+
+      if (proxyHost) {
+        originalConfig = {
+          host: proxyHost.forward_host,
+          port: proxyHost.forward_port,
+          scheme: proxyHost.forward_scheme,
+        };
+        this.logger.debug(
+          `Found current config for ${serviceName}: ${originalConfig.scheme}://${originalConfig.host}:${originalConfig.port}`,
+          'service-manager'
+        );
+
+        // Backup initial proxy_host configuration, then apply backup_retention
+        if (await this.database.backupInitialProxyHost(serviceName, proxyHost)) {
+          this.backups.pruneProxyHostBackups(serviceName);
+        }
+      } else {
+        this.logger.warn(
+          `No proxy host found for domain: ${serviceConfig.domain}`,
+          'service-manager'
+        );
+      }
     }
+
+    return {
+      name: serviceName,
+      config: serviceConfig,
+      originalConfig, // Store original config from snapshot or database
+      isHealthy: false, // Will be determined by immediate health check
+      state: 'unknown', // healthy | degraded | failed | pending-failback | all-down once checked
+      failedOver: false, // Whether traffic is currently routed to if_failed
+      activeTier: 0, // 0 = primary, 1..n = position in the if_failed chain
+      tierHealth: [], // Last check result per fallback tier (null = unchecked)
+      allTargetsDown: false, // Primary and every fallback tier failed their checks
+      lastCheck: null,
+      lastSuccess: null, // Time of the last passing primary check
+      lastResult: null, // Last primary HealthCheckResult summary
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      healthySince: null,
+      incidentStart: null, // First failed check of the current incident
+      history: [], // Most recent check results, oldest first
+      maintenance: null, // Active maintenance window (window, checks, until)
+      drift: null, // Unresolved drift between proxy_host, conf and this state
+      driftSignature: null, // Identifies the drift already handled
+      lastDriftCheck: null,
+      currentHost: originalConfig?.host || null,
+      currentPort: originalConfig?.port || null,
+      currentScheme: originalConfig?.scheme || null,
+    };
   }
 
   /**
@@ -124,6 +206,13 @@ class ServiceManager {
         throw new Error(`Snapshot ${snapshot_number} does not exist`);
       }
       this.logger.info(`📸 Using specified snapshot: ${snapshot_number}`, 'service-manager');
+      const snapshot = await this.snapshotManager.loadSnapshot(snapshot_number);
+      if (snapshot.imported_from) {
+        this.logger.warn(
+          `📸 Snapshot ${snapshot_number} was imported from ${snapshot.imported_from.source}, its targets are applied to this instance`,
+          'service-manager'
+        );
+      }
       return snapshot_number;
     }
 
@@ -136,11 +225,11 @@ class ServiceManager {
       return await this.createSnapshotFromCurrentState();
     }
 
-    // Check if any snapshots exist
-    const latestSnapshot = await this.snapshotManager.getLatestSnapshotNumber();
+    // Check if any snapshots of this instance exist (imported ones are never picked implicitly)
+    const latestSnapshot = await this.snapshotManager.getLatestLocalSnapshotNumber();
     if (latestSnapshot === 0) {
       this.logger.info(
-        '📸 No snapshots exist - creating initial snapshot from current state',
+        '📸 No local snapshots exist - creating initial snapshot from current state',
         'service-manager'
       );
       return await this.createSnapshotFromCurrentState();
@@ -156,20 +245,8 @@ class ServiceManager {
    * @returns {Promise<number>} Snapshot number
    */
   async createSnapshotFromCurrentState() {
-    const services = {};
-
-    // Collect current configurations from database
-    for (const [serviceName, serviceConfig] of Object.entries(this.config.services)) {
-      const proxyHost = await this.database.findProxyHostByDomain(serviceConfig.domain);
-      if (proxyHost) {
-        services[serviceName] = {
-          host: proxyHost.forward_host,
-          port: proxyHost.forward_port,
-          scheme: proxyHost.forward_scheme,
-          domain: serviceConfig.domain,
-        };
-      }
-    }
+    // Collect current configurations from database and nginx
+    const services = await this.snapshotManager.captureServices(this.database, this.nginxUpdater);
 
     const snapshotNumber = await this.snapshotManager.createSnapshot(
       services,
@@ -218,24 +295,17 @@ class ServiceManager {
         'service-manager'
       );
 
-      // Update database with original configuration
-      await this.database.updateProxyHost(
+      const serviceState = this.serviceStates.get(serviceName);
+      const restored = await this.updateServiceConfiguration(
         serviceName,
-        originalConfig.host,
-        originalConfig.port,
-        originalConfig.scheme
+        serviceState,
+        originalConfig,
+        'restore'
       );
 
-      // Update nginx configuration
-      await this.nginxUpdater.updateProxyConfig(
-        serviceName,
-        originalConfig.host,
-        originalConfig.port,
-        originalConfig.scheme,
-        originalConfig.host,
-        originalConfig.port,
-        originalConfig.scheme
-      );
+      if (!restored) {
+        throw new Error('switch transaction was rolled back');
+      }
 
       this.logger.success(
         `✅ Successfully restored original configuration for ${serviceName}`,
@@ -262,11 +332,23 @@ class ServiceManager {
     this.isRunning = true;
     this.logger.info('Starting service monitoring...', 'service-manager');
 
-    // Restore configurations to database and nginx
-    await this.restoreAllConfigurations();
+    if (this.paused) {
+      this.logger.warn(
+        '⏸️ Monitoring is paused - leaving current targets untouched until resumed',
+        'service-manager'
+      );
+    } else {
+      // Restore configurations to database and nginx
+      await this.restoreAllConfigurations();
+    }
+
+    // Load maintenance windows so the initial checks respect windows already in progress
+    this.maintenance.start((serviceName, window) => this.onMaintenanceChange(serviceName, window));
 
     // Perform immediate health checks to determine correct state
-    await this.performInitialHealthChecks();
+    if (!this.paused) {
+      await this.performInitialHealthChecks();
+    }
 
     // Start monitoring each service
     for (const [serviceName, serviceState] of this.serviceStates) {
@@ -281,7 +363,8 @@ class ServiceManager {
     this.logger.info('🔄 Restoring all service configurations...', 'service-manager');
 
     for (const [serviceName, serviceState] of this.serviceStates) {
-      if (serviceState.originalConfig) {
+      // Pinned services are routed to their pin by the initial health check
+      if (serviceState.originalConfig && !this.getActivePin(serviceName)) {
         await this.restoreOriginalConfiguration(serviceName, serviceState.originalConfig);
       }
     }
@@ -318,6 +401,18 @@ class ServiceManager {
    * @param {Object} serviceState - Service state object
    */
   async performInitialHealthCheck(serviceName, serviceState) {
+    const pin = this.getActivePin(serviceName);
+    if (pin) {
+      await this.applyPin(serviceName, serviceState, pin);
+      return;
+    }
+
+    const window = this.maintenance.getActiveWindow(serviceName);
+    if (window) {
+      await this.applyMaintenance(serviceName, serviceState, window);
+      return;
+    }
+
     try {
       this.logger.debug(`Performing initial health check for ${serviceName}`, 'service-manager');
 
@@ -329,17 +424,14 @@ class ServiceManager {
       );
 
       // Update service state based on health check result
-      serviceState.isHealthy = healthResult.success;
-      serviceState.lastCheck = new Date();
+      this.recordHealthResult(serviceState, healthResult);
 
       if (healthResult.success) {
-        serviceState.consecutiveFailures = 0;
         this.logger.success(
           `✅ Initial health check passed for ${serviceName} - using original configuration`,
           'service-manager'
         );
-      } else {
-        serviceState.consecutiveFailures = 1;
+      } else if (this.shouldUseFallback(serviceState)) {
         this.logger.warn(
           `⚠️ Initial health check failed for ${serviceName} - switching to fallback configuration`,
           'service-manager'
@@ -347,17 +439,204 @@ class ServiceManager {
 
         // Switch to fallback configuration
         await this.switchToFallbackConfiguration(serviceName, serviceState);
+      } else {
+        this.logger.warn(
+          `⚠️ Initial health check failed for ${serviceName} - waiting for fall threshold before switching`,
+          'service-manager'
+        );
       }
     } catch (error) {
       this.logger.error(
         `Initial health check failed for ${serviceName}: ${error.message}`,
         'service-manager'
       );
-      // On error, assume service is down and switch to fallback
-      serviceState.isHealthy = false;
-      serviceState.consecutiveFailures = 1;
-      await this.switchToFallbackConfiguration(serviceName, serviceState);
+      // On error, assume service is down and switch to fallback once the fall threshold is met
+      this.recordHealthResult(serviceState, { success: false, error: error.message });
+      if (this.shouldUseFallback(serviceState)) {
+        await this.switchToFallbackConfiguration(serviceName, serviceState);
+      }
+    }
+
+    this.refreshServiceState(serviceState);
+  }
+
+  /**
+   * Record a health check result in the service state
+   * @param {Object} serviceState - Service state object
+   * @param {HealthCheckResult} healthResult - Result of the primary health check
+   */
+  recordHealthResult(serviceState, healthResult) {
+    const { success } = healthResult;
+
+    serviceState.isHealthy = success;
+    serviceState.lastCheck = new Date();
+    serviceState.lastResult = {
+      success,
+      error: healthResult.error || null,
+      assertion: healthResult.assertion || null,
+      responseTime: healthResult.responseTime ?? null,
+    };
+
+    serviceState.history.push({ timestamp: serviceState.lastCheck, ...serviceState.lastResult });
+    this.history.recordCheck(serviceState.name, 'primary', healthResult);
+    if (serviceState.history.length > this.historySize) {
+      serviceState.history.splice(0, serviceState.history.length - this.historySize);
+    }
+
+    if (success) {
+      serviceState.consecutiveFailures = 0;
+      serviceState.consecutiveSuccesses++;
+      serviceState.lastSuccess = serviceState.lastCheck;
+      serviceState.healthySince = serviceState.healthySince || serviceState.lastCheck;
+    } else {
+      serviceState.consecutiveSuccesses = 0;
+      serviceState.consecutiveFailures++;
+      serviceState.healthySince = null;
+      serviceState.incidentStart = serviceState.incidentStart || serviceState.lastCheck;
+    }
+  }
+
+  /**
+   * Recompute the reported state and close the incident once back to healthy
+   * @param {Object} serviceState - Service state object
+   */
+  refreshServiceState(serviceState) {
+    const previousState = serviceState.state;
+    serviceState.state = this.determineServiceState(serviceState);
+
+    if (serviceState.state === 'healthy') {
+      serviceState.incidentStart = null;
+    }
+
+    if (serviceState.state !== previousState) {
+      this.notifyStateChange(serviceState, previousState);
+    }
+  }
+
+  /**
+   * Send check notifications for a state transition
+   * Switches are notified by updateServiceConfiguration, so only transitions
+   * that do not move traffic are reported here.
+   * @param {Object} serviceState - Service state object
+   * @param {string} previousState - State before the transition
+   */
+  notifyStateChange(serviceState, previousState) {
+    const { state } = serviceState;
+    let event = null;
+
+    if (state === 'maintenance') {
+      event = 'maintenance-start';
+    } else if (previousState === 'maintenance') {
+      event = 'maintenance-end';
+    } else if (state === 'degraded') {
+      event = 'check-failed';
+    } else if (state === 'all-down') {
+      event = 'all-down';
+    } else if (
+      state === 'pending-failback' ||
+      (state === 'healthy' && previousState === 'degraded')
+    ) {
+      event = 'check-recovered';
+    }
+
+    if (event) {
+      this.notifier.notify({
+        event,
+        service: serviceState.name,
+        domain: serviceState.config.domain,
+        state,
+        previous_state: previousState,
+        from: null,
+        to: null,
+        error: serviceState.lastResult?.error || null,
+        window: serviceState.maintenance?.window || null,
+      });
+    }
+  }
+
+  /**
+   * Send the notification for a switch transaction
+   * @param {Object} serviceState - Service state object
+   * @param {Object} event - Switch event from updateServiceConfiguration
+   */
+  notifySwitch(serviceState, event) {
+    const committed = event.outcome === 'committed';
+
+    if (committed && !['failover', 'failback', 'tier-change'].includes(event.reason)) {
+      return;
+    }
+
+    this.notifier.notify({
+      event: committed ? event.reason : 'switch-failed',
+      service: event.service,
+      domain: serviceState.config.domain,
+      from: event.from,
+      to: event.to,
+      reason: event.reason,
+      outcome: event.outcome,
+      failed_step: event.failedStep,
+      error: committed ? serviceState.lastResult?.error || null : event.error,
+    });
+  }
+
+  /**
+   * Get rise/fall thresholds for a service
+   * @param {ServiceConfig} config - Service configuration
+   * @returns {{fall: number, rise: number, failbackHoldMs: number}} Thresholds
+   */
+  getThresholds(config) {
+    return {
+      fall: config.fall || 1,
+      rise: config.rise || 1,
+      failbackHoldMs: config.failback_hold ? parseTimeToMs(config.failback_hold) : 0,
+    };
+  }
+
+  /**
+   * Decide whether traffic should be routed to the fallback
+   * Failover needs `fall` consecutive failures. Failback needs `rise` consecutive
+   * successes and, when `failback_hold` is set, a primary that has stayed healthy
+   * for at least that long.
+   * @param {Object} serviceState - Service state object
+   * @returns {boolean} Whether the fallback should be used
+   */
+  shouldUseFallback(serviceState) {
+    const { fall, rise, failbackHoldMs } = this.getThresholds(serviceState.config);
+
+    if (!serviceState.failedOver) {
+      return serviceState.consecutiveFailures >= fall;
+    }
+
+    if (serviceState.consecutiveSuccesses < rise) {
+      return true;
+    }
+
+    return Date.now() - serviceState.healthySince.getTime() < failbackHoldMs;
+  }
+
+  /**
+   * Determine the reported state of a service
+   * @param {Object} serviceState - Service state object
+   * @returns {string} healthy | degraded | failed | pending-failback | all-down | maintenance | pinned
+   */
+  determineServiceState(serviceState) {
+    if (this.pins.has(serviceState.name)) {
+      return 'pinned';
     }
+
+    if (serviceState.maintenance) {
+      return 'maintenance';
+    }
+
+    if (serviceState.allTargetsDown && !serviceState.isHealthy) {
+      return 'all-down';
+    }
+
+    if (serviceState.failedOver) {
+      return serviceState.isHealthy ? 'pending-failback' : 'failed';
+    }
+
+    return serviceState.isHealthy ? 'healthy' : 'degraded';
   }
 
   /**
@@ -366,37 +645,43 @@ class ServiceManager {
    * @param {Object} serviceState - Service state object
    */
   async switchToFallbackConfiguration(serviceName, serviceState) {
-    const { config } = serviceState;
-    const fallbackConfig = config.if_failed;
+    const { target: fallbackConfig, tier } = await this.selectFallbackTarget(
+      serviceName,
+      serviceState
+    );
+
+    if (tier === 0) {
+      serviceState.failedOver = true;
+      serviceState.activeTier = tier;
+      this.logger.warn(
+        `⚠️ Keeping ${serviceName} on primary configuration: all targets are down`,
+        'service-manager'
+      );
+      return;
+    }
 
     this.logger.info(
-      `🔄 Switching ${serviceName} to fallback configuration: ${fallbackConfig.scheme || 'http'}://${fallbackConfig.host}:${fallbackConfig.port}`,
+      `🔄 Switching ${serviceName} to fallback configuration (tier ${tier}): ${this.formatTarget(fallbackConfig)}`,
       'service-manager'
     );
 
-    // Update database
-    await this.database.updateProxyHost(
+    const switched = await this.updateServiceConfiguration(
       serviceName,
-      fallbackConfig.host,
-      fallbackConfig.port,
-      fallbackConfig.scheme
+      serviceState,
+      fallbackConfig,
+      'failover'
     );
 
-    // Update nginx configuration
-    await this.nginxUpdater.updateProxyConfig(
-      serviceName,
-      serviceState.currentHost || serviceState.originalConfig?.host,
-      serviceState.currentPort || serviceState.originalConfig?.port,
-      serviceState.currentScheme || serviceState.originalConfig?.scheme,
-      fallbackConfig.host,
-      fallbackConfig.port,
-      fallbackConfig.scheme
-    );
+    if (!switched) {
+      this.logger.error(
+        `❌ Failed to switch ${serviceName} to fallback configuration`,
+        'service-manager'
+      );
+      return;
+    }
 
-    // Update service state
-    serviceState.currentHost = fallbackConfig.host;
-    serviceState.currentPort = fallbackConfig.port;
-    serviceState.currentScheme = fallbackConfig.scheme;
+    serviceState.failedOver = true;
+    serviceState.activeTier = tier;
 
     this.logger.success(
       `✅ Successfully switched ${serviceName} to fallback configuration`,
@@ -404,6 +689,98 @@ class ServiceManager {
     );
   }
 
+  /**
+   * Get the ordered fallback chain of a service
+   * `if_failed` may be a single target or a list ordered by preference.
+   * @param {ServiceConfig} config - Service configuration
+   * @returns {Array<FallbackTarget>} Fallback targets, highest priority first
+   */
+  getFallbackTargets(config) {
+    return Array.isArray(config.if_failed) ? config.if_failed : [config.if_failed];
+  }
+
+  /**
+   * Select the first healthy fallback tier
+   * Tiers without a check are assumed healthy. If every tier fails its check,
+   * the service's all_down_policy decides where traffic goes.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @returns {Promise<{target: Object, tier: number|string}>} Selected target and its tier
+   *   (1-based chain position, 0 for the primary, 'maintenance' for the maintenance target)
+   */
+  async selectFallbackTarget(serviceName, serviceState) {
+    const targets = this.getFallbackTargets(serviceState.config);
+    serviceState.allTargetsDown = false;
+
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+
+      if (!target.check) {
+        serviceState.tierHealth[i] = null;
+        return { target, tier: i + 1 };
+      }
+
+      const result = await this.healthChecker.checkHealth(
+        target.check,
+        `${serviceName}/tier-${i + 1}`,
+        target.retries || 1
+      );
+      serviceState.tierHealth[i] = result.success;
+      this.history.recordCheck(serviceName, `tier-${i + 1}`, result);
+
+      if (result.success) {
+        return { target, tier: i + 1 };
+      }
+    }
+
+    serviceState.allTargetsDown = true;
+    return this.resolveAllDownTarget(serviceName, serviceState, targets);
+  }
+
+  /**
+   * Apply the all_down_policy when the primary and every fallback tier are down
+   * - stay_primary: keep routing to the primary
+   * - fallback: route to the last fallback tier anyway (default)
+   * - maintenance: route to the maintenance_target
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @param {Array<FallbackTarget>} targets - Fallback chain
+   * @returns {{target: Object, tier: number|string}} Selected target and its tier
+   */
+  resolveAllDownTarget(serviceName, serviceState, targets) {
+    const { config } = serviceState;
+    const policy = config.all_down_policy || this.config.all_down_policy || 'fallback';
+    const primaryTarget = serviceState.originalConfig || config.if_success;
+
+    this.logger.warn(
+      `All targets for ${serviceName} are down, applying all_down_policy: ${policy}`,
+      'service-manager'
+    );
+
+    if (policy === 'stay_primary' && primaryTarget) {
+      return { target: primaryTarget, tier: 0 };
+    }
+
+    if (policy === 'maintenance') {
+      return {
+        target: config.maintenance_target || this.config.maintenance_target,
+        tier: 'maintenance',
+      };
+    }
+
+    return { target: targets[targets.length - 1], tier: targets.length };
+  }
+
+  /**
+   * Format an upstream target for logging
+   * @param {Object} target - Target with host, port and optional scheme
+   * @returns {string} scheme://host:port
+   */
+  formatTarget(target) {
+    const host = String(target.host).includes(':') ? `[${target.host}]` : target.host;
+    return `${target.scheme || 'http'}://${host}:${target.port}`;
+  }
+
   /**
    * Stop monitoring all services
    */
@@ -416,6 +793,13 @@ class ServiceManager {
     this.isRunning = false;
     this.logger.info('Stopping service monitoring...', 'service-manager');
 
+    this.maintenance.stop();
+
+    for (const timer of this.pinTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.pinTimers.clear();
+
     // Clear all timers
     for (const timer of this.timers.values()) {
       clearTimeout(timer);
@@ -432,8 +816,9 @@ class ServiceManager {
    */
   startServiceMonitoring(serviceName, serviceState) {
     const checkService = async () => {
-      if (!this.isRunning) return;
+      if (!this.isMonitored(serviceName, serviceState)) return;
 
+      serviceState.checkInProgress = true;
       try {
         await this.checkAndUpdateService(serviceName, serviceState);
       } catch (error) {
@@ -441,6 +826,8 @@ class ServiceManager {
           `Error checking service ${serviceName}: ${error.message}`,
           'service-manager'
         );
+      } finally {
+        serviceState.checkInProgress = false;
       }
 
       // Schedule next check
@@ -457,12 +844,12 @@ class ServiceManager {
    * @param {Object} serviceState - Service state object
    */
   scheduleNextCheck(serviceName, serviceState) {
-    if (!this.isRunning) return;
+    if (!this.isMonitored(serviceName, serviceState)) return;
 
     const { config } = serviceState;
     const interval = serviceState.isHealthy
-      ? this.healthChecker.parseTimeToMs(config.interval)
-      : this.healthChecker.parseTimeToMs(config.error_delay);
+      ? parseTimeToMs(config.interval)
+      : parseTimeToMs(config.error_delay);
 
     const timer = setTimeout(() => {
       this.startServiceMonitoring(serviceName, serviceState);
@@ -476,6 +863,17 @@ class ServiceManager {
     );
   }
 
+  /**
+   * Whether a service state is still being monitored
+   * False once monitoring stopped or the service was removed or replaced by a reload.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @returns {boolean} Monitored status
+   */
+  isMonitored(serviceName, serviceState) {
+    return this.isRunning && this.serviceStates.get(serviceName) === serviceState;
+  }
+
   /**
    * Check and update a service
    * @param {string} serviceName - Name of the service
@@ -484,23 +882,49 @@ class ServiceManager {
   async checkAndUpdateService(serviceName, serviceState) {
     const { config } = serviceState;
 
+    // Paused from the control channel: leave traffic where it is
+    if (this.paused) {
+      return;
+    }
+
+    // Reconcile manual edits first so the routing below starts from a known state
+    if (this.driftReconciler.isDue(serviceState)) {
+      await this.driftReconciler.reconcile(serviceName, serviceState);
+    }
+
+    const pin = this.getActivePin(serviceName);
+    if (pin) {
+      await this.applyPin(serviceName, serviceState, pin);
+      return;
+    }
+
+    const window = this.maintenance.getActiveWindow(serviceName);
+    if (window) {
+      await this.applyMaintenance(serviceName, serviceState, window);
+      return;
+    }
+
+    if (serviceState.maintenance) {
+      this.logger.info(
+        `🛠️ Maintenance window ${serviceState.maintenance.window} ended for ${serviceName} - resuming health-driven routing`,
+        'service-manager'
+      );
+      serviceState.maintenance = null;
+    }
+
     // Perform health check
     const retries = config.retries || 3; // Default to 3 retries
     const healthResult = await this.healthChecker.checkHealth(config.check, serviceName, retries);
 
     // Update service state
-    serviceState.isHealthy = healthResult.success;
-    serviceState.lastCheck = new Date();
-
-    if (healthResult.success) {
-      serviceState.consecutiveFailures = 0;
-    } else {
-      serviceState.consecutiveFailures++;
-    }
+    this.recordHealthResult(serviceState, healthResult);
 
     // Determine target configuration
+    const useFallback = this.shouldUseFallback(serviceState);
     let targetConfig;
-    if (healthResult.success) {
+    let tier = 0;
+    if (!useFallback) {
+      serviceState.allTargetsDown = false;
       // Use original config from database if available, otherwise use if_success if provided
       targetConfig = serviceState.originalConfig || config.if_success;
       if (!targetConfig) {
@@ -508,114 +932,713 @@ class ServiceManager {
           `No success configuration available for ${serviceName}, skipping update`,
           'service-manager'
         );
+        this.refreshServiceState(serviceState);
         return;
       }
     } else {
-      // Use fallback configuration
-      targetConfig = config.if_failed;
+      // Use the first healthy tier of the fallback chain
+      ({ target: targetConfig, tier } = await this.selectFallbackTarget(serviceName, serviceState));
     }
 
     // Check if we need to update the proxy configuration
     const needsUpdate = this.needsConfigurationUpdate(serviceState, targetConfig);
-
-    if (needsUpdate) {
-      await this.updateServiceConfiguration(serviceName, serviceState, targetConfig);
+    const reason = !useFallback ? 'failback' : serviceState.failedOver ? 'tier-change' : 'failover';
+
+    if (
+      !needsUpdate ||
+      (await this.updateServiceConfiguration(serviceName, serviceState, targetConfig, reason))
+    ) {
+      serviceState.failedOver = useFallback;
+      serviceState.activeTier = tier;
     }
-  }
 
-  /**
-   * Check if service configuration needs to be updated
-   * @param {Object} serviceState - Current service state
-   * @param {Object} targetConfig - Target configuration
-   * @returns {boolean} Whether update is needed
-   */
-  needsConfigurationUpdate(serviceState, targetConfig) {
-    return (
-      serviceState.currentHost !== targetConfig.host ||
-      serviceState.currentPort !== targetConfig.port ||
-      serviceState.currentScheme !== targetConfig.scheme
-    );
+    this.refreshServiceState(serviceState);
   }
 
   /**
-   * Update service configuration
+   * Route a service to its maintenance target while a window is active
+   * Health checks are skipped (`checks: suspend`) or still recorded without
+   * alerting or switching (`checks: silent`).
    * @param {string} serviceName - Name of the service
    * @param {Object} serviceState - Service state object
-   * @param {Object} targetConfig - Target configuration
+   * @param {Object} window - Active maintenance window
    */
-  async updateServiceConfiguration(serviceName, serviceState, targetConfig) {
-    try {
-      // Find proxy host in database
+  async applyMaintenance(serviceName, serviceState, window) {
+    const { config } = serviceState;
+
+    if (window.checks === 'silent') {
+      const healthResult = await this.healthChecker.checkHealth(
+        config.check,
+        serviceName,
+        config.retries || 3
+      );
+      this.recordHealthResult(serviceState, healthResult);
+    }
+
+    if (!serviceState.maintenance) {
+      this.logger.info(
+        `🛠️ Maintenance window ${window.label} started for ${serviceName}`,
+        'service-manager'
+      );
+
+      if (window.checks !== 'silent') {
+        // Results from before the window say nothing about the primary afterwards
+        serviceState.consecutiveFailures = 0;
+        serviceState.consecutiveSuccesses = 0;
+        serviceState.healthySince = null;
+      }
+    }
+
+    serviceState.maintenance = {
+      window: window.label,
+      checks: window.checks,
+      until: this.maintenance.getWindowEnd(window),
+    };
+    serviceState.allTargetsDown = false;
+
+    const { target, tier } = this.resolveMaintenanceTarget(serviceState, window);
+
+    if (
+      !this.needsConfigurationUpdate(serviceState, target) ||
+      (await this.updateServiceConfiguration(serviceName, serviceState, target, 'maintenance'))
+    ) {
+      serviceState.failedOver = true;
+      serviceState.activeTier = tier;
+    }
+
+    this.refreshServiceState(serviceState);
+  }
+
+  /**
+   * Get the target a maintenance window routes to
+   * @param {Object} serviceState - Service state object
+   * @param {Object} window - Maintenance window
+   * @returns {{target: Object, tier: number|string}} First fallback tier or the maintenance target
+   */
+  resolveMaintenanceTarget(serviceState, window) {
+    const { config } = serviceState;
+
+    if (window.target === 'maintenance') {
+      return {
+        target: config.maintenance_target || this.config.maintenance_target,
+        tier: 'maintenance',
+      };
+    }
+
+    return { target: this.getFallbackTargets(config)[0], tier: 1 };
+  }
+
+  /**
+   * Route a pinned service to its pin target
+   * Health checks keep running for the status output but never switch traffic or alert.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @param {ServicePin} pin - Active pin
+   */
+  async applyPin(serviceName, serviceState, pin) {
+    const { config } = serviceState;
+
+    const healthResult = await this.healthChecker.checkHealth(
+      config.check,
+      serviceName,
+      config.retries || 3
+    );
+    this.recordHealthResult(serviceState, healthResult);
+
+    try {
+      const { target, tier } = this.resolvePinTarget(serviceState, pin.target);
+
+      if (
+        !this.needsConfigurationUpdate(serviceState, target) ||
+        (await this.updateServiceConfiguration(serviceName, serviceState, target, 'pin'))
+      ) {
+        serviceState.failedOver = tier !== 0;
+        serviceState.activeTier = tier;
+      }
+    } catch (error) {
+      this.logger.error(`Cannot apply pin of ${serviceName}: ${error.message}`, 'service-manager');
+    }
+
+    serviceState.allTargetsDown = false;
+    this.refreshServiceState(serviceState);
+  }
+
+  /**
+   * Resolve a pin target to an upstream
+   * @param {Object} serviceState - Service state object
+   * @param {string} spec - 'primary', 'fallback' or '[scheme://]host:port'
+   * @returns {{target: Object, tier: number|string}} Upstream and its tier (0, 1 or 'pinned')
+   */
+  resolvePinTarget(serviceState, spec) {
+    if (spec === 'primary') {
+      const target = serviceState.originalConfig || serviceState.config.if_success;
+      if (!target) {
+        throw new Error(`no primary target known for ${serviceState.name}`);
+      }
+      return { target, tier: 0 };
+    }
+
+    if (spec === 'fallback') {
+      return { target: this.getFallbackTargets(serviceState.config)[0], tier: 1 };
+    }
+
+    // IPv6 hosts are bracketed, as in a URL: [fd00::9]:8443
+    const match = /^(?:(https?):\/\/)?(?:\[([^\s\]]+)\]|([^\s:/[\]]+)):(\d{1,5})$/.exec(spec);
+    const port = match ? parseInt(match[4], 10) : NaN;
+    if (!match || (match[2] && !net.isIPv6(match[2])) || port < 1 || port > 65535) {
+      throw new Error(
+        `invalid pin target '${spec}' (use primary, fallback or host:port with a port of 1-65535)`
+      );
+    }
+    return {
+      target: { host: match[2] || match[3], port, scheme: match[1] || 'http' },
+      tier: 'pinned',
+    };
+  }
+
+  /**
+   * Get the pin of a service, dropping it once expired
+   * @param {string} serviceName - Name of the service
+   * @returns {ServicePin|null} Active pin
+   */
+  getActivePin(serviceName) {
+    const pin = this.pins.get(serviceName);
+    if (!pin) {
+      return null;
+    }
+
+    if (pin.expiresAt && new Date(pin.expiresAt).getTime() <= Date.now()) {
+      this.logger.info(`📌 Pin of ${serviceName} expired`, 'service-manager');
+      this.clearPin(serviceName);
+      this.saveControlState();
+      this.history.recordAction('service.unpin', {
+        service: serviceName,
+        actor: 'expiry',
+        details: pin,
+      });
+      return null;
+    }
+
+    return pin;
+  }
+
+  /**
+   * Pin a service to a target until unpinned or expired
+   * @param {string} serviceName - Name of the service
+   * @param {string} target - 'primary', 'fallback' or '[scheme://]host:port'
+   * @param {Object} [options] - Pin options
+   * @param {string} [options.expires] - Time string after which the pin is dropped (e.g. '2h')
+   * @param {string} [options.actor] - Who pinned the service
+   * @returns {Promise<ServicePin>} The new pin
+   */
+  async pinService(serviceName, target, { expires = null, actor = null } = {}) {
+    const serviceState = this.serviceStates.get(serviceName);
+    if (!serviceState) {
+      throw new Error(`Unknown service: ${serviceName}`);
+    }
+
+    // Validate the target before saving anything
+    this.resolvePinTarget(serviceState, target);
+
+    const pin = {
+      target,
+      pinnedAt: new Date().toISOString(),
+      expiresAt: expires ? new Date(Date.now() + parseTimeToMs(expires)).toISOString() : null,
+      actor,
+    };
+
+    this.clearPin(serviceName);
+    this.pins.set(serviceName, pin);
+    this.schedulePinExpiry(serviceName, pin);
+    await this.saveControlState();
+
+    const until = pin.expiresAt ? ` until ${pin.expiresAt}` : '';
+    this.logger.info(`📌 Pinned ${serviceName} to ${target}${until}`, 'service-manager');
+    this.history.recordAction('service.pin', { service: serviceName, actor, details: pin });
+
+    this.recheckService(serviceName, serviceState);
+    return pin;
+  }
+
+  /**
+   * Remove the pin of a service and resume health-driven routing
+   * @param {string} serviceName - Name of the service
+   * @param {Object} [options] - Unpin options
+   * @param {string} [options.actor] - Who unpinned the service
+   * @returns {Promise<void>}
+   */
+  async unpinService(serviceName, { actor = null } = {}) {
+    const pin = this.pins.get(serviceName);
+    if (!pin) {
+      throw new Error(`Service '${serviceName}' is not pinned`);
+    }
+
+    this.clearPin(serviceName);
+    await this.saveControlState();
+
+    this.logger.info(`📌 Unpinned ${serviceName}`, 'service-manager');
+    this.history.recordAction('service.unpin', { service: serviceName, actor, details: pin });
+
+    this.recheckService(serviceName, this.serviceStates.get(serviceName));
+  }
+
+  /**
+   * Pause monitoring: no checks and no switches until resumed
+   * @param {Object} [options] - Options
+   * @param {string} [options.actor] - Who paused monitoring
+   * @returns {Promise<void>}
+   */
+  async pauseMonitoring({ actor = null } = {}) {
+    this.paused = true;
+    await this.saveControlState();
+
+    this.logger.warn('⏸️ Monitoring paused', 'service-manager');
+    this.history.recordAction('monitoring.pause', { actor });
+  }
+
+  /**
+   * Resume monitoring and check every service right away
+   * @param {Object} [options] - Options
+   * @param {string} [options.actor] - Who resumed monitoring
+   * @returns {Promise<void>}
+   */
+  async resumeMonitoring({ actor = null } = {}) {
+    this.paused = false;
+    await this.saveControlState();
+
+    this.logger.info('▶️ Monitoring resumed', 'service-manager');
+    this.history.recordAction('monitoring.resume', { actor });
+
+    for (const [serviceName, serviceState] of this.serviceStates) {
+      this.recheckService(serviceName, serviceState);
+    }
+  }
+
+  /**
+   * Drop a pin and its expiry timer
+   * @param {string} serviceName - Name of the service
+   */
+  clearPin(serviceName) {
+    clearTimeout(this.pinTimers.get(serviceName));
+    this.pinTimers.delete(serviceName);
+    this.pins.delete(serviceName);
+  }
+
+  /**
+   * Re-check a service when its pin expires
+   * @param {string} serviceName - Name of the service
+   * @param {ServicePin} pin - Pin with an optional expiry
+   */
+  schedulePinExpiry(serviceName, pin) {
+    if (!pin.expiresAt) {
+      return;
+    }
+
+    const delay = Math.max(0, new Date(pin.expiresAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.pinTimers.delete(serviceName);
+      const serviceState = this.serviceStates.get(serviceName);
+      if (serviceState) {
+        this.recheckService(serviceName, serviceState);
+      }
+    }, delay);
+    timer.unref();
+    this.pinTimers.set(serviceName, timer);
+  }
+
+  /**
+   * Load pins and pause state saved by the control channel
+   * Pins of services no longer configured are dropped.
+   */
+  async restoreControlState() {
+    const { paused, pins } = await this.controlState.load();
+    this.paused = paused;
+
+    for (const [serviceName, pin] of Object.entries(pins)) {
+      if (!this.serviceStates.has(serviceName)) {
+        this.logger.warn(`Dropping pin of unknown service ${serviceName}`, 'service-manager');
+        continue;
+      }
+      this.pins.set(serviceName, pin);
+      this.schedulePinExpiry(serviceName, pin);
+      this.logger.info(`📌 ${serviceName} is pinned to ${pin.target}`, 'service-manager');
+    }
+  }
+
+  /**
+   * Save pins and pause state so they survive restarts
+   * @returns {Promise<void>}
+   */
+  async saveControlState() {
+    try {
+      await this.controlState.save({ paused: this.paused, pins: Object.fromEntries(this.pins) });
+    } catch (error) {
+      this.logger.error(`Failed to save control state: ${error.message}`, 'service-manager');
+    }
+  }
+
+  /**
+   * Re-check a service as soon as it enters or leaves a maintenance window
+   * @param {string} serviceName - Name of the service
+   * @param {Object|null} window - Active window, or null when the window ended
+   */
+  onMaintenanceChange(serviceName, window) {
+    const serviceState = this.serviceStates.get(serviceName);
+    if (!serviceState) {
+      return;
+    }
+
+    this.logger.debug(
+      `Maintenance window ${window ? `${window.label} opened` : 'closed'} for ${serviceName}`,
+      'service-manager'
+    );
+    this.recheckService(serviceName, serviceState);
+  }
+
+  /**
+   * Check a service right away instead of waiting for its next scheduled check
+   * A check already in progress is left alone; it schedules the next one itself.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   */
+  recheckService(serviceName, serviceState) {
+    if (!this.isRunning || serviceState.checkInProgress) {
+      return;
+    }
+
+    clearTimeout(this.timers.get(serviceName));
+    this.timers.delete(serviceName);
+    this.startServiceMonitoring(serviceName, serviceState);
+  }
+
+  /**
+   * Check if service configuration needs to be updated
+   * @param {Object} serviceState - Current service state
+   * @param {Object} targetConfig - Target configuration
+   * @returns {boolean} Whether update is needed
+   */
+  needsConfigurationUpdate(serviceState, targetConfig) {
+    return (
+      serviceState.currentHost !== targetConfig.host ||
+      serviceState.currentPort !== targetConfig.port ||
+      serviceState.currentScheme !== targetConfig.scheme
+    );
+  }
+
+  /**
+   * Update service configuration
+   *
+   * Runs the switch as a transaction: write the nginx conf (atomically, with a
+   * backup), update proxy_host, test the nginx config, reload and verify. If any
+   * step fails, the conf and the proxy_host row are rolled back and the service
+   * state is left untouched. The outcome is logged as one structured event and
+   * kept in `serviceState.lastSwitch`.
+   *
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @param {Object} targetConfig - Target configuration
+   * @param {string} [reason] - Why the switch happens (failover, failback, restore, ...)
+   * @returns {Promise<boolean>} Whether the configuration was applied
+   */
+  async updateServiceConfiguration(
+    serviceName,
+    serviceState,
+    targetConfig,
+    reason = 'health-check'
+  ) {
+    const startTime = Date.now();
+    const event = {
+      service: serviceName,
+      reason,
+      proxyId: null,
+      from: null,
+      to: null,
+      outcome: 'failed',
+      failedStep: null,
+      error: null,
+      steps: {},
+      durationMs: 0,
+    };
+    let backupPath = null;
+    let previous = null;
+    let step = 'find_proxy_host';
+
+    try {
+      // Find proxy host in database
       const proxyHost = await this.database.findProxyHostByDomain(serviceState.config.domain);
 
       if (!proxyHost) {
-        this.logger.error(
-          `No proxy host found for domain: ${serviceState.config.domain}`,
+        throw new Error(`No proxy host found for domain: ${serviceState.config.domain}`);
+      }
+
+      previous = {
+        host: proxyHost.forward_host,
+        port: proxyHost.forward_port,
+        scheme: proxyHost.forward_scheme,
+      };
+      const next = {
+        host: targetConfig.host,
+        port: targetConfig.port,
+        scheme: targetConfig.scheme || previous.scheme, // Use target scheme or fallback to current
+      };
+      event.proxyId = proxyHost.id;
+      event.from = this.formatTarget(previous);
+      event.to = this.formatTarget(next);
+
+      if (reason === 'restore' && this.isSameTarget(previous, next)) {
+        this.logger.debug(
+          `${serviceName} is already on ${event.to}, nothing to restore`,
           serviceName
         );
-        return;
+        this.applyServiceTarget(serviceState, next);
+        return true;
       }
 
-      const oldHost = serviceState.currentHost || proxyHost.forward_host;
-      const oldPort = serviceState.currentPort || proxyHost.forward_port;
-      const oldScheme = serviceState.currentScheme || proxyHost.forward_scheme;
-      const newHost = targetConfig.host;
-      const newPort = targetConfig.port;
-      const newScheme = targetConfig.scheme || oldScheme; // Use target scheme or fallback to current
-
       this.logger.info(
-        `Updating configuration for ${serviceName}: ${oldScheme}://${oldHost}:${oldPort} → ${newScheme}://${newHost}:${newPort}`,
+        `Updating configuration for ${serviceName}: ${event.from} → ${event.to}`,
         serviceName
       );
 
-      // Update Nginx configuration
-      const nginxUpdateSuccess = await this.nginxUpdater.updateProxyConfig(
+      step = 'write_config';
+      // Replace what the conf actually contains, which differs from proxy_host after drift
+      const upstream = this.nginxUpdater.readProxyUpstream(proxyHost.id) || {};
+      backupPath = await this.nginxUpdater.updateProxyConfig(
         proxyHost.id,
-        oldHost,
-        newHost,
-        oldPort,
-        newPort,
-        oldScheme,
-        newScheme
+        upstream.host ?? previous.host,
+        next.host,
+        upstream.port ?? previous.port,
+        next.port,
+        upstream.scheme ?? previous.scheme,
+        next.scheme
       );
+      this.assertStep(event, step, Boolean(backupPath));
 
-      if (!nginxUpdateSuccess) {
-        this.logger.error(`Failed to update Nginx configuration for ${serviceName}`, serviceName);
-        return;
-      }
-
-      // Update database
+      step = 'update_database';
       const dbUpdateSuccess = await this.database.updateProxyHost(
         proxyHost.id,
-        newHost,
-        newPort,
-        newScheme
+        next.host,
+        next.port,
+        next.scheme
       );
+      this.assertStep(event, step, dbUpdateSuccess);
 
-      if (!dbUpdateSuccess) {
-        this.logger.error(`Failed to update database for ${serviceName}`, serviceName);
-        return;
+      step = 'test_config';
+      this.assertStep(event, step, await this.nginxUpdater.testNginxConfig());
+
+      step = 'reload';
+      this.assertStep(event, step, await this.nginxUpdater.reloadNginx());
+
+      step = 'verify';
+      this.assertStep(event, step, await this.verifyServiceTarget(proxyHost.id, next));
+
+      // Commit: only now does the in-memory state follow the new target
+      this.applyServiceTarget(serviceState, next);
+      event.outcome = 'committed';
+    } catch (error) {
+      event.steps[step] = event.steps[step] || 'failed';
+      event.failedStep = step;
+      event.error = error.message;
+
+      if (backupPath) {
+        event.outcome = (await this.rollbackServiceConfiguration(event, backupPath, previous))
+          ? 'rolled_back'
+          : 'rollback_failed';
       }
+    }
 
-      // Update service state
-      serviceState.currentHost = newHost;
-      serviceState.currentPort = newPort;
-      serviceState.currentScheme = newScheme;
+    event.durationMs = Date.now() - startTime;
+    serviceState.lastSwitch = { ...event, timestamp: new Date() };
+    this.logger.switchTransaction(event);
+    this.metrics.recordSwitch(event);
+    this.history.recordSwitch(event);
+    this.notifySwitch(serviceState, event);
 
-      // Reload Nginx
-      const nginxReloadSuccess = await this.nginxUpdater.reloadNginx();
+    return event.outcome === 'committed';
+  }
 
-      if (nginxReloadSuccess) {
-        this.logger.success(`Successfully updated ${serviceName} configuration`, serviceName);
-      } else {
-        this.logger.error(
-          `Configuration updated but Nginx reload failed for ${serviceName}`,
-          serviceName
-        );
+  /**
+   * Record a transaction step result, throwing if it failed
+   * @param {Object} event - Switch event being built
+   * @param {string} step - Step name
+   * @param {boolean} success - Whether the step succeeded
+   */
+  assertStep(event, step, success) {
+    event.steps[step] = success ? 'ok' : 'failed';
+
+    if (!success) {
+      throw new Error(`Step ${step} failed`);
+    }
+  }
+
+  /**
+   * Verify that proxy_host and the nginx conf both point at the target
+   * @param {number} proxyId - Proxy host ID
+   * @param {Object} target - Expected host, port and scheme
+   * @returns {Promise<boolean>} Whether both match
+   */
+  async verifyServiceTarget(proxyId, target) {
+    const row = await this.database.findProxyHostById(proxyId);
+    if (!row || !this.isSameTarget(this.rowToTarget(row), target)) {
+      return false;
+    }
+
+    // Conf files without NPM `set $server/$port` directives only get the proxy_host check
+    const upstream = this.nginxUpdater.readProxyUpstream(proxyId);
+    if (!upstream) {
+      return false;
+    }
+
+    return (
+      (upstream.host === null || upstream.host === String(target.host)) &&
+      (upstream.port === null || upstream.port === Number(target.port))
+    );
+  }
+
+  /**
+   * Roll back a failed switch: restore the conf backup, revert proxy_host and reload
+   * @param {Object} event - Switch event being built
+   * @param {string} backupPath - Conf backup written before the switch
+   * @param {Object} previous - Previous host, port and scheme
+   * @returns {Promise<boolean>} Whether the rollback succeeded
+   */
+  async rollbackServiceConfiguration(event, backupPath, previous) {
+    this.logger.warn(`Rolling back ${event.service} to ${event.from}`, event.service);
+
+    try {
+      const confRestored = this.nginxUpdater.restoreProxyConfig(event.proxyId, backupPath);
+      const dbReverted = await this.database.updateProxyHost(
+        event.proxyId,
+        previous.host,
+        previous.port,
+        previous.scheme
+      );
+
+      // Only the reload step can have left nginx running the new config
+      const reloaded = event.steps.reload === 'ok' ? await this.nginxUpdater.reloadNginx() : true;
+
+      return confRestored && dbReverted && reloaded;
+    } catch (error) {
+      this.logger.error(`Rollback failed for ${event.service}: ${error.message}`, event.service);
+      return false;
+    }
+  }
+
+  /**
+   * Point the in-memory service state at a target
+   * @param {Object} serviceState - Service state object
+   * @param {Object} target - Host, port and scheme
+   */
+  applyServiceTarget(serviceState, target) {
+    serviceState.currentHost = target.host;
+    serviceState.currentPort = target.port;
+    serviceState.currentScheme = target.scheme;
+  }
+
+  /**
+   * Adopt a target as the new primary of a service
+   * Used when an edit made in the NPM UI is accepted; a new snapshot keeps it across restarts.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @param {Object} target - Host, port and scheme
+   * @returns {Promise<void>}
+   */
+  async adoptPrimaryTarget(serviceName, serviceState, target) {
+    serviceState.originalConfig = { ...target };
+    serviceState.failedOver = false;
+    serviceState.activeTier = 0;
+    this.applyServiceTarget(serviceState, target);
+
+    try {
+      // Full capture like any other snapshot, with every service on its primary
+      const services = await this.snapshotManager.captureServices(this.database, this.nginxUpdater);
+      for (const [name, entry] of Object.entries(services)) {
+        const primary = this.serviceStates.get(name)?.originalConfig;
+        if (primary) {
+          services[name] = this.retargetSnapshotEntry(name, entry, primary);
+        }
       }
+
+      await this.snapshotManager.createSnapshot(
+        services,
+        `Adopted external edit of ${serviceName}`
+      );
     } catch (error) {
-      this.logger.error(`Failed to update service configuration: ${error.message}`, serviceName);
+      this.logger.error(
+        `Adopted ${this.formatTarget(target)} for ${serviceName} but could not save a snapshot: ${error.message}`,
+        'service-manager'
+      );
+    }
+  }
+
+  /**
+   * Point a captured snapshot entry at a target
+   * A failed-over service is captured on its fallback; its proxy_host row and
+   * conf copy are rewritten to the target so a restore puts the primary back.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} entry - Entry from SnapshotManager.captureServices
+   * @param {Object} target - Host, port and scheme
+   * @returns {Object} Entry for the target
+   */
+  retargetSnapshotEntry(serviceName, entry, target) {
+    const live = { host: entry.host, port: entry.port, scheme: entry.scheme };
+    if (this.isSameTarget(live, target)) {
+      return entry;
+    }
+
+    const scheme = target.scheme || live.scheme;
+    const retargeted = { ...entry, host: target.host, port: target.port, scheme };
+    if (entry.proxy_host) {
+      retargeted.proxy_host = {
+        ...entry.proxy_host,
+        forward_host: target.host,
+        forward_port: target.port,
+        forward_scheme: scheme,
+      };
     }
+    if (entry.nginx_conf) {
+      try {
+        retargeted.nginx_conf = this.nginxUpdater.replaceUpstreamConfig(
+          entry.nginx_conf,
+          live.host,
+          target.host,
+          live.port,
+          target.port,
+          live.scheme,
+          scheme
+        );
+      } catch (error) {
+        // Without a conf copy a restore still rewrites the upstream of the live conf
+        delete retargeted.nginx_conf;
+        this.logger.warn(
+          `Snapshot keeps no conf copy of ${serviceName}: ${error.message}`,
+          'service-manager'
+        );
+      }
+    }
+    return retargeted;
+  }
+
+  /**
+   * Convert a proxy_host row to a target
+   * @param {ProxyHost} row - Proxy host record
+   * @returns {Object} Host, port and scheme
+   */
+  rowToTarget(row) {
+    return { host: row.forward_host, port: row.forward_port, scheme: row.forward_scheme };
+  }
+
+  /**
+   * Check whether two targets point at the same upstream
+   * @param {Object} a - Host, port and scheme
+   * @param {Object} b - Host, port and scheme
+   * @returns {boolean} Whether host, port and scheme match
+   */
+  isSameTarget(a, b) {
+    return (
+      String(a.host) === String(b.host) &&
+      Number(a.port) === Number(b.port) &&
+      (a.scheme || 'http') === (b.scheme || 'http')
+    );
   }
 
   /**
@@ -625,24 +1648,215 @@ class ServiceManager {
   getServiceStatus() {
     const status = {
       isRunning: this.isRunning,
+      paused: this.paused,
       services: {},
     };
 
     for (const [serviceName, serviceState] of this.serviceStates) {
-      status.services[serviceName] = {
-        name: serviceName,
-        isHealthy: serviceState.isHealthy,
-        lastCheck: serviceState.lastCheck,
-        consecutiveFailures: serviceState.consecutiveFailures,
-        currentHost: serviceState.currentHost,
-        currentPort: serviceState.currentPort,
-        checkUrl: serviceState.config.check,
-      };
+      status.services[serviceName] = this.buildServiceStatus(serviceName, serviceState);
     }
 
     return status;
   }
 
+  /**
+   * Build the status entry of a single service
+   * @param {string} serviceName - Name of the service
+   * @param {Object} serviceState - Service state object
+   * @returns {Object} Service status
+   */
+  buildServiceStatus(serviceName, serviceState) {
+    return {
+      name: serviceName,
+      domain: serviceState.config.domain,
+      isHealthy: serviceState.isHealthy,
+      state: serviceState.state,
+      allTargetsDown: serviceState.allTargetsDown,
+      incidentStart: serviceState.incidentStart,
+      lastCheck: serviceState.lastCheck,
+      lastSuccess: serviceState.lastSuccess,
+      lastError: serviceState.lastResult?.error || null,
+      lastResponseTime: serviceState.lastResult?.responseTime ?? null,
+      consecutiveFailures: serviceState.consecutiveFailures,
+      consecutiveSuccesses: serviceState.consecutiveSuccesses,
+      currentHost: serviceState.currentHost,
+      currentPort: serviceState.currentPort,
+      currentScheme: serviceState.currentScheme,
+      activeTier: serviceState.activeTier,
+      maintenance: serviceState.maintenance,
+      pin: this.pins.get(serviceName) || null,
+      drift: serviceState.drift,
+      fallbackTiers: this.getFallbackTargets(serviceState.config).map((target, index) => ({
+        tier: index + 1,
+        target: this.formatTarget(target),
+        healthy: serviceState.tierHealth[index] ?? null,
+      })),
+      checkUrl: this.healthChecker.describeCheck(serviceState.config.check),
+    };
+  }
+
+  /**
+   * Render Prometheus metrics for all services
+   * @returns {string} Prometheus exposition text
+   */
+  getMetrics() {
+    return this.metrics.render(this.getServiceStatus());
+  }
+
+  /**
+   * Get detailed status of a single service
+   * @param {string} serviceName - Name of the service
+   * @returns {Object|null} Service status with recent check history, or null if unknown
+   */
+  getServiceDetail(serviceName) {
+    const serviceState = this.serviceStates.get(serviceName);
+    if (!serviceState) {
+      return null;
+    }
+
+    return {
+      ...this.buildServiceStatus(serviceName, serviceState),
+      originalConfig: serviceState.originalConfig,
+      lastSwitch: serviceState.lastSwitch || null,
+      history: [...serviceState.history],
+    };
+  }
+
+  /**
+   * Apply a reloaded configuration without restarting
+   *
+   * Added services start monitoring, removed services stop (and are switched
+   * back to their original target when `hot_reload.restore_removed` is set)
+   * and changed services pick up their new settings in place. A service whose
+   * domain changed is handled as removed and added again. Changes to keys
+   * outside RELOADABLE_KEYS are logged and need a restart.
+   *
+   * @param {AppConfig} newConfig - Validated configuration
+   * @param {string} [actor] - What triggered the reload (e.g. 'signal', 'watch')
+   * @returns {Promise<{added: Array<string>, removed: Array<string>, updated: Array<string>}>} Applied changes
+   */
+  async applyConfig(newConfig, actor = null) {
+    const changes = { added: [], removed: [], updated: [] };
+    const oldServices = this.config.services;
+    const newServices = newConfig.services;
+    const restoreRemoved = Boolean(newConfig.hot_reload?.restore_removed);
+
+    for (const key of new Set([...Object.keys(this.config), ...Object.keys(newConfig)])) {
+      if (RELOADABLE_KEYS.includes(key) || CLI_KEYS.includes(key)) {
+        continue;
+      }
+      if (!isDeepStrictEqual(this.config[key], newConfig[key])) {
+        this.logger.warn(
+          `Configuration key '${key}' changed - restart required to apply it`,
+          'service-manager'
+        );
+      }
+    }
+
+    // The config object is shared with the other components, so update it in place
+    for (const key of RELOADABLE_KEYS.filter(key => key !== 'services')) {
+      if (newConfig[key] === undefined) {
+        delete this.config[key];
+      } else {
+        this.config[key] = newConfig[key];
+      }
+    }
+    await this.notifier.updateSinks(newConfig.notifications?.sinks || []);
+
+    for (const [serviceName, serviceConfig] of Object.entries(oldServices)) {
+      const replacement = newServices[serviceName];
+      if (!replacement || replacement.domain !== serviceConfig.domain) {
+        await this.removeService(serviceName, restoreRemoved);
+        changes.removed.push(serviceName);
+      }
+    }
+
+    this.config.services = newServices;
+    this.maintenance.reload();
+
+    for (const [serviceName, serviceConfig] of Object.entries(newServices)) {
+      if (!this.serviceStates.has(serviceName)) {
+        await this.addService(serviceName, serviceConfig);
+        changes.added.push(serviceName);
+      } else if (!isDeepStrictEqual(oldServices[serviceName], serviceConfig)) {
+        this.updateService(serviceName, serviceConfig);
+        changes.updated.push(serviceName);
+      }
+    }
+
+    this.logger.success(
+      `Configuration reloaded: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.updated.length} updated`,
+      'service-manager'
+    );
+    this.history.recordAction('config.reload', { actor, details: changes });
+
+    return changes;
+  }
+
+  /**
+   * Start managing a service added by a reload
+   * @param {string} serviceName - Name of the service
+   * @param {ServiceConfig} serviceConfig - Service configuration
+   */
+  async addService(serviceName, serviceConfig) {
+    this.logger.info(`➕ Adding service ${serviceName}`, 'service-manager');
+
+    // New services are not part of the active snapshot, so read the database
+    const serviceState = await this.createServiceState(serviceName, serviceConfig, 0);
+    this.serviceStates.set(serviceName, serviceState);
+
+    if (serviceState.originalConfig) {
+      await this.performInitialHealthCheck(serviceName, serviceState);
+    }
+
+    if (this.isRunning) {
+      this.startServiceMonitoring(serviceName, serviceState);
+    }
+  }
+
+  /**
+   * Stop managing a service removed by a reload
+   * @param {string} serviceName - Name of the service
+   * @param {boolean} restore - Switch back to the original target if currently failed over
+   */
+  async removeService(serviceName, restore) {
+    const serviceState = this.serviceStates.get(serviceName);
+    this.logger.info(`➖ Removing service ${serviceName}`, 'service-manager');
+
+    clearTimeout(this.timers.get(serviceName));
+    this.timers.delete(serviceName);
+
+    if (this.pins.has(serviceName)) {
+      this.clearPin(serviceName);
+      await this.saveControlState();
+    }
+
+    if (restore && serviceState.originalConfig && serviceState.failedOver) {
+      try {
+        await this.restoreOriginalConfiguration(serviceName, serviceState.originalConfig);
+      } catch {
+        // Already logged; the service is removed either way
+      }
+    }
+
+    this.serviceStates.delete(serviceName);
+  }
+
+  /**
+   * Apply changed settings to a monitored service and check it again
+   * @param {string} serviceName - Name of the service
+   * @param {ServiceConfig} serviceConfig - New service configuration
+   */
+  updateService(serviceName, serviceConfig) {
+    const serviceState = this.serviceStates.get(serviceName);
+    this.logger.info(`🔧 Updating service ${serviceName}`, 'service-manager');
+
+    serviceState.config = serviceConfig;
+    serviceState.tierHealth = []; // The fallback chain may have changed
+
+    this.recheckService(serviceName, serviceState);
+  }
+
   /**
    * Shutdown the service manager
    */
@@ -650,6 +1864,8 @@ class ServiceManager {
     this.logger.info('Shutting down Service Manager...', 'service-manager');
 
     this.stop();
+    await this.notifier.shutdown();
+    await this.history.close();
     await this.database.close();
 
     this.logger.success('Service Manager shutdown complete', 'service-manager');
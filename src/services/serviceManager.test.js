@@ -0,0 +1,90 @@
+const ServiceManager = require('./serviceManager');
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+});
+
+describe('ServiceManager', () => {
+  describe('getThresholds', () => {
+    it('reads fall, rise and failback_hold with defaults', () => {
+      const manager = new ServiceManager({ services: {} }, createLogger());
+
+      expect(manager.getThresholds({ fall: 3, failback_hold: '2m' })).toEqual({
+        fall: 3,
+        rise: 1,
+        failbackHoldMs: 120000,
+      });
+      expect(manager.getThresholds({})).toEqual({ fall: 1, rise: 1, failbackHoldMs: 0 });
+    });
+  });
+
+  describe('resolvePinTarget', () => {
+    const serviceState = {
+      name: 'api',
+      originalConfig: { host: '10.0.0.1', port: 8080, scheme: 'http' },
+      config: { if_failed: { host: '10.0.0.2', port: 8080, scheme: 'http' } },
+    };
+    let manager;
+
+    beforeEach(() => {
+      manager = new ServiceManager(
+        { services: {}, nginx_conf_dir: './conf', sqlite_file: './npm.sqlite' },
+        createLogger()
+      );
+    });
+
+    it('resolves primary and fallback', () => {
+      expect(manager.resolvePinTarget(serviceState, 'primary')).toEqual({
+        target: serviceState.originalConfig,
+        tier: 0,
+      });
+      expect(manager.resolvePinTarget(serviceState, 'fallback').tier).toBe(1);
+    });
+
+    it('parses host:port with an optional scheme', () => {
+      expect(manager.resolvePinTarget(serviceState, '10.0.0.9:8443')).toEqual({
+        target: { host: '10.0.0.9', port: 8443, scheme: 'http' },
+        tier: 'pinned',
+      });
+      expect(manager.resolvePinTarget(serviceState, 'https://backup.internal:443').target).toEqual({
+        host: 'backup.internal',
+        port: 443,
+        scheme: 'https',
+      });
+    });
+
+    it('parses bracketed IPv6 hosts', () => {
+      expect(manager.resolvePinTarget(serviceState, '[::1]:8080').target).toEqual({
+        host: '::1',
+        port: 8080,
+        scheme: 'http',
+      });
+      expect(manager.resolvePinTarget(serviceState, 'https://[fd00::9]:8443').target).toEqual({
+        host: 'fd00::9',
+        port: 8443,
+        scheme: 'https',
+      });
+    });
+
+    it('rejects invalid targets and ports', () => {
+      for (const spec of [
+        '10.0.0.9',
+        '10.0.0.9:0',
+        '10.0.0.9:65536',
+        '10.0.0.9:99999',
+        '::1:8080',
+        '[not-ipv6]:8080',
+        'ftp://10.0.0.9:21',
+        'http://10.0.0.9:8080/path',
+      ]) {
+        expect(() => manager.resolvePinTarget(serviceState, spec)).toThrow(
+          `invalid pin target '${spec}'`
+        );
+      }
+      expect(manager.resolvePinTarget(serviceState, '10.0.0.9:65535').target.port).toBe(65535);
+    });
+  });
+});
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const DatabaseManager = require('../database/databaseManager');
+const SnapshotManager = require('./snapshotManager');
+const { version: SWITCHER_VERSION } = require('../../package.json');
+
+const FORMAT = 'npm-switcher-snapshot-archive';
+const FORMAT_VERSION = 1;
+
+// Backup files are stored by name only; anything else in an archive is rejected
+const BACKUP_FILE_PATTERN = /^proxy_host_[\w.-]+\.json$/;
+
+/**
+ * Portable snapshot archives for moving a setup between switcher instances
+ *
+ * An archive is a gzip-compressed JSON bundle holding a manifest and files:
+ * - snapshot.json: the snapshot as stored, checksum included
+ * - nginx/<id>.conf: the conf copies captured in the snapshot, for reading by hand
+ *   (checked against snapshot.json on import)
+ * - backups/proxy_host_<service>_<timestamp>.json: the latest initial proxy_host
+ *   backup of each snapshot service
+ *
+ * The manifest records the switcher version, the NPM schema of the exporting
+ * database and a SHA-256 digest of every file. Imports are stored under the
+ * next free snapshot number, never over an existing one.
+ */
+class SnapshotArchive {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.snapshotManager = new SnapshotManager(logger, config);
+    this.backupDir = config.backup_dir || './backups';
+  }
+
+  /**
+   * Export a snapshot to an archive file
+   * @param {number} snapshotNumber - Snapshot to export
+   * @param {string} file - Archive file to write
+   * @returns {Promise<Object>} Archive manifest
+   */
+  async exportSnapshot(snapshotNumber, file) {
+    const snapshot = await this.snapshotManager.loadSnapshot(snapshotNumber);
+    const files = { 'snapshot.json': JSON.stringify(snapshot, null, 2) };
+
+    for (const entry of Object.values(snapshot.services)) {
+      if (entry.nginx_conf && entry.proxy_host?.id) {
+        files[`nginx/${entry.proxy_host.id}.conf`] = entry.nginx_conf;
+      }
+    }
+
+    for (const serviceName of Object.keys(snapshot.services)) {
+      const backup = this.findLatestBackup(serviceName);
+      if (backup) {
+        files[`backups/${backup}`] = fs.readFileSync(path.join(this.backupDir, backup), 'utf8');
+      }
+    }
+
+    const manifest = {
+      format: FORMAT,
+      format_version: FORMAT_VERSION,
+      switcher_version: SWITCHER_VERSION,
+      exported_at: new Date().toISOString(),
+      source: os.hostname(),
+      snapshot: {
+        id: snapshot.id,
+        timestamp: snapshot.timestamp,
+        description: snapshot.description,
+        label: snapshot.label || null,
+        checksum: snapshot.checksum || null,
+        services: Object.keys(snapshot.services),
+      },
+      npm_schema: await this.readSchema(),
+      files: Object.entries(files).map(([name, content]) => ({
+        path: name,
+        sha256: this.digest(content),
+      })),
+    };
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tempFile = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tempFile, zlib.gzipSync(JSON.stringify({ manifest, files })));
+    fs.renameSync(tempFile, file);
+
+    this.logger.info(
+      `📦 Exported snapshot ${snapshot.id} to ${file} (${manifest.files.length} files)`,
+      'snapshot-manager'
+    );
+
+    return manifest;
+  }
+
+  /**
+   * Import a snapshot archive
+   * The snapshot gets the next free number and records where it came from.
+   * Backup files are added to backup_dir unless a file of the same name exists.
+   * @param {string} file - Archive file to read
+   * @returns {Promise<{snapshotNumber: number, manifest: Object, backups: {written: Array<string>, skipped: Array<string>}, warnings: Array<string>}>} Import report
+   * @throws {Error} If the archive or its manifest is invalid
+   */
+  async importSnapshot(file) {
+    const { manifest, files } = this.readArchive(file);
+    const snapshot = JSON.parse(files['snapshot.json']);
+
+    // Snapshots written before checksums existed have none, the manifest records null
+    if ((snapshot.checksum || null) !== (manifest.snapshot.checksum || null)) {
+      throw new Error('snapshot.json does not match the checksum in the manifest');
+    }
+
+    const confMismatches = this.checkConfCopies(files, snapshot);
+    if (confMismatches.length > 0) {
+      throw new Error(
+        `Conf copies do not match snapshot.json: ${confMismatches.join(', ')} (the restore uses snapshot.json)`
+      );
+    }
+
+    const warnings = await this.checkSchema(manifest, snapshot);
+    if (this.snapshotManager.verifyChecksum(snapshot) === 'unverified') {
+      warnings.push(
+        `Snapshot ${manifest.snapshot.id} has no checksum (written before checksums existed), ` +
+          'only the archive digest vouches for its content'
+      );
+    }
+    warnings.forEach(warning => this.logger.warn(warning, 'snapshot-manager'));
+
+    const snapshotNumber = await this.snapshotManager.importSnapshot(snapshot, {
+      id: manifest.snapshot.id,
+      source: manifest.source,
+      switcher_version: manifest.switcher_version,
+      exported_at: manifest.exported_at,
+    });
+
+    const backups = { written: [], skipped: [] };
+    const backupFiles = Object.keys(files).filter(name => name.startsWith('backups/'));
+    if (backupFiles.length > 0) {
+      fs.mkdirSync(this.backupDir, { recursive: true });
+    }
+    for (const name of backupFiles) {
+      const filename = path.basename(name);
+      try {
+        fs.writeFileSync(path.join(this.backupDir, filename), files[name], { flag: 'wx' });
+        backups.written.push(filename);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        backups.skipped.push(filename);
+      }
+    }
+
+    return { snapshotNumber, manifest, backups, warnings };
+  }
+
+  /**
+   * Read and validate an archive
+   * @param {string} file - Archive file
+   * @returns {{manifest: Object, files: Object<string, string>}} Manifest and file contents by path
+   * @throws {Error} If the file is not a valid archive
+   */
+  readArchive(file) {
+    let archive;
+    try {
+      archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Archive not found: ${file}`);
+      }
+      throw new Error(`${file} is not a snapshot archive (${error.message})`);
+    }
+
+    const { manifest, files } = archive || {};
+    if (!manifest || manifest.format !== FORMAT || !files || typeof files !== 'object') {
+      throw new Error(`${file} is not a snapshot archive`);
+    }
+    if (!Number.isInteger(manifest.format_version) || manifest.format_version > FORMAT_VERSION) {
+      throw new Error(
+        `Archive format version ${manifest.format_version} is not supported ` +
+          `(this switcher reads up to ${FORMAT_VERSION}, exported by v${manifest.switcher_version})`
+      );
+    }
+    if (!manifest.snapshot || !Array.isArray(manifest.files)) {
+      throw new Error('Archive manifest is missing its snapshot or file list');
+    }
+
+    const listed = manifest.files.map(entry => entry.path);
+    const unlisted = Object.keys(files).filter(name => !listed.includes(name));
+    if (unlisted.length > 0) {
+      throw new Error(`Archive contains files not in its manifest: ${unlisted.join(', ')}`);
+    }
+
+    for (const entry of manifest.files) {
+      if (typeof files[entry.path] !== 'string') {
+        throw new Error(`Archive is missing ${entry.path}`);
+      }
+      if (this.digest(files[entry.path]) !== entry.sha256) {
+        throw new Error(`${entry.path} is corrupt (checksum mismatch)`);
+      }
+      if (!this.isKnownFile(entry.path)) {
+        throw new Error(`Unexpected file in archive: ${entry.path}`);
+      }
+    }
+
+    if (!files['snapshot.json']) {
+      throw new Error('Archive does not contain snapshot.json');
+    }
+
+    return { manifest, files };
+  }
+
+  /**
+   * Whether an archive path is one this version writes
+   * @param {string} name - Path inside the archive
+   * @returns {boolean} Known status
+   */
+  isKnownFile(name) {
+    return (
+      name === 'snapshot.json' ||
+      /^nginx\/\d+\.conf$/.test(name) ||
+      (name.startsWith('backups/') && BACKUP_FILE_PATTERN.test(name.slice('backups/'.length)))
+    );
+  }
+
+  /**
+   * Compare the nginx/<id>.conf copies with the confs captured in snapshot.json
+   * The copies are for reading an archive by hand; a restore only uses
+   * snapshot.json, so an archive where they differ is not trustworthy.
+   * @param {Object<string, string>} files - Archive file contents by path
+   * @param {Object} snapshot - Archived snapshot
+   * @returns {Array<string>} Paths of copies that differ or belong to no snapshot service
+   */
+  checkConfCopies(files, snapshot) {
+    const captured = new Map(
+      Object.values(snapshot.services)
+        .filter(entry => entry.nginx_conf && entry.proxy_host?.id)
+        .map(entry => [`nginx/${entry.proxy_host.id}.conf`, entry.nginx_conf])
+    );
+
+    return Object.keys(files)
+      .filter(name => name.startsWith('nginx/'))
+      .filter(name => captured.get(name) !== files[name]);
+  }
+
+  /**
+   * Compare the exporting NPM schema with the local one
+   * Mismatches do not stop the import, but a restore of the snapshot may not
+   * apply every captured column.
+   * @param {Object} manifest - Archive manifest
+   * @param {Object} snapshot - Archived snapshot
+   * @returns {Promise<Array<string>>} Warnings
+   */
+  async checkSchema(manifest, snapshot) {
+    const local = await this.readSchema();
+    const remote = manifest.npm_schema;
+    if (!local || !remote) {
+      return [];
+    }
+
+    const warnings = [];
+    const captured = new Set(
+      Object.values(snapshot.services).flatMap(entry => Object.keys(entry.proxy_host || {}))
+    );
+    const missing = [...captured].filter(
+      column => column !== 'id' && !local.proxy_host_columns.includes(column)
+    );
+    if (missing.length > 0) {
+      warnings.push(
+        `Local proxy_host has no ${missing.join(', ')} column(s) captured in the snapshot`
+      );
+    }
+    if (remote.migration && local.migration && remote.migration !== local.migration) {
+      warnings.push(
+        `NPM schema differs: exported from migration ${remote.migration}, local is ${local.migration}`
+      );
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Read the NPM schema of the configured database
+   * @returns {Promise<Object|null>} Schema info, or null if the database file does not exist
+   */
+  async readSchema() {
+    if (!fs.existsSync(this.config.sqlite_file)) {
+      return null;
+    }
+
+    const database = new DatabaseManager(this.config, this.logger);
+    await database.connect();
+    try {
+      return await database.getSchemaInfo();
+    } finally {
+      await database.close();
+    }
+  }
+
+  /**
+   * Find the newest initial proxy_host backup of a service
+   * @param {string} serviceName - Name of the service
+   * @returns {string|null} Backup file name
+   */
+  findLatestBackup(serviceName) {
+    let files;
+    try {
+      files = fs.readdirSync(this.backupDir);
+    } catch {
+      return null;
+    }
+
+    const prefix = `proxy_host_${serviceName}_`;
+    const backups = files
+      .filter(file => file.startsWith(prefix) && /^\d{4}-/.test(file.slice(prefix.length)))
+      .sort();
+    return backups.length > 0 ? backups[backups.length - 1] : null;
+  }
+
+  /**
+   * Compute the digest of a file in the archive
+   * @param {string} content - File content
+   * @returns {string} SHA-256 hex digest
+   */
+  digest(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+}
+
+SnapshotArchive.FORMAT = FORMAT;
+SnapshotArchive.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = SnapshotArchive;
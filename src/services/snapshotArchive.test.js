@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const SnapshotArchive = require('./snapshotArchive');
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+});
+
+describe('SnapshotArchive', () => {
+  let root;
+
+  const createArchive = name =>
+    new SnapshotArchive(
+      {
+        sqlite_file: path.join(root, `${name}.sqlite`), // Absent: the schema check is skipped
+        snapshot_dir: path.join(root, `${name}-snapshots`),
+        backup_dir: path.join(root, `${name}-backups`),
+      },
+      createLogger()
+    );
+
+  const writeLegacySnapshot = (archive, snapshot) => {
+    fs.mkdirSync(archive.snapshotManager.snapshotDir, { recursive: true });
+    fs.writeFileSync(
+      archive.snapshotManager.getSnapshotPath(snapshot.id),
+      JSON.stringify(snapshot)
+    );
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-archive-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('exports and imports a snapshot written before checksums existed', async () => {
+    const source = createArchive('source');
+    const target = createArchive('target');
+    const file = path.join(root, 'legacy.npmsnap');
+    writeLegacySnapshot(source, {
+      id: 3,
+      timestamp: '2024-01-01T00:00:00.000Z',
+      description: 'Initial snapshot',
+      services: { api: { host: '10.0.0.1', port: 8080, scheme: 'http', domain: 'api.test' } },
+    });
+
+    const manifest = await source.exportSnapshot(3, file);
+    expect(manifest.snapshot.checksum).toBeNull();
+
+    const report = await target.importSnapshot(file);
+    expect(report.snapshotNumber).toBe(1);
+    expect(report.warnings).toEqual([expect.stringContaining('has no checksum')]);
+
+    const stored = await target.snapshotManager.loadSnapshot(1);
+    expect(stored.services.api.host).toBe('10.0.0.1');
+    expect(stored.imported_from).toMatchObject({ id: 3 });
+    expect(target.snapshotManager.verifyChecksum(stored)).toBe('ok');
+  });
+
+  it('rejects snapshot.json whose checksum differs from the manifest', async () => {
+    const source = createArchive('source');
+    const target = createArchive('target');
+    const file = path.join(root, 'checked.npmsnap');
+    const services = { api: { host: '10.0.0.1', port: 8080, scheme: 'http', domain: 'api.test' } };
+    await source.snapshotManager.createSnapshot(services, 'Checked snapshot');
+    await source.exportSnapshot(1, file);
+
+    const archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+    archive.manifest.snapshot.checksum = null;
+    fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(archive)));
+
+    await expect(target.importSnapshot(file)).rejects.toThrow(
+      'snapshot.json does not match the checksum in the manifest'
+    );
+  });
+
+  it('rejects conf copies that differ from the confs in snapshot.json', async () => {
+    const source = createArchive('source');
+    const target = createArchive('target');
+    const file = path.join(root, 'confs.npmsnap');
+    const services = {
+      api: {
+        host: '10.0.0.1',
+        port: 8080,
+        scheme: 'http',
+        domain: 'api.test',
+        proxy_host: { id: 5, forward_host: '10.0.0.1' },
+        nginx_conf: 'server { set $server "10.0.0.1"; }\n',
+      },
+    };
+    await source.snapshotManager.createSnapshot(services, 'Full capture');
+    const manifest = await source.exportSnapshot(1, file);
+    expect(manifest.files.map(entry => entry.path)).toContain('nginx/5.conf');
+
+    const archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+    archive.files['nginx/5.conf'] = 'server { set $server "10.9.9.9"; }\n';
+    archive.manifest.files.find(entry => entry.path === 'nginx/5.conf').sha256 = source.digest(
+      archive.files['nginx/5.conf']
+    );
+    fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(archive)));
+
+    await expect(target.importSnapshot(file)).rejects.toThrow(
+      'Conf copies do not match snapshot.json: nginx/5.conf'
+    );
+  });
+});
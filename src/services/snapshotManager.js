@@ -1,8 +1,21 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const ProcessLock = require('../utils/processLock');
+const { parseTimeToMs } = require('../utils/time');
+
+const LOCK_TIMEOUT = 5000; // Longest wait for another process numbering a snapshot
+const LOCK_RETRY_DELAY = 100;
+
+// Serializes snapshot creation within this process; the lock file only excludes other processes
+let numbering = Promise.resolve();
 
 /**
  * Snapshot manager for handling service configuration snapshots
+ *
+ * Snapshot files carry a SHA-256 checksum that is verified on load and are
+ * written atomically. Numbering happens under a lock file so two processes
+ * never create the same snapshot number.
  */
 class SnapshotManager {
   constructor(logger, config) {
@@ -29,69 +42,176 @@ class SnapshotManager {
 
   /**
    * Get the latest snapshot number
+   * Errors are not swallowed: numbering from a failed directory read would reuse
+   * an existing number.
    * @returns {Promise<number>} Latest snapshot number or 0 if none exist
    */
   async getLatestSnapshotNumber() {
-    try {
-      await this.ensureSnapshotDirectory();
-      const files = await fs.readdir(this.snapshotDir);
-      const snapshotFiles = files.filter(
-        file => file.startsWith('snapshot-') && file.endsWith('.json')
-      );
+    await this.ensureSnapshotDirectory();
+    const files = await fs.readdir(this.snapshotDir);
+    const numbers = files
+      .map(file => file.match(/^snapshot-(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10));
+
+    return numbers.length > 0 ? Math.max(...numbers) : 0;
+  }
+
+  /**
+   * Get the latest snapshot taken on this instance
+   * Imported snapshots describe another instance's upstreams, so they are only
+   * used when asked for by number.
+   * @returns {Promise<number>} Latest snapshot number without `imported_from`, or 0 if none exist
+   */
+  async getLatestLocalSnapshotNumber() {
+    const local = (await this.listSnapshots()).filter(snapshot => !snapshot.importedFrom);
+    return local.length > 0 ? local[local.length - 1].id : 0;
+  }
 
-      if (snapshotFiles.length === 0) {
-        return 0;
+  /**
+   * Capture the current NPM state of all configured services
+   * Besides host/port/scheme, each entry keeps the proxy_host row (SNAPSHOT_FIELDS)
+   * and a copy of its generated nginx conf so a restore can roll back completely.
+   * Services without a proxy host are skipped.
+   * @param {DatabaseManager} database - Connected database manager
+   * @param {NginxConfigUpdater} nginxUpdater - Nginx config updater (reads the conf files)
+   * @returns {Promise<Object>} Service entries keyed by service name
+   */
+  async captureServices(database, nginxUpdater) {
+    const services = {};
+
+    for (const [serviceName, serviceConfig] of Object.entries(this.config.services)) {
+      const proxyHost = await database.findProxyHostByDomain(serviceConfig.domain);
+      if (!proxyHost) {
+        this.logger.warn(
+          `No proxy host for ${serviceName} (${serviceConfig.domain}), not included in snapshot`,
+          'snapshot-manager'
+        );
+        continue;
       }
 
-      const numbers = snapshotFiles
-        .map(file => {
-          const match = file.match(/snapshot-(\d+)\.json/);
-          return match ? parseInt(match[1], 10) : 0;
-        })
-        .filter(num => !isNaN(num));
+      services[serviceName] = {
+        host: proxyHost.forward_host,
+        port: proxyHost.forward_port,
+        scheme: proxyHost.forward_scheme,
+        domain: serviceConfig.domain,
+        proxy_host: await database.getProxyHostDetails(proxyHost.id),
+        nginx_conf: nginxUpdater.readProxyConfig(proxyHost.id),
+      };
+    }
 
-      return numbers.length > 0 ? Math.max(...numbers) : 0;
-    } catch (error) {
-      this.logger.error(
-        `Failed to get latest snapshot number: ${error.message}`,
-        'snapshot-manager'
-      );
-      return 0;
+    return services;
+  }
+
+  /**
+   * Capture the live NPM state in snapshot form, for comparing with a snapshot
+   * Covers the configured services plus the services of `reference` that are no
+   * longer configured (looked up by their recorded domain).
+   * @param {DatabaseManager} database - Connected database manager
+   * @param {NginxConfigUpdater} nginxUpdater - Nginx config updater (reads the conf files)
+   * @param {Object} reference - Snapshot being compared
+   * @returns {Promise<Object>} Snapshot-like object with id 'live'
+   */
+  async captureLiveState(database, nginxUpdater, reference) {
+    const services = await this.captureServices(database, nginxUpdater);
+
+    for (const [serviceName, entry] of Object.entries(reference.services)) {
+      if (this.config.services[serviceName]) {
+        continue;
+      }
+
+      const proxyHost = await database.findProxyHostByDomain(entry.domain);
+      if (proxyHost) {
+        services[serviceName] = {
+          host: proxyHost.forward_host,
+          port: proxyHost.forward_port,
+          scheme: proxyHost.forward_scheme,
+          domain: entry.domain,
+        };
+      }
     }
+
+    return {
+      id: 'live',
+      timestamp: new Date().toISOString(),
+      description: 'Live NPM state',
+      services,
+    };
+  }
+
+  /**
+   * Compare two snapshots (or a snapshot and the live state)
+   * @param {Object} from - Older snapshot
+   * @param {Object} to - Newer snapshot or live state
+   * @returns {{from: number|string, to: number|string, identical: boolean, added: Array<Object>, removed: Array<Object>, changed: Array<Object>}} Differences per service
+   */
+  diffSnapshots(from, to) {
+    const diff = { from: from.id, to: to.id, identical: true, added: [], removed: [], changed: [] };
+    const describe = (service, entry) => ({
+      service,
+      domain: entry.domain,
+      target: `${entry.scheme || 'http'}://${entry.host}:${entry.port}`,
+    });
+
+    for (const [serviceName, entry] of Object.entries(from.services)) {
+      const other = to.services[serviceName];
+      if (!other) {
+        diff.removed.push(describe(serviceName, entry));
+        continue;
+      }
+
+      const before = this.normalizeEntry(entry);
+      const after = this.normalizeEntry(other);
+      const changes = Object.keys(before)
+        .filter(field => before[field] !== after[field])
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+      if (changes.length > 0) {
+        diff.changed.push({ service: serviceName, domain: other.domain, changes });
+      }
+    }
+
+    for (const [serviceName, entry] of Object.entries(to.services)) {
+      if (!from.services[serviceName]) {
+        diff.added.push(describe(serviceName, entry));
+      }
+    }
+
+    diff.identical = !diff.added.length && !diff.removed.length && !diff.changed.length;
+    return diff;
+  }
+
+  /**
+   * Normalize the compared fields of a snapshot entry
+   * @param {Object} entry - Snapshot service entry
+   * @returns {{domain: string, host: string, port: number, scheme: string}} Comparable fields
+   */
+  normalizeEntry(entry) {
+    return {
+      domain: entry.domain,
+      host: String(entry.host),
+      port: Number(entry.port),
+      scheme: entry.scheme || 'http',
+    };
   }
 
   /**
    * Create a new snapshot from current database state
    * @param {Object} services - Service configurations to snapshot
    * @param {string} description - Snapshot description
+   * @param {Object} [options] - Snapshot options
+   * @param {string|null} [options.label] - Short user-supplied label
    * @returns {Promise<number>} Snapshot number
    */
-  async createSnapshot(services, description = 'Initial snapshot') {
+  async createSnapshot(services, description = 'Initial snapshot', { label = null } = {}) {
     try {
       await this.ensureSnapshotDirectory();
 
-      const latestNumber = await this.getLatestSnapshotNumber();
-      const snapshotNumber = latestNumber + 1;
-
-      const snapshot = {
-        id: snapshotNumber,
-        timestamp: new Date().toISOString(),
-        description,
-        services: {},
-      };
-
-      // Create snapshot data for each service
-      for (const [serviceName, serviceConfig] of Object.entries(services)) {
-        snapshot.services[serviceName] = {
-          host: serviceConfig.host,
-          port: serviceConfig.port,
-          scheme: serviceConfig.scheme,
-          domain: serviceConfig.domain,
-        };
-      }
-
-      const snapshotFile = path.join(this.snapshotDir, `snapshot-${snapshotNumber}.json`);
-      await fs.writeFile(snapshotFile, JSON.stringify(snapshot, null, 2));
+      const snapshotNumber = await this.withNumberingLock(async () => {
+        const number = (await this.getLatestSnapshotNumber()) + 1;
+        await this.writeSnapshot(this.buildSnapshot(number, services, description, label));
+        return number;
+      });
 
       this.logger.info(
         `📸 Created snapshot ${snapshotNumber}: ${description}`,
@@ -99,6 +219,8 @@ class SnapshotManager {
         { snapshotNumber, servicesCount: Object.keys(services).length }
       );
 
+      await this.pruneSnapshots();
+
       return snapshotNumber;
     } catch (error) {
       this.logger.error(`Failed to create snapshot: ${error.message}`, 'snapshot-manager');
@@ -106,6 +228,228 @@ class SnapshotManager {
     }
   }
 
+  /**
+   * Store a snapshot from elsewhere (an imported archive) under the next free number
+   * The snapshot's checksum is verified first; the stored copy gets a new id and checksum.
+   * @param {Object} snapshot - Snapshot data as exported
+   * @param {Object} importedFrom - Origin recorded in the stored snapshot
+   * @returns {Promise<number>} New snapshot number
+   */
+  async importSnapshot(snapshot, importedFrom) {
+    this.verifyChecksum(snapshot);
+    await this.ensureSnapshotDirectory();
+
+    const snapshotNumber = await this.withNumberingLock(async () => {
+      const number = (await this.getLatestSnapshotNumber()) + 1;
+      await this.writeSnapshot({ ...snapshot, id: number, imported_from: importedFrom });
+      return number;
+    });
+
+    this.logger.info(
+      `📸 Imported snapshot ${importedFrom.id} as snapshot ${snapshotNumber}: ${snapshot.description}`,
+      'snapshot-manager',
+      { snapshotNumber, servicesCount: Object.keys(snapshot.services).length }
+    );
+
+    await this.pruneSnapshots();
+
+    return snapshotNumber;
+  }
+
+  /**
+   * Build snapshot data
+   * @param {number} snapshotNumber - Snapshot number
+   * @param {Object} services - Service configurations to snapshot
+   * @param {string} description - Snapshot description
+   * @param {string|null} label - Short user-supplied label
+   * @returns {Object} Snapshot data (without checksum)
+   */
+  buildSnapshot(snapshotNumber, services, description, label) {
+    const snapshot = {
+      id: snapshotNumber,
+      timestamp: new Date().toISOString(),
+      description,
+      label,
+      services: {},
+    };
+
+    // Create snapshot data for each service
+    for (const [serviceName, serviceConfig] of Object.entries(services)) {
+      snapshot.services[serviceName] = {
+        host: serviceConfig.host,
+        port: serviceConfig.port,
+        scheme: serviceConfig.scheme,
+        domain: serviceConfig.domain,
+      };
+
+      // Full capture (see captureServices), absent from snapshots built from targets only
+      if (serviceConfig.proxy_host) {
+        snapshot.services[serviceName].proxy_host = serviceConfig.proxy_host;
+      }
+      if (serviceConfig.nginx_conf) {
+        snapshot.services[serviceName].nginx_conf = serviceConfig.nginx_conf;
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Write a new snapshot file with its checksum (temp file, then link)
+   * @param {Object} snapshot - Snapshot data
+   * @returns {Promise<string>} Snapshot file path
+   * @throws {Error} If a snapshot with the same number exists (EEXIST)
+   */
+  async writeSnapshot(snapshot) {
+    const snapshotFile = this.getSnapshotPath(snapshot.id);
+    const tempFile = `${snapshotFile}.tmp-${process.pid}`;
+    const data = { ...snapshot };
+    delete data.checksum; // Recomputed below
+
+    await fs.writeFile(
+      tempFile,
+      JSON.stringify({ ...data, checksum: this.computeChecksum(data) }, null, 2)
+    );
+    try {
+      // Unlike rename, link never replaces an existing snapshot
+      await fs.link(tempFile, snapshotFile);
+    } finally {
+      await fs.rm(tempFile, { force: true });
+    }
+
+    return snapshotFile;
+  }
+
+  /**
+   * Compute the checksum of snapshot data
+   * @param {Object} data - Snapshot data without its checksum
+   * @returns {string} SHA-256 hex digest
+   */
+  computeChecksum(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+  }
+
+  /**
+   * Check the checksum of parsed snapshot data
+   * @param {Object} snapshot - Parsed snapshot file
+   * @returns {'ok'|'unverified'} 'unverified' for snapshots written before checksums existed
+   * @throws {Error} If the checksum does not match
+   */
+  verifyChecksum(snapshot) {
+    const { checksum, ...data } = snapshot;
+    if (!checksum) {
+      return 'unverified';
+    }
+    if (checksum !== this.computeChecksum(data)) {
+      throw new Error(`Snapshot ${snapshot.id} is corrupt (checksum mismatch)`);
+    }
+    return 'ok';
+  }
+
+  /**
+   * Run a function while holding the snapshot numbering lock
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  withNumberingLock(fn) {
+    const run = numbering.then(async () => {
+      const lock = new ProcessLock(
+        path.join(this.snapshotDir, '.snapshot.lock'),
+        'snapshot writer'
+      );
+      const deadline = Date.now() + LOCK_TIMEOUT;
+
+      for (;;) {
+        try {
+          lock.acquire();
+          break;
+        } catch (error) {
+          if (Date.now() >= deadline) {
+            throw error;
+          }
+          await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+      }
+
+      try {
+        return await fn();
+      } finally {
+        lock.release();
+      }
+    });
+
+    numbering = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Delete snapshots outside the `snapshot_retention` rules
+   * A snapshot is kept while it is among the `keep_last` newest or younger than
+   * `max_age`. Labeled snapshots, the latest one, the latest local one (used at
+   * startup) and the one pinned with `snapshot_number` are never deleted.
+   * @returns {Promise<Array<number>>} Deleted snapshot numbers
+   */
+  async pruneSnapshots() {
+    const { keep_last: keepLast, max_age: maxAge } = this.config.snapshot_retention || {};
+    if (!keepLast && !maxAge) {
+      return [];
+    }
+
+    const snapshots = (await this.listSnapshots()).sort((a, b) => b.id - a.id);
+    const latestLocal = snapshots.find(snapshot => !snapshot.importedFrom);
+    const maxAgeMs = maxAge ? parseTimeToMs(maxAge) : null;
+    const deleted = [];
+
+    for (const [rank, snapshot] of snapshots.entries()) {
+      const isProtected =
+        rank === 0 ||
+        snapshot === latestLocal ||
+        snapshot.label ||
+        snapshot.id === this.config.snapshot_number;
+      const keptByCount = keepLast && rank < keepLast;
+      const keptByAge = maxAgeMs && Date.now() - new Date(snapshot.timestamp).getTime() < maxAgeMs;
+
+      if (!isProtected && !keptByCount && !keptByAge && (await this.deleteSnapshot(snapshot.id))) {
+        deleted.push(snapshot.id);
+      }
+    }
+
+    if (deleted.length > 0) {
+      this.logger.info(
+        `🧹 Pruned ${deleted.length} snapshot(s) by retention: ${deleted.join(', ')}`,
+        'snapshot-manager'
+      );
+    }
+    return deleted;
+  }
+
+  /**
+   * Verify every snapshot file
+   * @returns {Promise<Array<{file: string, id: number|null, status: string, error: string|null}>>} Status per file (ok, unverified or corrupt)
+   */
+  async verifySnapshots() {
+    await this.ensureSnapshotDirectory();
+    const files = (await fs.readdir(this.snapshotDir)).filter(file =>
+      /^snapshot-\d+\.json$/.test(file)
+    );
+    const results = [];
+
+    for (const file of files) {
+      const id = parseInt(file.match(/\d+/)[0], 10);
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.snapshotDir, file), 'utf8'));
+        if (snapshot.id !== id) {
+          throw new Error(`File holds snapshot ${snapshot.id}`);
+        }
+        results.push({ file, id, status: this.verifyChecksum(snapshot), error: null });
+      } catch (error) {
+        results.push({ file, id, status: 'corrupt', error: error.message });
+      }
+    }
+
+    return results.sort((a, b) => a.id - b.id);
+  }
+
   /**
    * Load a specific snapshot
    * @param {number} snapshotNumber - Snapshot number to load
@@ -116,6 +460,7 @@ class SnapshotManager {
       const snapshotFile = path.join(this.snapshotDir, `snapshot-${snapshotNumber}.json`);
       const data = await fs.readFile(snapshotFile, 'utf8');
       const snapshot = JSON.parse(data);
+      this.verifyChecksum(snapshot);
 
       this.logger.info(
         `📸 Loaded snapshot ${snapshotNumber}: ${snapshot.description}`,
@@ -174,6 +519,8 @@ class SnapshotManager {
             id: snapshot.id,
             timestamp: snapshot.timestamp,
             description: snapshot.description,
+            label: snapshot.label || null,
+            importedFrom: snapshot.imported_from || null,
             servicesCount: Object.keys(snapshot.services).length,
           });
         } catch (error) {
@@ -0,0 +1,248 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const SnapshotManager = require('./snapshotManager');
+
+const SERVICES = {
+  api: { host: '10.0.0.1', port: 8080, scheme: 'http', domain: 'api.test' },
+};
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+});
+
+describe('SnapshotManager', () => {
+  let snapshotDir;
+
+  const createManager = (config = {}) =>
+    new SnapshotManager(createLogger(), { snapshot_dir: snapshotDir, ...config });
+
+  const readSnapshot = id =>
+    JSON.parse(fs.readFileSync(path.join(snapshotDir, `snapshot-${id}.json`), 'utf8'));
+
+  const writeRaw = (id, snapshot) => {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    fs.writeFileSync(path.join(snapshotDir, `snapshot-${id}.json`), JSON.stringify(snapshot));
+  };
+
+  beforeEach(() => {
+    snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-manager-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  describe('verifyChecksum', () => {
+    it('accepts a snapshot it wrote', async () => {
+      const manager = createManager();
+      await manager.createSnapshot(SERVICES, 'Checked');
+
+      expect(manager.verifyChecksum(readSnapshot(1))).toBe('ok');
+      await expect(manager.loadSnapshot(1)).resolves.toMatchObject({ id: 1 });
+    });
+
+    it('rejects a snapshot changed after writing', async () => {
+      const manager = createManager();
+      await manager.createSnapshot(SERVICES, 'Checked');
+      const snapshot = readSnapshot(1);
+      snapshot.services.api.port = 9090;
+      writeRaw(1, snapshot);
+
+      expect(() => manager.verifyChecksum(snapshot)).toThrow(
+        'Snapshot 1 is corrupt (checksum mismatch)'
+      );
+      await expect(manager.loadSnapshot(1)).rejects.toThrow('checksum mismatch');
+    });
+
+    it('reports snapshots written before checksums existed as unverified', async () => {
+      const manager = createManager();
+      writeRaw(1, { id: 1, timestamp: new Date().toISOString(), services: SERVICES });
+
+      expect(manager.verifyChecksum(readSnapshot(1))).toBe('unverified');
+      await expect(manager.loadSnapshot(1)).resolves.toMatchObject({ id: 1 });
+    });
+
+    it('reports the status of every file', async () => {
+      const manager = createManager();
+      await manager.createSnapshot(SERVICES, 'Checked');
+      writeRaw(2, { id: 2, timestamp: new Date().toISOString(), services: SERVICES });
+      writeRaw(3, { ...readSnapshot(1), id: 3 });
+      fs.writeFileSync(path.join(snapshotDir, 'snapshot-4.json'), '{"id": 4,');
+
+      const results = await manager.verifySnapshots();
+
+      expect(results.map(result => [result.id, result.status])).toEqual([
+        [1, 'ok'],
+        [2, 'unverified'],
+        [3, 'corrupt'],
+        [4, 'corrupt'],
+      ]);
+    });
+  });
+
+  describe('writeSnapshot', () => {
+    it('never overwrites an existing snapshot file', async () => {
+      const manager = createManager();
+      writeRaw(1, { id: 1, description: 'Existing', services: {} });
+      const before = fs.readFileSync(path.join(snapshotDir, 'snapshot-1.json'), 'utf8');
+
+      await expect(
+        manager.writeSnapshot(manager.buildSnapshot(1, SERVICES, 'Colliding', null))
+      ).rejects.toMatchObject({ code: 'EEXIST' });
+
+      expect(fs.readFileSync(path.join(snapshotDir, 'snapshot-1.json'), 'utf8')).toBe(before);
+      expect(fs.readdirSync(snapshotDir)).toEqual(['snapshot-1.json']);
+    });
+
+    it('recomputes the checksum', async () => {
+      const manager = createManager();
+      const snapshot = { ...manager.buildSnapshot(1, SERVICES, 'Stale', null), checksum: 'stale' };
+
+      await manager.writeSnapshot(snapshot);
+
+      expect(manager.verifyChecksum(readSnapshot(1))).toBe('ok');
+    });
+  });
+
+  describe('withNumberingLock', () => {
+    it('gives concurrent creates distinct numbers', async () => {
+      const managers = [createManager(), createManager()];
+
+      const numbers = await Promise.all(
+        [0, 1, 2, 3, 4, 5].map(index =>
+          managers[index % 2].createSnapshot(SERVICES, `Concurrent ${index}`)
+        )
+      );
+
+      expect([...numbers].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+      for (const number of numbers) {
+        expect(readSnapshot(number).id).toBe(number);
+      }
+    });
+
+    it('gives creates in separate processes distinct numbers', async () => {
+      const script = `
+        const SnapshotManager = require(${JSON.stringify(require.resolve('./snapshotManager'))});
+        const logger = { info() {}, warn() {}, error() {}, debug() {} };
+        const manager = new SnapshotManager(logger, { snapshot_dir: process.argv[1] });
+        (async () => {
+          for (let i = 0; i < 3; i++) {
+            await manager.createSnapshot({}, 'From ' + process.pid);
+          }
+        })().catch(error => {
+          console.error(error.message);
+          process.exit(1);
+        });
+      `;
+      const run = () => promisify(execFile)(process.execPath, ['-e', script, snapshotDir]);
+
+      await Promise.all([run(), run()]);
+
+      const files = fs.readdirSync(snapshotDir).filter(file => file.endsWith('.json'));
+      expect(files.sort()).toEqual([1, 2, 3, 4, 5, 6].map(id => `snapshot-${id}.json`).sort());
+    });
+
+    it('waits for a lock held by another process', async () => {
+      const manager = createManager();
+      const lockFile = path.join(snapshotDir, '.snapshot.lock');
+      fs.writeFileSync(lockFile, `${process.ppid}\n`); // A live process other than this one
+      const run = jest.fn(async () => 'done');
+
+      const result = manager.withNumberingLock(run);
+      await new Promise(resolve => setTimeout(resolve, 250));
+      expect(run).not.toHaveBeenCalled();
+
+      fs.unlinkSync(lockFile);
+      await expect(result).resolves.toBe('done');
+      expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    it('keeps numbering after a failed run', async () => {
+      const manager = createManager();
+
+      await expect(
+        manager.withNumberingLock(async () => {
+          throw new Error('Write failed');
+        })
+      ).rejects.toThrow('Write failed');
+
+      await expect(manager.createSnapshot(SERVICES)).resolves.toBe(1);
+    });
+  });
+
+  describe('pruneSnapshots', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const writeAged = (id, days, extra = {}) => {
+      const manager = createManager();
+      const snapshot = {
+        ...manager.buildSnapshot(id, SERVICES, `Snapshot ${id}`, null),
+        timestamp: new Date(Date.now() - days * DAY).toISOString(),
+        ...extra,
+      };
+      return manager.writeSnapshot(snapshot);
+    };
+
+    const remaining = () =>
+      fs
+        .readdirSync(snapshotDir)
+        .map(file => parseInt(file.match(/^snapshot-(\d+)\.json$/)?.[1], 10))
+        .filter(id => !isNaN(id))
+        .sort((a, b) => a - b);
+
+    it('does nothing without retention rules', async () => {
+      await writeAged(1, 30);
+      await writeAged(2, 30);
+
+      await expect(createManager().pruneSnapshots()).resolves.toEqual([]);
+      expect(remaining()).toEqual([1, 2]);
+    });
+
+    it('keeps the newest keep_last snapshots', async () => {
+      for (const id of [1, 2, 3, 4, 5]) {
+        await writeAged(id, 10 - id);
+      }
+
+      const deleted = await createManager({
+        snapshot_retention: { keep_last: 2 },
+      }).pruneSnapshots();
+
+      expect(deleted).toEqual([3, 2, 1]);
+      expect(remaining()).toEqual([4, 5]);
+    });
+
+    it('keeps snapshots younger than max_age', async () => {
+      await writeAged(1, 10);
+      await writeAged(2, 3);
+      await writeAged(3, 1);
+
+      await createManager({ snapshot_retention: { max_age: '7d' } }).pruneSnapshots();
+
+      expect(remaining()).toEqual([2, 3]);
+    });
+
+    it('never deletes labeled, pinned or the latest local snapshots', async () => {
+      await writeAged(1, 30, { label: 'golden' });
+      await writeAged(2, 30);
+      await writeAged(3, 30);
+      await writeAged(4, 30);
+      await writeAged(5, 30, { imported_from: { id: 9, source: 'staging' } });
+      await writeAged(6, 30, { imported_from: { id: 10, source: 'staging' } });
+
+      const manager = createManager({
+        snapshot_number: 2,
+        snapshot_retention: { keep_last: 1, max_age: '1d' },
+      });
+      await manager.pruneSnapshots();
+
+      // 1 labeled, 2 pinned, 4 the latest local one, 6 the latest overall
+      expect(remaining()).toEqual([1, 2, 4, 6]);
+    });
+  });
+});
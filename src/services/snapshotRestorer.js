@@ -0,0 +1,344 @@
+const NginxConfigUpdater = require('./nginxConfigUpdater');
+const SnapshotManager = require('./snapshotManager');
+const DatabaseManager = require('../database/databaseManager');
+
+// Result statuses that leave a service off its snapshot target
+const FAILED_STATUSES = ['missing', 'failed', 'rolled_back', 'rollback_failed'];
+
+/**
+ * One-shot restore of a snapshot into NPM
+ *
+ * Writes each snapshot service's host, port and scheme to its proxy_host row
+ * and `<id>.conf`, then tests and reloads nginx once. If the test or reload
+ * fails, every service written by the restore is rolled back. Services captured
+ * in full (proxy_host columns and conf copy, see SnapshotManager.captureServices)
+ * get those back as long as the proxy host still has the same id. Meant to run
+ * while the switcher daemon is stopped. BackupManager restores proxy_host
+ * backups through the same path.
+ */
+class SnapshotRestorer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.database = new DatabaseManager(config, logger);
+    this.nginxUpdater = new NginxConfigUpdater(config, logger);
+    this.snapshotManager = new SnapshotManager(logger, config);
+  }
+
+  /**
+   * Restore a snapshot
+   * Result status per service: unchanged, would-change (dry run), restored,
+   * missing (no proxy host), failed, rolled_back or rollback_failed.
+   * @param {number} snapshotNumber - Snapshot to restore
+   * @param {Object} [options] - Restore options
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @param {boolean} [options.allowImported] - Also restore a snapshot imported from another instance
+   * @returns {Promise<{snapshot: Object, dryRun: boolean, success: boolean, results: Array<Object>}>} Restore report
+   * @throws {Error} If the snapshot was imported and allowImported is not set (dry runs excepted)
+   */
+  async restore(snapshotNumber, { dryRun = false, allowImported = false } = {}) {
+    const snapshot = await this.snapshotManager.loadSnapshot(snapshotNumber);
+
+    // Targets, certificates and advanced config of another instance do not belong here by default
+    if (snapshot.imported_from && !dryRun && !allowImported) {
+      const { id, source } = snapshot.imported_from;
+      throw new Error(
+        `Snapshot ${snapshotNumber} was imported from ${source} (snapshot ${id}) and carries its ` +
+          'upstreams and proxy_host settings, pass --allow-imported to restore it'
+      );
+    }
+
+    return this.restoreSnapshot(snapshot, { dryRun });
+  }
+
+  /**
+   * Restore snapshot data that is already loaded (a snapshot file or a snapshot-shaped backup)
+   * @param {Object} snapshot - Snapshot data
+   * @param {Object} [options] - Restore options
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<{snapshot: Object, dryRun: boolean, success: boolean, results: Array<Object>}>} Restore report
+   */
+  async restoreSnapshot(snapshot, { dryRun = false } = {}) {
+    await this.database.connect();
+    try {
+      const results = await this.plan(snapshot);
+      const pending = results.filter(result => result.status === 'pending');
+
+      if (dryRun) {
+        pending.forEach(result => (result.status = 'would-change'));
+      } else if (pending.length > 0) {
+        await this.apply(pending);
+      }
+
+      return {
+        snapshot,
+        dryRun,
+        success: results.every(result => !FAILED_STATUSES.includes(result.status)),
+        results: results.map(({ status, service, domain, proxyId, from, to, changes, error }) => ({
+          service,
+          domain,
+          proxyId,
+          from,
+          to,
+          changes,
+          status,
+          error,
+        })),
+      };
+    } finally {
+      await this.database.close();
+    }
+  }
+
+  /**
+   * Compare each snapshot service with what NPM currently has
+   * @param {Object} snapshot - Snapshot data
+   * @returns {Promise<Array<Object>>} One entry per service (status unchanged, missing or pending)
+   */
+  async plan(snapshot) {
+    const results = [];
+
+    for (const [serviceName, entry] of Object.entries(snapshot.services)) {
+      const target = { host: entry.host, port: entry.port, scheme: entry.scheme || 'http' };
+      const result = {
+        service: serviceName,
+        domain: entry.domain,
+        proxyId: null,
+        from: null,
+        to: this.formatTarget(target),
+        changes: [],
+        status: 'pending',
+        error: null,
+        target,
+      };
+      results.push(result);
+
+      const row = await this.database.findProxyHostByDomain(entry.domain);
+      if (!row) {
+        result.status = 'missing';
+        result.error = `No proxy host found for domain: ${entry.domain}`;
+        continue;
+      }
+
+      result.proxyId = row.id;
+      result.previous = {
+        host: row.forward_host,
+        port: row.forward_port,
+        scheme: row.forward_scheme,
+      };
+      result.from = this.formatTarget(result.previous);
+      result.upstream = this.nginxUpdater.readProxyUpstream(row.id);
+
+      // A full capture only applies to the same proxy host (NPM ids are not reused)
+      if (entry.proxy_host?.id === row.id) {
+        result.fields = entry.proxy_host;
+        result.nginxConf = entry.nginx_conf || null;
+        result.previousFields = await this.database.getProxyHostDetails(row.id);
+      }
+
+      result.changes = this.diffFields(result);
+      if (this.isRestored(result)) {
+        result.status = 'unchanged';
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * List the proxy_host columns a planned service would change
+   * @param {Object} result - Planned entry
+   * @returns {Array<{field: string, from: *, to: *}>} Changed columns
+   */
+  diffFields(result) {
+    const { previous, target } = result;
+    const before = {
+      forward_host: previous.host,
+      forward_port: previous.port,
+      forward_scheme: previous.scheme,
+      ...result.previousFields,
+    };
+    const after = {
+      forward_host: target.host,
+      forward_port: target.port,
+      forward_scheme: target.scheme,
+      ...result.fields,
+    };
+
+    return DatabaseManager.SNAPSHOT_FIELDS.filter(
+      field => after[field] !== undefined && String(after[field]) !== String(before[field])
+    ).map(field => ({ field, from: before[field], to: after[field] }));
+  }
+
+  /**
+   * Write the pending services, then test and reload nginx
+   * @param {Array<Object>} pending - Planned entries to write
+   * @returns {Promise<void>}
+   */
+  async apply(pending) {
+    const written = [];
+
+    for (const result of pending) {
+      const { target, previous } = result;
+      const upstream = result.upstream || {};
+
+      result.backupPath = result.nginxConf
+        ? this.nginxUpdater.replaceProxyConfig(result.proxyId, result.nginxConf)
+        : await this.nginxUpdater.updateProxyConfig(
+            result.proxyId,
+            upstream.host ?? previous.host,
+            target.host,
+            upstream.port ?? previous.port,
+            target.port,
+            upstream.scheme ?? previous.scheme,
+            target.scheme
+          );
+      if (!result.backupPath) {
+        result.status = 'failed';
+        result.error = `Could not update ${result.proxyId}.conf`;
+        continue;
+      }
+
+      try {
+        const updated = result.fields
+          ? await this.database.updateProxyHostFields(result.proxyId, result.fields)
+          : await this.database.updateProxyHost(
+              result.proxyId,
+              target.host,
+              target.port,
+              target.scheme
+            );
+        if (!updated) {
+          throw new Error(`proxy_host ${result.proxyId} was not updated`);
+        }
+      } catch (error) {
+        this.nginxUpdater.restoreProxyConfig(result.proxyId, result.backupPath);
+        result.status = 'failed';
+        result.error = error.message;
+        continue;
+      }
+
+      result.status = 'restored';
+      written.push(result);
+    }
+
+    if (written.length === 0) {
+      return;
+    }
+
+    if (!(await this.nginxUpdater.testNginxConfig())) {
+      await this.rollback(written, 'nginx config test failed', false);
+      return;
+    }
+
+    if (!(await this.nginxUpdater.reloadNginx())) {
+      await this.rollback(written, 'nginx reload failed', true);
+    }
+  }
+
+  /**
+   * Put back the conf files and proxy_host rows of written services
+   * @param {Array<Object>} written - Entries written by this restore
+   * @param {string} reason - Why the restore is rolled back
+   * @param {boolean} reload - Reload nginx after restoring (a failed reload may have applied part of the config)
+   * @returns {Promise<void>}
+   */
+  async rollback(written, reason, reload) {
+    this.logger.warn(`Rolling back snapshot restore: ${reason}`, 'snapshot-manager');
+
+    let allRestored = true;
+    for (const result of written) {
+      const { previous } = result;
+      const confRestored = this.nginxUpdater.restoreProxyConfig(result.proxyId, result.backupPath);
+      let dbReverted = false;
+      try {
+        dbReverted = result.previousFields
+          ? await this.database.updateProxyHostFields(result.proxyId, result.previousFields)
+          : await this.database.updateProxyHost(
+              result.proxyId,
+              previous.host,
+              previous.port,
+              previous.scheme
+            );
+      } catch {
+        // Reported as rollback_failed below
+      }
+      const restored = confRestored && dbReverted;
+
+      result.status = restored ? 'rolled_back' : 'rollback_failed';
+      result.error = reason;
+      allRestored = allRestored && restored;
+    }
+
+    if (reload && allRestored && !(await this.nginxUpdater.reloadNginx())) {
+      written.forEach(result => (result.status = 'rollback_failed'));
+    }
+  }
+
+  /**
+   * Whether NPM already matches the snapshot entry of a planned service
+   * @param {Object} result - Planned entry
+   * @returns {boolean} Whether nothing needs to be written
+   */
+  isRestored(result) {
+    if (!this.isSameTarget(result.previous, result.target)) {
+      return false;
+    }
+
+    if (result.fields) {
+      const fieldsMatch = DatabaseManager.SNAPSHOT_FIELDS.every(
+        field =>
+          result.fields[field] === undefined ||
+          result.fields[field] === result.previousFields[field]
+      );
+      if (!fieldsMatch) {
+        return false;
+      }
+    }
+
+    if (result.nginxConf) {
+      return this.nginxUpdater.readProxyConfig(result.proxyId) === result.nginxConf;
+    }
+    return this.confMatches(result.upstream, result.target);
+  }
+
+  /**
+   * Whether the conf upstream matches a target (missing directives are not compared)
+   * @param {{host: string|null, port: number|null, scheme: string|null}|null} upstream - Upstream read from the conf
+   * @param {Object} target - Host, port and scheme
+   * @returns {boolean} Match status (false when the conf is missing)
+   */
+  confMatches(upstream, target) {
+    return Boolean(
+      upstream &&
+        (upstream.host === null || upstream.host === String(target.host)) &&
+        (upstream.port === null || upstream.port === Number(target.port)) &&
+        (upstream.scheme === null || upstream.scheme === target.scheme)
+    );
+  }
+
+  /**
+   * Check whether two targets point at the same upstream
+   * @param {Object} a - Host, port and scheme
+   * @param {Object} b - Host, port and scheme
+   * @returns {boolean} Whether host, port and scheme match
+   */
+  isSameTarget(a, b) {
+    return (
+      String(a.host) === String(b.host) &&
+      Number(a.port) === Number(b.port) &&
+      (a.scheme || 'http') === (b.scheme || 'http')
+    );
+  }
+
+  /**
+   * Format a target for display
+   * @param {Object} target - Host, port and scheme
+   * @returns {string} scheme://host:port
+   */
+  formatTarget(target) {
+    return `${target.scheme || 'http'}://${target.host}:${target.port}`;
+  }
+}
+
+module.exports = SnapshotRestorer;
@@ -0,0 +1,221 @@
+const http = require('http');
+
+/**
+ * Embedded HTTP server exposing the switcher status as JSON and Prometheus metrics
+ */
+class StatusApiServer {
+  constructor(config, logger, serviceManager) {
+    this.config = config;
+    this.logger = logger;
+    this.serviceManager = serviceManager;
+    this.options = config.status_api || {};
+    this.server = null;
+  }
+
+  /**
+   * Whether the status API is enabled in the configuration
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return Boolean(this.options.enabled);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.isEnabled() || this.server) {
+      return;
+    }
+
+    const host = this.options.host || '127.0.0.1';
+    const port = this.options.port || 3000;
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logger.error(`Status API request failed: ${error.message}`, 'status-api');
+        this.sendJson(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.logger.info(`Status API listening on ${host}:${port}`, 'status-api');
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.logger.info('Status API stopped', 'status-api');
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    // eslint-disable-next-line no-undef
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (pathname === '/healthz') {
+      const running = this.serviceManager.isRunning;
+      this.sendJson(res, running ? 200 : 503, { status: running ? 'ok' : 'not_running' });
+      return;
+    }
+
+    if (pathname === '/metrics') {
+      this.sendText(res, 200, this.serviceManager.getMetrics(), 'text/plain; version=0.0.4');
+      return;
+    }
+
+    if (segments[0] !== 'api') {
+      this.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const [, resource, name, sub] = segments;
+
+    if (resource === 'status' && segments.length === 2) {
+      this.sendJson(res, 200, this.serviceManager.getServiceStatus());
+      return;
+    }
+
+    if (resource === 'services' && segments.length === 2) {
+      const { services } = this.serviceManager.getServiceStatus();
+      this.sendJson(res, 200, { services: Object.values(services).map(s => this.summarize(s)) });
+      return;
+    }
+
+    if (resource === 'services' && name) {
+      const detail = this.serviceManager.getServiceDetail(name);
+
+      if (!detail) {
+        this.sendJson(res, 404, { error: `Unknown service: ${name}` });
+      } else if (segments.length === 3) {
+        this.sendJson(res, 200, detail);
+      } else if (sub === 'history' && segments.length === 4) {
+        this.sendJson(res, 200, { service: name, history: detail.history });
+      } else {
+        this.sendJson(res, 404, { error: 'Not found' });
+      }
+      return;
+    }
+
+    if (resource === 'history' && segments.length === 3) {
+      const query = {
+        service: searchParams.get('service'),
+        target: searchParams.get('target'),
+        since: searchParams.get('since'),
+        limit: searchParams.get('limit'),
+      };
+      const { history } = this.serviceManager;
+      const queries = {
+        switches: () => history.getSwitches(query),
+        checks: () => history.getCheckStats(query),
+        actions: () => history.getActions(query),
+      };
+
+      if (!queries[name]) {
+        this.sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      try {
+        this.sendJson(res, 200, { [name]: await queries[name]() });
+      } catch (error) {
+        this.sendJson(res, 400, { error: error.message });
+      }
+      return;
+    }
+
+    if (resource === 'snapshots' && segments.length === 2) {
+      const snapshots = await this.serviceManager.snapshotManager.listSnapshots();
+      this.sendJson(res, 200, { snapshots });
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Reduce a service status to the fields shown in the service list
+   * @param {Object} status - Service status
+   * @returns {Object} Service summary
+   */
+  summarize(status) {
+    return {
+      name: status.name,
+      domain: status.domain,
+      state: status.state,
+      isHealthy: status.isHealthy,
+      currentTarget: status.currentHost
+        ? `${status.currentScheme || 'http'}://${status.currentHost}:${status.currentPort}`
+        : null,
+      activeTier: status.activeTier,
+      lastCheck: status.lastCheck,
+      lastResponseTime: status.lastResponseTime,
+      lastError: status.lastError,
+    };
+  }
+
+  /**
+   * Send a plain text response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status code
+   * @param {string} body - Response body
+   * @param {string} contentType - Content type without charset
+   */
+  sendText(res, statusCode, body, contentType) {
+    res.writeHead(statusCode, {
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store',
+    });
+    res.end(res.req && res.req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} body - Response body
+   */
+  sendJson(res, statusCode, body) {
+    if (res.headersSent) {
+      return;
+    }
+
+    const payload = JSON.stringify(body, null, 2);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      'Cache-Control': 'no-store',
+    });
+    res.end(res.req && res.req.method === 'HEAD' ? undefined : payload);
+  }
+}
+
+module.exports = StatusApiServer;
@@ -0,0 +1,192 @@
+const MetricsRegistry = require('../utils/metricsRegistry');
+
+const PREFIX = 'npm_switcher';
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Prometheus metrics for health checks, switches and nginx operations
+ *
+ * Counters and histograms are updated as events happen; per-service gauges
+ * (up, target info, time since last success) are rebuilt from the service
+ * status on every scrape.
+ */
+class SwitcherMetrics {
+  constructor() {
+    this.registry = new MetricsRegistry();
+
+    this.registry.define(
+      `${PREFIX}_service_up`,
+      'gauge',
+      'Whether the primary health check of the service last passed (1) or failed (0)'
+    );
+    this.registry.define(
+      `${PREFIX}_service_target_info`,
+      'gauge',
+      'Upstream the service is currently routed to'
+    );
+    this.registry.define(
+      `${PREFIX}_seconds_since_last_success`,
+      'gauge',
+      'Seconds since the last successful primary health check'
+    );
+    this.registry.define(
+      `${PREFIX}_check_duration_seconds`,
+      'histogram',
+      'Health check attempt latency',
+      LATENCY_BUCKETS
+    );
+    this.registry.define(`${PREFIX}_checks_total`, 'counter', 'Health checks by final result');
+    this.registry.define(
+      `${PREFIX}_check_attempts_total`,
+      'counter',
+      'Health check attempts including retries'
+    );
+    this.registry.define(
+      `${PREFIX}_check_failures_total`,
+      'counter',
+      'Failed health check attempts by error class'
+    );
+    this.registry.define(
+      `${PREFIX}_switches_total`,
+      'counter',
+      'Upstream switches by direction and outcome'
+    );
+    this.registry.define(`${PREFIX}_nginx_reloads_total`, 'counter', 'Nginx reloads by result');
+    this.registry.define(
+      `${PREFIX}_nginx_config_tests_total`,
+      'counter',
+      'Nginx configuration tests by result'
+    );
+  }
+
+  /**
+   * Split a check name into service and target labels
+   * Fallback tier checks are named `<service>/tier-<n>`.
+   * @param {string} checkName - Name passed to the health checker
+   * @returns {{service: string, target: string}} Labels
+   */
+  checkLabels(checkName) {
+    const [service, target = 'primary'] = String(checkName).split('/');
+    return { service, target };
+  }
+
+  /**
+   * Record a single health check attempt
+   * @param {string} checkName - Service or tier check name
+   * @param {number} responseTime - Attempt duration in milliseconds
+   * @param {string|null} errorClass - Error class, or null if the attempt passed
+   */
+  recordCheckAttempt(checkName, responseTime, errorClass = null) {
+    const labels = this.checkLabels(checkName);
+
+    this.registry.inc(`${PREFIX}_check_attempts_total`, labels);
+    this.registry.observe(`${PREFIX}_check_duration_seconds`, labels, responseTime / 1000);
+
+    if (errorClass) {
+      this.registry.inc(`${PREFIX}_check_failures_total`, { ...labels, error_class: errorClass });
+    }
+  }
+
+  /**
+   * Record the final result of a health check (after retries)
+   * @param {string} checkName - Service or tier check name
+   * @param {boolean} success - Whether the check passed
+   */
+  recordCheck(checkName, success) {
+    this.registry.inc(`${PREFIX}_checks_total`, {
+      ...this.checkLabels(checkName),
+      result: success ? 'success' : 'failure',
+    });
+  }
+
+  /**
+   * Record a switch transaction
+   * @param {Object} event - Switch event from ServiceManager.updateServiceConfiguration
+   */
+  recordSwitch(event) {
+    this.registry.inc(`${PREFIX}_switches_total`, {
+      service: event.service,
+      direction: event.reason,
+      outcome: event.outcome,
+    });
+  }
+
+  /**
+   * Record an nginx reload
+   * @param {boolean} success - Whether the reload succeeded
+   */
+  recordNginxReload(success) {
+    this.registry.inc(`${PREFIX}_nginx_reloads_total`, { result: success ? 'success' : 'failure' });
+  }
+
+  /**
+   * Record an nginx configuration test
+   * @param {boolean} success - Whether the test passed
+   */
+  recordNginxTest(success) {
+    this.registry.inc(`${PREFIX}_nginx_config_tests_total`, {
+      result: success ? 'success' : 'failure',
+    });
+  }
+
+  /**
+   * Get check totals for a service
+   * @param {string} checkName - Service or tier check name
+   * @returns {{total: number, successful: number, failed: number}} Totals
+   */
+  getCheckTotals(checkName) {
+    const labels = this.checkLabels(checkName);
+    const successful = this.registry.get(`${PREFIX}_checks_total`, {
+      ...labels,
+      result: 'success',
+    });
+    const failed = this.registry.get(`${PREFIX}_checks_total`, { ...labels, result: 'failure' });
+
+    return { total: successful + failed, successful, failed };
+  }
+
+  /**
+   * Render all metrics, refreshing per-service gauges from the current status
+   * @param {Object} status - Result of ServiceManager.getServiceStatus()
+   * @returns {string} Prometheus exposition text
+   */
+  render(status) {
+    const now = Date.now();
+
+    this.registry.reset(`${PREFIX}_service_up`);
+    this.registry.reset(`${PREFIX}_service_target_info`);
+    this.registry.reset(`${PREFIX}_seconds_since_last_success`);
+
+    for (const service of Object.values(status.services || {})) {
+      const labels = { service: service.name };
+
+      if (service.lastCheck) {
+        this.registry.set(`${PREFIX}_service_up`, labels, service.isHealthy ? 1 : 0);
+      }
+
+      if (service.lastSuccess) {
+        const elapsed = (now - new Date(service.lastSuccess).getTime()) / 1000;
+        this.registry.set(`${PREFIX}_seconds_since_last_success`, labels, elapsed);
+      }
+
+      if (service.currentHost) {
+        this.registry.set(
+          `${PREFIX}_service_target_info`,
+          {
+            ...labels,
+            domain: service.domain,
+            host: service.currentHost,
+            port: service.currentPort,
+            scheme: service.currentScheme || 'http',
+            tier: service.activeTier,
+          },
+          1
+        );
+      }
+    }
+
+    return this.registry.render();
+  }
+}
+
+module.exports = SwitcherMetrics;
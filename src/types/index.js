@@ -6,18 +6,88 @@
  * Service configuration from YAML config
  * @typedef {Object} ServiceConfig
  * @property {string} domain - Domain name for the service
- * @property {string} check - Health check URL
+ * @property {string|HealthCheckConfig} check - Health check URL or check definition
  * @property {string} interval - Time between health checks when service is UP
  * @property {string} error_delay - Time to wait before retrying after failure
  * @property {number} [retries] - Number of retry attempts before marking as failed (optional, defaults to 3)
+ * @property {number} [fall] - Consecutive failed checks before switching to if_failed (optional, defaults to 1)
+ * @property {number} [rise] - Consecutive successful checks before switching back (optional, defaults to 1)
+ * @property {string} [failback_hold] - Minimum time the primary must stay healthy before failback, e.g. "2m" (optional)
  * @property {Object} [if_success] - Upstream server config when health check succeeds (optional, uses original config from database if not provided)
  * @property {string} [if_success.host] - Host when successful
  * @property {number} [if_success.port] - Port when successful
  * @property {string} [if_success.scheme] - Scheme when successful ('http' or 'https', optional)
- * @property {Object} if_failed - Fallback upstream server config when health check fails
- * @property {string} if_failed.host - Host when failed
- * @property {number} if_failed.port - Port when failed
- * @property {string} [if_failed.scheme] - Scheme when failed ('http' or 'https', optional)
+ * @property {string} [all_down_policy] - What to do when every target is down: 'stay_primary', 'fallback' or 'maintenance' (optional, defaults to global setting or 'fallback')
+ * @property {Object} [maintenance_target] - Upstream used by the 'maintenance' policy (optional, defaults to global setting)
+ * @property {Object} [rest_page] - Rest page options for this service (optional)
+ * @property {string} [rest_page.message] - Message shown on the maintenance page
+ * @property {string} [rest_page.eta] - Expected recovery message
+ * @property {number} [rest_page.retry_after] - Retry-After header in seconds
+ * @property {string} [rest_page.template] - Template file name in rest_page.template_dir
+ * @property {FallbackTarget|Array<FallbackTarget>} if_failed - Fallback upstream server config when health check fails, or an ordered fallback chain
+ * @property {MaintenanceWindow|Array<MaintenanceWindow>} [maintenance] - Planned maintenance windows for this service (optional)
+ * @property {string} [drift_policy] - Drift policy for this service: 'alert', 'adopt' or 'revert' (optional, defaults to drift.policy)
+ */
+
+/**
+ * Planned maintenance window, either recurring (cron + duration) or one-off (start + end)
+ * @typedef {Object} MaintenanceWindow
+ * @property {string} [name] - Name shown in logs, status and notifications
+ * @property {string} [cron] - Cron expression opening the window, e.g. "0 2 * * 0"
+ * @property {string} [duration] - How long a cron window stays open, e.g. "2h"
+ * @property {string} [timezone] - IANA timezone for the cron expression (defaults to the system timezone)
+ * @property {string} [start] - Start of a one-off window (ISO date)
+ * @property {string} [end] - End of a one-off window (ISO date)
+ * @property {string} [target] - Where traffic goes: 'fallback' (first if_failed tier, default) or 'maintenance' (maintenance_target)
+ * @property {string} [checks] - 'suspend' (default) skips health checks, 'silent' runs them without alerting or switching
+ * @property {Array<string>} [services] - Services covered by a global window (defaults to all)
+ */
+
+/**
+ * Fallback upstream target (one tier of the if_failed chain)
+ * @typedef {Object} FallbackTarget
+ * @property {string} host - Host when failed
+ * @property {number} port - Port when failed
+ * @property {string} [scheme] - Scheme when failed ('http' or 'https', optional)
+ * @property {boolean} [rest_page] - Use the built-in rest page server as this target (host/port are filled in)
+ * @property {string|HealthCheckConfig} [check] - Health check for this tier (optional, tiers without a check are assumed healthy)
+ * @property {number} [retries] - Retry attempts for this tier's check (optional, defaults to 1)
+ */
+
+/**
+ * Health check definition from YAML config
+ * @typedef {Object} HealthCheckConfig
+ * @property {string} [type] - Check type ('http' or 'tcp', defaults to 'http')
+ * @property {string} [url] - URL to request (http checks)
+ * @property {string} [method] - HTTP method (http checks, defaults to GET)
+ * @property {Object.<string, string>} [headers] - Extra request headers (http checks)
+ * @property {string|Object} [body] - Request body, objects are sent as JSON (http checks)
+ * @property {Object} [auth] - Basic or bearer auth (http checks)
+ * @property {string} auth.type - 'basic' or 'bearer'
+ * @property {string} [auth.username] - Basic auth user (also username_env / username_file)
+ * @property {string} [auth.password] - Basic auth password (also password_env / password_file)
+ * @property {string} [auth.token] - Bearer token (also token_env / token_file)
+ * @property {Object} [tls] - TLS options (http checks)
+ * @property {boolean} [tls.verify] - Verify the server certificate (defaults to true with ca_file, false otherwise)
+ * @property {string} [tls.ca_file] - CA bundle used to verify the server
+ * @property {string} [tls.cert_file] - Client certificate for mTLS
+ * @property {string} [tls.key_file] - Client key for mTLS (passphrase / passphrase_env / passphrase_file)
+ * @property {string} [host] - Host to connect to (tcp checks)
+ * @property {number} [port] - Port to connect to (tcp checks)
+ * @property {string} [send] - Data to write after connecting (tcp checks, optional)
+ * @property {string} [expect] - Substring the response must contain (tcp checks, optional)
+ * @property {string} [timeout] - Per-attempt timeout, e.g. "5s" (optional, defaults to 10s)
+ * @property {ResponseAssertions} [assert] - Response assertions (http checks, optional)
+ */
+
+/**
+ * HTTP response assertions for a health check
+ * @typedef {Object} ResponseAssertions
+ * @property {Array<number|string>} [status] - Allowed status codes or ranges like "200-299" (defaults to 2xx)
+ * @property {string} [body] - Substring the response body must contain
+ * @property {string} [body_regex] - Regular expression the response body must match
+ * @property {Object.<string, *>} [json] - JSON path to expected value, e.g. { "$.status": "UP" }
+ * @property {Object.<string, boolean|string>} [headers] - Required headers (true = present, string = value contains)
  */
 
 /**
@@ -29,11 +99,161 @@
  * @property {string} [nginx_refresh_cmd] - Command to reload Nginx configuration (optional, defaults to '/usr/sbin/nginx -s reload')
  * @property {string} [backup_dir] - Directory for storing proxy_host backups (optional, defaults to './backups')
  * @property {string} [snapshot_dir] - Directory for snapshot files (optional, defaults to './snapshots')
+ * @property {string} [lock_file] - PID lock file held by the running switcher (optional, defaults to './data/switcher.lock')
+ * @property {{keep_last?: number, max_age?: string}} [snapshot_retention] - Snapshot pruning rules (optional, snapshots are kept forever without it)
+ * @property {{keep_last?: number, max_age?: string}} [backup_retention] - proxy_host backup pruning rules per service (optional, backups are kept forever without it)
+ * @property {{keep_last?: number, max_age?: string, gzip?: boolean}} [conf_backups] - `<id>.conf` backup pruning rules per proxy host and compression (optional)
  * @property {number} [snapshot_number] - Specific snapshot number to use (optional)
  * @property {boolean} [force_snapshot] - Force recreation of snapshot from current state (optional)
+ * @property {string} [all_down_policy] - Default all_down_policy for services (optional, defaults to 'fallback')
+ * @property {Object} [maintenance_target] - Default maintenance upstream (host, port, scheme) for the 'maintenance' policy (optional)
+ * @property {RestPageConfig} [rest_page] - Built-in maintenance page server (optional)
+ * @property {StatusApiConfig} [status_api] - HTTP status API server (optional)
+ * @property {{sinks: Array<NotificationSinkConfig>}} [notifications] - Notification sinks (optional)
+ * @property {HistoryConfig} [history] - Switcher history database (optional, enabled by default)
+ * @property {HotReloadConfig} [hot_reload] - Config reload without restarting (optional)
+ * @property {MaintenanceWindow|Array<MaintenanceWindow>} [maintenance] - Planned maintenance windows for all or listed services (optional)
+ * @property {ControlConfig} [control] - Local control channel for pins and pause (optional, enabled by default)
+ * @property {DriftConfig} [drift] - Detection of manual edits made in the NPM UI (optional, enabled by default)
  * @property {Object.<string, ServiceConfig>} services - Service configurations
  */
 
+/**
+ * Built-in rest page server configuration
+ * @typedef {Object} RestPageConfig
+ * @property {boolean} [enabled] - Whether to start the server
+ * @property {string} [host] - Bind address (defaults to '0.0.0.0')
+ * @property {number} port - Listen port
+ * @property {string} [advertise_host] - Host NPM uses to reach the server (defaults to host, or 127.0.0.1 for wildcard binds)
+ * @property {string} [template_dir] - Directory with <service>.html and default.html templates
+ * @property {string} [message] - Default message
+ * @property {string} [eta] - Default expected recovery message
+ * @property {number} [retry_after] - Default Retry-After header in seconds (defaults to 300)
+ */
+
+/**
+ * HTTP status API configuration
+ * @typedef {Object} StatusApiConfig
+ * @property {boolean} [enabled] - Whether to start the server
+ * @property {string} [host] - Bind address (defaults to '127.0.0.1')
+ * @property {number} [port] - Listen port (defaults to 3000)
+ * @property {number} [history_size] - Health check results kept per service (defaults to 50)
+ */
+
+/**
+ * Switcher history database configuration
+ * @typedef {Object} HistoryConfig
+ * @property {boolean} [enabled] - Whether to keep history (defaults to true)
+ * @property {string} [file] - SQLite file, separate from sqlite_file (defaults to './data/history.sqlite')
+ * @property {string} [check_bucket] - Aggregation window for check results (defaults to '1m')
+ * @property {Object} [retention] - How long to keep records
+ * @property {string} [retention.checks] - Check buckets (defaults to '7d')
+ * @property {string} [retention.switches] - Switch records (defaults to '90d')
+ * @property {string} [retention.actions] - Manual actions (defaults to '365d')
+ */
+
+/**
+ * Config hot reload configuration (SIGHUP always reloads)
+ * @typedef {Object} HotReloadConfig
+ * @property {boolean} [watch] - Also reload when the config file changes (defaults to false)
+ * @property {string} [watch_interval] - How often the config file is polled (defaults to '2s')
+ * @property {boolean} [restore_removed] - Switch removed services back to their original target (defaults to false)
+ */
+
+/**
+ * Control channel configuration
+ * @typedef {Object} ControlConfig
+ * @property {boolean} [enabled] - Whether to listen on the control socket (defaults to true)
+ * @property {string} [socket] - Unix socket path (defaults to './data/switcher.sock')
+ * @property {string} [state_file] - File keeping pins and pause state across restarts (defaults to './data/control.json')
+ */
+
+/**
+ * Drift detection configuration
+ * @typedef {Object} DriftConfig
+ * @property {boolean} [enabled] - Whether to compare proxy_host, the conf and the switcher state (defaults to true)
+ * @property {string} [interval] - Minimum time between drift checks of a service (defaults to '1m')
+ * @property {string} [policy] - 'alert' (default) only reports, 'adopt' accepts the NPM edit as primary, 'revert' restores the switcher's target
+ */
+
+/**
+ * Manual pin of a service to a target
+ * @typedef {Object} ServicePin
+ * @property {string} target - 'primary', 'fallback' or '[scheme://]host:port'
+ * @property {string} pinnedAt - ISO timestamp of the pin
+ * @property {string|null} expiresAt - ISO timestamp after which the pin is dropped (null = until unpinned)
+ * @property {string|null} actor - Who pinned the service
+ */
+
+/**
+ * History query filters
+ * @typedef {Object} HistoryQuery
+ * @property {string} [service] - Service name
+ * @property {string} [target] - Check target ('primary' or 'tier-<n>', check stats only)
+ * @property {string} [since] - Time string relative to now (e.g. '24h') or ISO date
+ * @property {number} [limit] - Maximum number of records (defaults to 100)
+ */
+
+/**
+ * Notification sink configuration
+ * @typedef {Object} NotificationSinkConfig
+ * @property {string} type - webhook | slack | mattermost | discord | telegram | email
+ * @property {string} [name] - Sink name used in logs and for deduplication
+ * @property {string} [url] - Webhook URL (optional for telegram)
+ * @property {string} [secret] - HMAC-SHA256 signing secret for webhook sinks (or secret_env / secret_file)
+ * @property {string} [token] - Telegram bot token (or token_env / token_file)
+ * @property {string} [chat_id] - Telegram chat id
+ * @property {Object.<string, string>} [headers] - Extra request headers
+ * @property {Array<string>} [services] - Only notify for these services (defaults to all)
+ * @property {Array<string>} [events] - Only notify for these events (defaults to all)
+ * @property {string} [template] - Message template with {{field}} placeholders
+ * @property {number} [retries] - Delivery retries (defaults to 3)
+ * @property {string} [backoff] - First retry delay, doubled on each retry (defaults to '1s')
+ * @property {string} [dedupe_window] - Suppress repeats of the same event for a service (defaults to '5m')
+ * @property {SmtpConfig} [smtp] - SMTP server (email sinks)
+ * @property {string} [from] - Sender address (email sinks)
+ * @property {string|Array<string>} [to] - Default recipients (email sinks)
+ * @property {Object.<string, Array<string>>} [recipients] - Per-service recipients replacing `to` (email sinks)
+ * @property {string} [subject] - Subject template (email sinks, defaults to '[switcher] {{message}}')
+ * @property {string} [digest_subject] - Digest subject template, {{count}} is the number of events (email sinks)
+ * @property {string} [digest_window] - Batch events into one email per window (email sinks, optional)
+ * @property {string} [text_template] - Plain-text body template (or text_template_file) (email sinks)
+ * @property {string} [html_template] - HTML body template (or html_template_file) (email sinks)
+ */
+
+/**
+ * SMTP server configuration for email sinks
+ * @typedef {Object} SmtpConfig
+ * @property {string} host - SMTP host
+ * @property {number} [port] - SMTP port (defaults to 465 with secure, 587 otherwise)
+ * @property {boolean} [secure] - Use implicit TLS (SMTPS)
+ * @property {boolean} [starttls] - true requires STARTTLS, false disables it (defaults to opportunistic)
+ * @property {boolean} [tls_verify] - Verify the server certificate (defaults to true)
+ * @property {string} [username] - Auth username (or username_env / username_file)
+ * @property {string} [password] - Auth password (or password_env / password_file)
+ */
+
+/**
+ * Notification event
+ * @typedef {Object} NotificationEvent
+ * @property {string} event - failover | failback | tier-change | switch-failed | all-down | check-failed | check-recovered | nginx-reload-failed | maintenance-start | maintenance-end | drift-detected
+ * @property {string|null} service - Service name (null for nginx-reload-failed)
+ * @property {string|null} domain - Service domain
+ * @property {string} [state] - New service state (check events)
+ * @property {string} [previous_state] - Previous service state (check events)
+ * @property {string|null} [from] - Previous upstream (switch events)
+ * @property {string|null} [to] - New upstream (switch events)
+ * @property {string} [reason] - Switch reason (switch events)
+ * @property {string} [outcome] - Switch outcome (switch events)
+ * @property {string|null} [failed_step] - Failed transaction step (switch-failed)
+ * @property {string|null} [window] - Maintenance window name (maintenance-start)
+ * @property {string} [kind] - Drift kind: external-edit | partial-switch | missing-conf | missing-proxy-host (drift-detected)
+ * @property {string} [policy] - Drift policy applied (drift-detected)
+ * @property {string} [decision] - alerted | adopted | reverted | adopt-failed | revert-failed (drift-detected)
+ * @property {string|null} error - Last check error or switch error
+ * @property {string} timestamp - ISO timestamp
+ */
+
 /**
  * Database proxy host record
  * @typedef {Object} ProxyHost
@@ -51,6 +271,7 @@
  * @property {boolean} success - Whether the health check passed
  * @property {number} responseTime - Response time in milliseconds
  * @property {string} error - Error message if failed
+ * @property {string|null} [assertion] - Name of the failed response assertion, if any
  * @property {number} attempts - Number of attempts made
  */
 
@@ -60,10 +281,16 @@
  * @property {number} id - Snapshot ID
  * @property {string} timestamp - Creation timestamp
  * @property {string} description - Snapshot description
+ * @property {string|null} [label] - Short user-supplied label
  * @property {Object.<string, Object>} services - Service configurations in snapshot
  * @property {string} services[].host - Service host
  * @property {number} services[].port - Service port
  * @property {string} services[].scheme - Service scheme
+ * @property {string} services[].domain - Service domain
+ * @property {Object} [services[].proxy_host] - proxy_host id and columns (DatabaseManager.SNAPSHOT_FIELDS) at capture time
+ * @property {string|null} [services[].nginx_conf] - Copy of the generated `<id>.conf` at capture time
+ * @property {Object} [imported_from] - Origin of a snapshot imported from an archive (id, source, switcher_version, exported_at)
+ * @property {string} [checksum] - SHA-256 of the snapshot without this field (absent in older snapshots)
  */
 
 module.exports = {};
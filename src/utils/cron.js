@@ -0,0 +1,283 @@
+/**
+ * Cron expression matching
+ *
+ * Matches cron expressions against wall clock time, so the maintenance
+ * scheduler can find the window opening next and a window already in
+ * progress with the same rules. Expressions have 5 fields, or 6 with seconds
+ * first, and support lists, ranges, steps and month and weekday names with
+ * standard (Vixie) cron semantics:
+ * - A step counts from the start of its range: `10-50/20` is 10, 30 and 50, on
+ *   `*` it counts from the field minimum, and `5/20` runs to the field maximum
+ * - When both day of month and day of week are restricted (neither starts
+ *   with `*`), a day matching either one matches; otherwise both must match
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    offset: 1,
+  },
+  {
+    name: 'weekday',
+    min: 0,
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    offset: 0,
+  },
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters by time zone, creating one is comparatively slow
+const formatters = new Map();
+
+/**
+ * Parse a cron expression into the allowed values of each field
+ * @param {string} expression - Cron expression (5 fields, or 6 with seconds first)
+ * @returns {{second: Set<number>, minute: Set<number>, hour: Set<number>, day: Set<number>, month: Set<number>, weekday: Set<number>, dayOrWeekday: boolean}} Allowed values per field (Sunday is 0) and whether either day field is enough
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+  if (parts.length !== 6) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const fields = {};
+  FIELDS.forEach((field, index) => {
+    fields[field.name] = parseField(parts[index].toLowerCase(), field);
+  });
+  if (fields.weekday.delete(7)) {
+    fields.weekday.add(0);
+  }
+  fields.dayOrWeekday = !parts[3].startsWith('*') && !parts[5].startsWith('*');
+
+  return fields;
+}
+
+/**
+ * Parse one cron field
+ * @param {string} text - Field text (lowercase)
+ * @param {Object} field - Field definition from FIELDS
+ * @returns {Set<number>} Allowed values
+ * @throws {Error} If the field is invalid
+ */
+function parseField(text, field) {
+  const fail = () => {
+    throw new Error(`${text} is an invalid expression for ${field.name}`);
+  };
+  const toNumber = value => {
+    const name = field.names ? field.names.findIndex(short => value.startsWith(short)) : -1;
+    const number = name !== -1 && /^[a-z]+$/.test(value) ? name + field.offset : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      fail();
+    }
+    return number;
+  };
+
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const match = item.match(/^(\*|[a-z\d]+(?:-[a-z\d]+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      fail();
+    }
+
+    const [, base, step] = match;
+    let [first, last] = [field.min, field.max];
+    if (base !== '*') {
+      const [start, end] = base.split('-').map(toNumber);
+      // A single value is itself, or the start of a range to the maximum with a step
+      [first, last] = [start, end !== undefined ? end : step !== undefined ? field.max : start];
+      if (first > last) {
+        fail();
+      }
+    }
+
+    const increment = step === undefined ? 1 : parseInt(step, 10);
+    if (increment === 0) {
+      fail();
+    }
+    for (let value = first; value <= last; value += increment) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Check whether a value is a cron expression this module can match
+ * @param {*} value - Value to check
+ * @returns {boolean} Valid status
+ */
+function isCronExpression(value) {
+  try {
+    parseCron(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall clock fields of a time
+ * @param {number} time - Timestamp
+ * @param {string} [timezone] - IANA time zone (local time when empty)
+ * @returns {{minute: number, hour: number, day: number, month: number, weekday: number}} Fields (month 1-12, Sunday is 0)
+ */
+function getClockFields(time, timezone) {
+  if (!timezone) {
+    const date = new Date(time);
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay(),
+    };
+  }
+
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    formatters
+      .get(timezone)
+      .formatToParts(new Date(time))
+      .map(part => [part.type, part.value])
+  );
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Whether the hour and day of a wall clock time match a parsed expression
+ * @param {Object} fields - Parsed expression (see parseCron)
+ * @param {Object} clock - Wall clock fields (see getClockFields)
+ * @returns {boolean} Match status
+ */
+function matchesHour(fields, clock) {
+  const day = fields.day.has(clock.day);
+  const weekday = fields.weekday.has(clock.weekday);
+
+  return (
+    fields.hour.has(clock.hour) &&
+    fields.month.has(clock.month) &&
+    (fields.dayOrWeekday ? day || weekday : day && weekday)
+  );
+}
+
+/**
+ * Find the latest time a cron expression fired within a period
+ * Walks back hour by hour and jumps straight to matching minutes, so the cost
+ * grows with the number of hours searched, not minutes.
+ * @param {string} expression - Cron expression
+ * @param {string} [timezone] - IANA time zone (local time when empty)
+ * @param {number} until - End of the period (inclusive timestamp)
+ * @param {number} after - Start of the period (exclusive timestamp)
+ * @returns {number|null} Timestamp of the latest occurrence, or null if there is none
+ */
+function findLastOccurrence(expression, timezone, until, after) {
+  const fields = parseCron(expression);
+  const secondsDesc = [...fields.second].sort((a, b) => b - a);
+  const minutesDesc = [...fields.minute].sort((a, b) => b - a);
+
+  let time = Math.floor(until / MINUTE) * MINUTE;
+  while (time + MINUTE > after) {
+    const clock = getClockFields(time, timezone);
+    const minute = matchesHour(fields, clock)
+      ? minutesDesc.find(value => value <= clock.minute)
+      : undefined;
+
+    if (minute === undefined) {
+      time -= (clock.minute + 1) * MINUTE; // Last minute of the previous hour
+    } else if (minute < clock.minute) {
+      time -= (clock.minute - minute) * MINUTE;
+    } else {
+      const occurrence = secondsDesc
+        .map(second => time + second * 1000)
+        .find(candidate => candidate <= until && candidate > after);
+      if (occurrence !== undefined) {
+        return occurrence;
+      }
+      time -= MINUTE;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first time a cron expression fires within a period
+ * The forward counterpart of findLastOccurrence.
+ * @param {string} expression - Cron expression
+ * @param {string} [timezone] - IANA time zone (local time when empty)
+ * @param {number} after - Start of the period (exclusive timestamp)
+ * @param {number} until - End of the period (inclusive timestamp)
+ * @returns {number|null} Timestamp of the first occurrence, or null if there is none
+ */
+function findNextOccurrence(expression, timezone, after, until) {
+  const fields = parseCron(expression);
+  const secondsAsc = [...fields.second].sort((a, b) => a - b);
+  const minutesAsc = [...fields.minute].sort((a, b) => a - b);
+
+  let time = Math.floor(after / MINUTE) * MINUTE;
+  while (time <= until) {
+    const clock = getClockFields(time, timezone);
+    const minute = matchesHour(fields, clock)
+      ? minutesAsc.find(value => value >= clock.minute)
+      : undefined;
+
+    if (minute === undefined) {
+      time += HOUR - clock.minute * MINUTE; // First minute of the next hour
+    } else if (minute > clock.minute) {
+      time += (minute - clock.minute) * MINUTE;
+    } else {
+      const occurrence = secondsAsc
+        .map(second => time + second * 1000)
+        .find(candidate => candidate > after && candidate <= until);
+      if (occurrence !== undefined) {
+        return occurrence;
+      }
+      time += MINUTE;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isCronExpression,
+  findLastOccurrence,
+  findNextOccurrence,
+};
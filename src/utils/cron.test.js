@@ -0,0 +1,196 @@
+const { parseCron, isCronExpression, findLastOccurrence, findNextOccurrence } = require('./cron');
+
+const at = iso => new Date(iso).getTime();
+const iso = time => (time === null ? null : new Date(time).toISOString());
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('parseCron', () => {
+  it('reads lists, ranges and steps', () => {
+    const fields = parseCron('5,10-12,50-59/4 */6 1-9/4 * *');
+
+    expect([...fields.second]).toEqual([0]);
+    expect([...fields.minute]).toEqual([5, 10, 11, 12, 50, 54, 58]);
+    expect([...fields.hour]).toEqual([0, 6, 12, 18]);
+    expect([...fields.day]).toEqual([1, 5, 9]);
+    expect(fields.month.size).toBe(12);
+    expect(fields.weekday.size).toBe(7);
+  });
+
+  it('steps a single value up to the field maximum', () => {
+    expect([...parseCron('5/20 * * * *').minute]).toEqual([5, 25, 45]);
+    expect([...parseCron('* * */10 * *').day]).toEqual([1, 11, 21, 31]);
+  });
+
+  it('reads seconds when there are six fields', () => {
+    expect([...parseCron('*/20 0 3 * * *').second]).toEqual([0, 20, 40]);
+  });
+
+  it('reads month and weekday names, with 7 as Sunday', () => {
+    const fields = parseCron('0 3 * jan,Jul-sep sat,sun');
+
+    expect([...fields.month]).toEqual([1, 7, 8, 9]);
+    expect([...fields.weekday].sort()).toEqual([0, 6]);
+    expect([...parseCron('0 3 * * 5-7').weekday].sort()).toEqual([0, 5, 6]);
+  });
+
+  it('uses either day field only when both are restricted', () => {
+    expect(parseCron('0 3 1 * mon').dayOrWeekday).toBe(true);
+    expect(parseCron('0 3 * * mon').dayOrWeekday).toBe(false);
+    expect(parseCron('0 3 1 * *').dayOrWeekday).toBe(false);
+    expect(parseCron('0 3 */2 * mon').dayOrWeekday).toBe(false);
+  });
+
+  it('rejects invalid expressions', () => {
+    for (const expression of [
+      '* * * *',
+      '* * * * * * *',
+      '60 * * * *',
+      '* 24 * * *',
+      '* * 0 * *',
+      '* * * 13 *',
+      '* * * * 8',
+      '10-5 * * * *',
+      '*/0 * * * *',
+      '* * * foo *',
+      '1,,2 * * * *',
+      '0 3 * * sat-sun',
+    ]) {
+      expect(isCronExpression(expression)).toBe(false);
+    }
+    expect(() => parseCron('60 * * * *')).toThrow('60 is an invalid expression for minute');
+    expect(isCronExpression(null)).toBe(false);
+    expect(isCronExpression('0 3 * * sun')).toBe(true);
+  });
+});
+
+describe('findNextOccurrence', () => {
+  it('finds the first occurrence after a time', () => {
+    expect(
+      iso(findNextOccurrence('*/15 9-17 * * mon-fri', 'UTC', at('2024-05-03T17:50:00Z'), Infinity))
+    ).toBe('2024-05-06T09:00:00.000Z');
+    expect(
+      iso(findNextOccurrence('30 * * * * *', 'UTC', at('2024-05-03T10:00:30Z'), Infinity))
+    ).toBe('2024-05-03T10:01:30.000Z');
+  });
+
+  it('excludes the start and includes the end of the period', () => {
+    const time = at('2024-05-03T03:00:00Z');
+
+    expect(findNextOccurrence('0 3 * * *', 'UTC', time, time + DAY)).toBe(time + DAY);
+    expect(findNextOccurrence('0 3 * * *', 'UTC', time, time + DAY - 1)).toBeNull();
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // Tuesday, 2 January 2024
+    const after = at('2024-01-02T12:00:00Z');
+    const next = time => findNextOccurrence('0 3 1 * mon', 'UTC', time, Infinity);
+
+    expect(iso(next(after))).toBe('2024-01-08T03:00:00.000Z');
+    expect(iso(next(at('2024-01-29T12:00:00Z')))).toBe('2024-02-01T03:00:00.000Z');
+  });
+
+  it('matches both day fields when one starts with *', () => {
+    // Odd days that are Mondays: 1 January 2024 is one, 15 January the next
+    const next = time => findNextOccurrence('0 3 */2 * mon', 'UTC', time, Infinity);
+
+    expect(iso(next(at('2024-01-01T12:00:00Z')))).toBe('2024-01-15T03:00:00.000Z');
+  });
+
+  it('crosses midnight, month and year boundaries', () => {
+    expect(iso(findNextOccurrence('0 0 1 * *', 'UTC', at('2024-12-31T23:59:59Z'), Infinity))).toBe(
+      '2025-01-01T00:00:00.000Z'
+    );
+    expect(iso(findNextOccurrence('0 0 29 2 *', 'UTC', at('2024-03-01T00:00:00Z'), Infinity))).toBe(
+      '2028-02-29T00:00:00.000Z'
+    );
+  });
+
+  it('reads wall clock time in the given time zone', () => {
+    // 03:00 in Berlin is 01:00 UTC in summer
+    expect(
+      iso(findNextOccurrence('0 3 * * *', 'Europe/Berlin', at('2024-07-01T00:00:00Z'), Infinity))
+    ).toBe('2024-07-01T01:00:00.000Z');
+    // 00:00 in Kolkata (UTC+05:30) is 18:30 UTC the day before
+    expect(
+      iso(findNextOccurrence('0 0 * * *', 'Asia/Kolkata', at('2024-07-01T00:00:00Z'), Infinity))
+    ).toBe('2024-07-01T18:30:00.000Z');
+  });
+
+  it('skips a time that daylight saving skips', () => {
+    // Berlin jumps from 02:00 to 03:00 on 31 March 2024
+    expect(
+      iso(findNextOccurrence('30 2 * * *', 'Europe/Berlin', at('2024-03-30T12:00:00Z'), Infinity))
+    ).toBe('2024-04-01T00:30:00.000Z');
+  });
+
+  it('fires twice at a time that daylight saving repeats', () => {
+    // Berlin goes from 03:00 back to 02:00 on 27 October 2024
+    const next = time => findNextOccurrence('30 2 * * *', 'Europe/Berlin', time, Infinity);
+
+    expect(iso(next(at('2024-10-26T12:00:00Z')))).toBe('2024-10-27T00:30:00.000Z');
+    expect(iso(next(at('2024-10-27T00:30:00Z')))).toBe('2024-10-27T01:30:00.000Z');
+  });
+});
+
+describe('findLastOccurrence', () => {
+  it('finds a window that opened before the process started', () => {
+    // Started at 04:30, the 03:00 window lasts 2h
+    const now = at('2024-05-03T04:30:00Z');
+
+    expect(iso(findLastOccurrence('0 3 * * *', 'UTC', now, now - 2 * 60 * 60 * 1000))).toBe(
+      '2024-05-03T03:00:00.000Z'
+    );
+    expect(findLastOccurrence('0 3 * * *', 'UTC', now, now - 60 * 60 * 1000)).toBeNull();
+  });
+
+  it('includes the end and excludes the start of the period', () => {
+    const midnight = at('2024-05-06T00:00:00Z');
+
+    expect(findLastOccurrence('0 0 * * mon', 'UTC', midnight, midnight - DAY)).toBe(midnight);
+    expect(findLastOccurrence('0 0 * * mon', 'UTC', midnight + DAY, midnight)).toBeNull();
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // Friday 5 January 2024: the 1st was a Monday and the last match
+    expect(
+      iso(findLastOccurrence('0 3 1,20 * mon', 'UTC', at('2024-01-05T00:00:00Z'), -Infinity))
+    ).toBe('2024-01-01T03:00:00.000Z');
+    // Wednesday 3 January 2024 matches neither
+    expect(
+      findLastOccurrence(
+        '0 3 1,20 * mon',
+        'UTC',
+        at('2024-01-03T23:59:59Z'),
+        at('2024-01-02T00:00:00Z')
+      )
+    ).toBeNull();
+  });
+
+  it('finds the later of two repeated daylight saving times', () => {
+    expect(
+      iso(
+        findLastOccurrence(
+          '30 2 * * *',
+          'Europe/Berlin',
+          at('2024-10-27T02:00:00Z'),
+          at('2024-10-26T02:00:00Z')
+        )
+      )
+    ).toBe('2024-10-27T01:30:00.000Z');
+  });
+
+  it('agrees with findNextOccurrence', () => {
+    const expressions = ['*/7 1-5 * * *', '0 3 1 * mon', '15 0 * * 0', '*/20 30 */5 * * *'];
+    let time = at('2024-03-29T00:00:00Z');
+
+    for (const expression of expressions) {
+      for (let step = 0; step < 20; step++) {
+        const next = findNextOccurrence(expression, 'Europe/Berlin', time, time + 40 * DAY);
+        expect(next).not.toBeNull();
+        expect(findLastOccurrence(expression, 'Europe/Berlin', next, time)).toBe(next);
+        expect(findLastOccurrence(expression, 'Europe/Berlin', next - 1, time)).toBeNull();
+        time = next;
+      }
+    }
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Simple JSON paths ($.a.b[0].c, $['key.with.dots'])
+ *
+ * Used by response assertions and validated the same way when the config is
+ * loaded, so a bad path fails at startup instead of on every check.
+ */
+
+/**
+ * Split a JSON path into property and index segments
+ * @param {string} jsonPath - JSON path starting with '$'
+ * @returns {Array<string|number>} Path segments
+ * @throws {Error} If the path is invalid
+ */
+function parseJsonPath(jsonPath) {
+  if (!jsonPath.startsWith('$')) {
+    throw new Error(`JSON path must start with '$': ${jsonPath}`);
+  }
+
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  const rest = jsonPath.slice(1);
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(rest)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(parseInt(match[2], 10));
+    } else {
+      segments.push(match[3]);
+    }
+  }
+
+  if (consumed !== rest.length) {
+    throw new Error(`Invalid JSON path: ${jsonPath}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve a JSON path against a document
+ * @param {*} document - Parsed JSON document
+ * @param {string} jsonPath - JSON path starting with '$'
+ * @returns {*} Resolved value or undefined
+ * @throws {Error} If the path is invalid
+ */
+function resolveJsonPath(document, jsonPath) {
+  let current = document;
+
+  for (const segment of parseJsonPath(jsonPath)) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+
+  return current;
+}
+
+module.exports = {
+  parseJsonPath,
+  resolveJsonPath,
+};
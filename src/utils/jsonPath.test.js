@@ -0,0 +1,31 @@
+const { parseJsonPath, resolveJsonPath } = require('./jsonPath');
+
+describe('parseJsonPath', () => {
+  it('splits properties, indexes and quoted keys', () => {
+    expect(parseJsonPath('$')).toEqual([]);
+    expect(parseJsonPath('$.a[0].b')).toEqual(['a', 0, 'b']);
+    expect(parseJsonPath(`$.checks['db.primary']["ok"]`)).toEqual(['checks', 'db.primary', 'ok']);
+  });
+
+  it('rejects invalid paths', () => {
+    expect(() => parseJsonPath('a.b')).toThrow("JSON path must start with '$': a.b");
+    for (const jsonPath of ['$.', '$..a', '$a', '$.a[-1]', '$.a[0', '$[*]']) {
+      expect(() => parseJsonPath(jsonPath)).toThrow(`Invalid JSON path: ${jsonPath}`);
+    }
+  });
+});
+
+describe('resolveJsonPath', () => {
+  const document = { a: [{ b: 'first' }, null], count: 0 };
+
+  it('resolves values, including falsy ones', () => {
+    expect(resolveJsonPath(document, '$.a[0].b')).toBe('first');
+    expect(resolveJsonPath(document, '$.count')).toBe(0);
+    expect(resolveJsonPath(document, '$.a[1]')).toBeNull();
+  });
+
+  it('returns undefined for missing paths', () => {
+    expect(resolveJsonPath(document, '$.a[1].b')).toBeUndefined();
+    expect(resolveJsonPath(document, '$.missing.deeper')).toBeUndefined();
+  });
+});
@@ -68,6 +68,15 @@ class Logger {
     return colorFn(`[${level.toUpperCase()}]`);
   }
 
+  /**
+   * Stop logging to the console (when stdout carries machine-readable output)
+   */
+  silenceConsole() {
+    this.logger.transports
+      .filter(transport => transport instanceof winston.transports.Console)
+      .forEach(transport => (transport.silent = true));
+  }
+
   /**
    * Log info message
    * @param {string} message - Log message
@@ -124,13 +133,14 @@ class Logger {
    * @param {boolean} success - Whether check succeeded
    * @param {number} responseTime - Response time in ms
    * @param {string} error - Error message if failed
+   * @param {string} assertion - Name of the failed response assertion, if any
    */
-  healthCheck(service, success, responseTime = null, error = null) {
+  healthCheck(service, success, responseTime = null, error = null, assertion = null) {
     const message = success
       ? `Health check passed (${responseTime}ms)`
       : `Health check failed: ${error}`;
 
-    const meta = { responseTime, error };
+    const meta = assertion ? { responseTime, error, assertion } : { responseTime, error };
 
     if (success) {
       this.success(message, service, meta);
@@ -152,6 +162,36 @@ class Logger {
     this.success(message, service, { oldHost, newHost, oldPort, newPort });
   }
 
+  /**
+   * Log the outcome of a switch transaction as a single structured event
+   * @param {Object} event - Switch event
+   * @param {string} event.service - Service name
+   * @param {string} event.reason - Why the switch happened
+   * @param {string} event.from - Previous target
+   * @param {string} event.to - New target
+   * @param {string} event.outcome - committed | rolled_back | rollback_failed | failed
+   * @param {string} [event.failedStep] - Step that failed
+   * @param {string} [event.error] - Error message
+   * @param {number} event.durationMs - Duration of the transaction
+   */
+  switchTransaction(event) {
+    const meta = { event: 'switch', ...event };
+
+    if (event.outcome === 'committed') {
+      this.success(
+        `Switch committed (${event.reason}): ${event.from} → ${event.to}`,
+        event.service,
+        meta
+      );
+    } else {
+      this.error(
+        `Switch ${event.outcome} at ${event.failedStep} (${event.reason}): ${event.from || '?'} → ${event.to || '?'}: ${event.error}`,
+        event.service,
+        meta
+      );
+    }
+  }
+
   /**
    * Log nginx reload
    * @param {boolean} success - Whether reload succeeded
@@ -0,0 +1,188 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4)
+ *
+ * Supports counters, gauges and histograms with labels. Metrics are declared
+ * once with `define` and then updated through `inc`, `set` and `observe`.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Declare a metric
+   * @param {string} name - Metric name
+   * @param {string} type - counter | gauge | histogram
+   * @param {string} help - Help text
+   * @param {Array<number>} [buckets] - Histogram bucket upper bounds
+   */
+  define(name, type, help, buckets = []) {
+    this.metrics.set(name, {
+      name,
+      type,
+      help,
+      buckets: [...buckets].sort((a, b) => a - b),
+      series: new Map(),
+    });
+  }
+
+  /**
+   * Increment a counter (or gauge)
+   * @param {string} name - Metric name
+   * @param {Object} [labels] - Label values
+   * @param {number} [value] - Increment (defaults to 1)
+   */
+  inc(name, labels = {}, value = 1) {
+    const series = this.getSeries(name, labels);
+    series.value += value;
+  }
+
+  /**
+   * Set a gauge value
+   * @param {string} name - Metric name
+   * @param {Object} [labels] - Label values
+   * @param {number} value - New value
+   */
+  set(name, labels, value) {
+    this.getSeries(name, labels).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Metric name
+   * @param {Object} [labels] - Label values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels, value) {
+    const metric = this.getMetric(name);
+    const series = this.getSeries(name, labels);
+
+    series.counts = series.counts || metric.buckets.map(() => 0);
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Get the current value of a counter or gauge series
+   * @param {string} name - Metric name
+   * @param {Object} [labels] - Label values
+   * @returns {number} Value (0 if the series does not exist)
+   */
+  get(name, labels = {}) {
+    const series = this.getMetric(name).series.get(this.labelKey(labels));
+    return series ? series.value : 0;
+  }
+
+  /**
+   * Remove every series of a metric
+   * Used for gauges rebuilt on each scrape so removed services disappear.
+   * @param {string} name - Metric name
+   */
+  reset(name) {
+    this.getMetric(name).series.clear();
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${this.formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        const counts = series.counts || metric.buckets.map(() => 0);
+        metric.buckets.forEach((bound, index) => {
+          const labels = this.formatLabels({ ...series.labels, le: String(bound) });
+          lines.push(`${metric.name}_bucket${labels} ${counts[index]}`);
+        });
+        const infLabels = this.formatLabels({ ...series.labels, le: '+Inf' });
+        lines.push(`${metric.name}_bucket${infLabels} ${series.count}`);
+        lines.push(`${metric.name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Get a declared metric
+   * @param {string} name - Metric name
+   * @returns {Object} Metric definition
+   */
+  getMetric(name) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+    return metric;
+  }
+
+  /**
+   * Get (or create) the series of a metric for a label set
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @returns {Object} Series
+   */
+  getSeries(name, labels = {}) {
+    const metric = this.getMetric(name);
+    const key = this.labelKey(labels);
+
+    if (!metric.series.has(key)) {
+      const normalized = {};
+      for (const [label, value] of Object.entries(labels)) {
+        normalized[label] = String(value);
+      }
+      metric.series.set(key, { labels: normalized, value: 0, sum: 0, count: 0 });
+    }
+
+    return metric.series.get(key);
+  }
+
+  /**
+   * Build a stable key for a label set
+   * @param {Object} labels - Label values
+   * @returns {string} Series key
+   */
+  labelKey(labels) {
+    return JSON.stringify(
+      Object.keys(labels)
+        .sort()
+        .map(key => [key, String(labels[key])])
+    );
+  }
+
+  /**
+   * Format a label set as `{a="1",b="2"}`
+   * @param {Object} labels - Label values
+   * @returns {string} Formatted labels (empty string when there are none)
+   */
+  formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const formatted = entries.map(
+      ([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+    );
+    return `{${formatted.join(',')}}`;
+  }
+}
+
+module.exports = MetricsRegistry;
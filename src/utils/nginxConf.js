@@ -0,0 +1,195 @@
+/**
+ * Minimal nginx config tokenizer and parser
+ *
+ * Enough of the nginx syntax for the files NPM generates: directives, blocks,
+ * quoted strings, `${var}` variables and comments. Every token keeps its
+ * offsets in the source, so edits replace single arguments and leave the rest
+ * of the file (formatting, comments, advanced config) byte for byte intact.
+ */
+
+/**
+ * Split config content into tokens
+ * Comments are dropped. Quoted strings become word tokens with their unescaped
+ * value and the quote character; offsets cover the raw text.
+ * @param {string} content - Config content
+ * @returns {Array<{type: string, value: string, quote: string|null, start: number, end: number, line: number}>} Tokens (type word, {, } or ;)
+ * @throws {Error} On an unterminated string
+ */
+function tokenize(content) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#') {
+      while (i < content.length && content[i] !== '\n') {
+        i++;
+      }
+    } else if (char === '{' || char === '}' || char === ';') {
+      tokens.push({ type: char, value: char, quote: null, start: i, end: i + 1, line });
+      i++;
+    } else if (char === '"' || char === "'") {
+      const start = i;
+      const startLine = line;
+      let value = '';
+      i++;
+      while (i < content.length && content[i] !== char) {
+        // Like nginx, only \\ and an escaped quote lose their backslash
+        if (content[i] === '\\' && (content[i + 1] === '\\' || content[i + 1] === char)) {
+          i++;
+        }
+        if (content[i] === '\n') {
+          line++;
+        }
+        value += content[i];
+        i++;
+      }
+      if (i >= content.length) {
+        throw new Error(`Unterminated string starting on line ${startLine}`);
+      }
+      i++;
+      tokens.push({ type: 'word', value, quote: char, start, end: i, line: startLine });
+    } else {
+      const start = i;
+      // Quotes only delimit at the start of a token, mid-word they are literal
+      while (i < content.length && !/[\s;{}]/.test(content[i])) {
+        // ${var} keeps its braces
+        if (content[i] === '$' && content[i + 1] === '{') {
+          const close = content.indexOf('}', i);
+          i = close === -1 ? content.length : close;
+        }
+        i++;
+      }
+      tokens.push({
+        type: 'word',
+        value: content.slice(start, i),
+        quote: null,
+        start,
+        end: i,
+        line,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse config content into a directive tree
+ * @param {string} content - Config content
+ * @returns {Array<{name: string, args: Array<Object>, block: Array<Object>|null, line: number}>} Top-level directives (args are word tokens)
+ * @throws {Error} On unbalanced braces or a directive without `;`
+ */
+function parseConfig(content) {
+  const tokens = tokenize(content);
+  let position = 0;
+
+  const parseBlock = depth => {
+    const directives = [];
+
+    while (position < tokens.length) {
+      const token = tokens[position];
+
+      if (token.type === '}') {
+        if (depth === 0) {
+          throw new Error(`Unexpected "}" on line ${token.line}`);
+        }
+        position++;
+        return directives;
+      }
+      if (token.type !== 'word') {
+        throw new Error(`Unexpected "${token.type}" on line ${token.line}`);
+      }
+
+      const directive = { name: token.value, args: [], block: null, line: token.line };
+      position++;
+      while (position < tokens.length && tokens[position].type === 'word') {
+        directive.args.push(tokens[position]);
+        position++;
+      }
+
+      const end = tokens[position];
+      if (!end) {
+        throw new Error(`Directive "${directive.name}" on line ${directive.line} has no ";"`);
+      }
+      position++;
+      if (end.type === '{') {
+        directive.block = parseBlock(depth + 1);
+      } else if (end.type !== ';') {
+        throw new Error(`Unexpected "${end.type}" on line ${end.line}`);
+      }
+      directives.push(directive);
+    }
+
+    if (depth > 0) {
+      throw new Error('Unexpected end of file, a block is not closed with "}"');
+    }
+    return directives;
+  };
+
+  return parseBlock(0);
+}
+
+/**
+ * Find the `set <variable> <value>;` directives of a block (not nested blocks)
+ * @param {Array<Object>} directives - Block content
+ * @param {string} variable - Variable name including `$`
+ * @returns {Array<Object>} Matching directives, in file order
+ */
+function findSetDirectives(directives, variable) {
+  return directives.filter(
+    directive =>
+      directive.name === 'set' &&
+      directive.args.length === 2 &&
+      directive.args[0].value === variable
+  );
+}
+
+/**
+ * Format a value as an argument token, keeping the quoting of the token it replaces
+ * Unquoted values that nginx would split are quoted.
+ * @param {string} value - New value
+ * @param {string|null} quote - Quote character of the replaced token
+ * @returns {string} Raw token text
+ */
+function formatArgument(value, quote) {
+  const text = String(value);
+  const mark = quote || (/^[^\s;{}"'#]+$/.test(text) && text !== '' ? null : '"');
+  if (!mark) {
+    return text;
+  }
+  return `${mark}${text.replace(/\\/g, '\\\\').split(mark).join(`\\${mark}`)}${mark}`;
+}
+
+/**
+ * Apply token replacements to config content
+ * @param {string} content - Config content
+ * @param {Array<{token: Object, value: string}>} edits - Tokens to replace and their new values
+ * @returns {string} Updated content
+ */
+function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.token.start - a.token.start)
+    .reduce(
+      (updated, { token, value }) =>
+        updated.slice(0, token.start) +
+        formatArgument(value, token.quote) +
+        updated.slice(token.end),
+      content
+    );
+}
+
+module.exports = {
+  tokenize,
+  parseConfig,
+  findSetDirectives,
+  formatArgument,
+  applyEdits,
+};
@@ -0,0 +1,188 @@
+const {
+  tokenize,
+  parseConfig,
+  findSetDirectives,
+  formatArgument,
+  applyEdits,
+} = require('./nginxConf');
+
+// Shaped like a proxy_host conf generated by Nginx Proxy Manager
+const NPM_CONF = `# ------------------------------------------------------------
+# api.example.com
+# ------------------------------------------------------------
+
+map $scheme $hsts_header {
+    https   "max-age=63072000; preload";
+}
+
+server {
+  set $forward_scheme http;
+  set $server         "10.0.0.1";
+  set $port           8080;
+
+  listen 80;
+  listen [::]:80;
+
+  server_name api.example.com;
+
+  access_log /data/logs/proxy-host-1_access.log proxy;
+
+  location ~* ^/(socket|ws) {
+    set $server "10.0.0.9"; # Custom location upstream
+    proxy_set_header Upgrade $http_upgrade;
+
+    location /ws/admin {
+      deny all;
+    }
+  }
+
+  location / {
+    # Proxy!
+    include conf.d/include/proxy.conf;
+  }
+
+  # Custom
+  include /data/nginx/custom/server_proxy[.]conf;
+}
+`;
+
+const values = tokens => tokens.map(token => token.value);
+
+describe('tokenize', () => {
+  it('splits directives, blocks and drops comments', () => {
+    const tokens = tokenize('server { # comment ; {\n  listen 80;\n}\n');
+
+    expect(values(tokens)).toEqual(['server', '{', 'listen', '80', ';', '}']);
+    expect(tokens.map(token => token.type)).toEqual(['word', '{', 'word', 'word', ';', '}']);
+    expect(tokens[2].line).toBe(2);
+  });
+
+  it('unescapes only backslashes and the matching quote in quoted strings', () => {
+    const [double, single] = tokenize(String.raw`"a \"b\" \\ \n 'c'" 'it\'s "d"'`);
+
+    expect(double).toMatchObject({ value: String.raw`a "b" \ \n 'c'`, quote: '"' });
+    expect(single).toMatchObject({ value: `it's "d"`, quote: "'" });
+  });
+
+  it('keeps offsets of the raw token text', () => {
+    const content = 'set $server "10.0.0.1";';
+    const token = tokenize(content)[2];
+
+    expect(content.slice(token.start, token.end)).toBe('"10.0.0.1"');
+  });
+
+  it('treats quotes and # inside a word as literal characters', () => {
+    const tokens = tokenize(`add_header X-Note it's"fine" a#b;`);
+
+    expect(values(tokens)).toEqual(['add_header', 'X-Note', `it's"fine"`, 'a#b', ';']);
+    expect(tokens[2].quote).toBeNull();
+  });
+
+  it('keeps ${var} braces inside a word', () => {
+    const tokens = tokenize('return 301 https://${host}${request_uri};');
+
+    expect(values(tokens)).toEqual(['return', '301', 'https://${host}${request_uri}', ';']);
+  });
+
+  it('counts lines inside quoted strings', () => {
+    const tokens = tokenize('a "multi\nline";\nb;');
+
+    expect(tokens.find(token => token.value === 'b').line).toBe(3);
+  });
+
+  it('throws on an unterminated string', () => {
+    expect(() => tokenize('set $server "10.0.0.1;\n')).toThrow(
+      'Unterminated string starting on line 1'
+    );
+  });
+});
+
+describe('parseConfig', () => {
+  it('parses an NPM proxy host conf', () => {
+    const directives = parseConfig(NPM_CONF);
+
+    expect(directives.map(directive => directive.name)).toEqual(['map', 'server']);
+    const server = directives[1];
+    expect(server.line).toBe(9);
+    expect(values(findSetDirectives(server.block, '$server')[0].args)).toEqual([
+      '$server',
+      '10.0.0.1',
+    ]);
+    expect(values(findSetDirectives(server.block, '$port')[0].args)).toEqual(['$port', '8080']);
+    expect(
+      server.block
+        .filter(directive => directive.name === 'listen')
+        .map(directive => values(directive.args))
+    ).toEqual([['80'], ['[::]:80']]);
+  });
+
+  it('keeps nested location blocks out of the server block directives', () => {
+    const server = parseConfig(NPM_CONF)[1];
+    const locations = server.block.filter(directive => directive.name === 'location');
+
+    expect(findSetDirectives(server.block, '$server')).toHaveLength(1);
+    expect(values(locations[0].args)).toEqual(['~*', '^/(socket|ws)']);
+    expect(values(findSetDirectives(locations[0].block, '$server')[0].args)).toEqual([
+      '$server',
+      '10.0.0.9',
+    ]);
+    expect(locations[0].block.find(directive => directive.name === 'location').block).toEqual([
+      expect.objectContaining({ name: 'deny' }),
+    ]);
+  });
+
+  it('throws on a directive without ";"', () => {
+    expect(() => parseConfig('server {\n  listen 80\n}')).toThrow('Unexpected "}" on line 3');
+    expect(() => parseConfig('listen 80')).toThrow('Directive "listen" on line 1 has no ";"');
+  });
+
+  it('throws on unbalanced braces', () => {
+    expect(() => parseConfig('server {\n  listen 80;\n')).toThrow('a block is not closed');
+    expect(() => parseConfig('listen 80;\n}')).toThrow('Unexpected "}" on line 2');
+  });
+});
+
+describe('formatArgument', () => {
+  it('leaves plain values unquoted', () => {
+    expect(formatArgument('10.0.0.2', null)).toBe('10.0.0.2');
+    expect(formatArgument(8081, null)).toBe('8081');
+  });
+
+  it('keeps the quote of the replaced token and escapes it', () => {
+    expect(formatArgument('10.0.0.2', '"')).toBe('"10.0.0.2"');
+    expect(formatArgument(`it's`, "'")).toBe(String.raw`'it\'s'`);
+    expect(formatArgument(String.raw`a\b`, '"')).toBe(String.raw`"a\\b"`);
+  });
+
+  it('quotes values nginx would split', () => {
+    expect(formatArgument('a b', null)).toBe('"a b"');
+    expect(formatArgument('a;b', null)).toBe('"a;b"');
+    expect(formatArgument('', null)).toBe('""');
+  });
+
+  it('round-trips through tokenize', () => {
+    for (const value of ['plain', 'with space', String.raw`quote " and \ backslash`, `it's`]) {
+      expect(tokenize(`${formatArgument(value, null)};`)[0].value).toBe(value);
+    }
+  });
+});
+
+describe('applyEdits', () => {
+  it('replaces tokens and leaves everything else byte for byte', () => {
+    const server = parseConfig(NPM_CONF)[1];
+    const host = findSetDirectives(server.block, '$server')[0].args[1];
+    const port = findSetDirectives(server.block, '$port')[0].args[1];
+
+    const updated = applyEdits(NPM_CONF, [
+      { token: host, value: '10.0.0.2' },
+      { token: port, value: 9090 },
+    ]);
+
+    expect(updated).toBe(
+      NPM_CONF.replace('"10.0.0.1"', '"10.0.0.2"').replace(
+        '$port           8080',
+        '$port           9090'
+      )
+    );
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCK_FILE = './data/switcher.lock';
+
+/**
+ * PID lock file
+ *
+ * The running switcher holds one (`lock_file`) to keep a second daemon from
+ * starting against the same NPM instance and to let one-shot commands that write
+ * to NPM refuse to run next to it. A lock left behind by a process that no longer
+ * exists is treated as free.
+ */
+class ProcessLock {
+  /**
+   * @param {string} file - Lock file path
+   * @param {string} [owner] - What holds the lock, used in error messages
+   */
+  constructor(file, owner = 'switcher') {
+    this.file = file;
+    this.owner = owner;
+    this.held = false;
+  }
+
+  /**
+   * Get the daemon lock file of a configuration
+   * @param {AppConfig} config - Application configuration
+   * @returns {string} Lock file path
+   */
+  static getLockFile(config) {
+    return config.lock_file || DEFAULT_LOCK_FILE;
+  }
+
+  /**
+   * Take the lock for this process
+   * @throws {Error} If another running process holds the lock
+   */
+  acquire() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    try {
+      fs.writeFileSync(this.file, `${process.pid}\n`, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const holder = this.getHolder();
+      if (holder !== null) {
+        throw new Error(`Another ${this.owner} is running (pid ${holder}, lock file ${this.file})`);
+      }
+
+      // Stale lock from a process that died without releasing it
+      fs.writeFileSync(this.file, `${process.pid}\n`);
+    }
+
+    this.held = true;
+  }
+
+  /**
+   * Release the lock if this process holds it
+   */
+  release() {
+    if (!this.held) {
+      return;
+    }
+
+    this.held = false;
+    try {
+      fs.unlinkSync(this.file);
+    } catch {
+      // Already gone
+    }
+  }
+
+  /**
+   * Get the pid of the live process holding the lock
+   * @returns {number|null} Pid, or null if the lock is free or stale
+   */
+  getHolder() {
+    let pid;
+    try {
+      pid = parseInt(fs.readFileSync(this.file, 'utf8'), 10);
+    } catch {
+      return null;
+    }
+
+    if (isNaN(pid) || pid === process.pid) {
+      return null;
+    }
+
+    try {
+      process.kill(pid, 0); // Signal 0 only checks that the process exists
+      return pid;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM' ? pid : null;
+    }
+  }
+}
+
+module.exports = ProcessLock;
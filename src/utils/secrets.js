@@ -0,0 +1,56 @@
+const fs = require('fs');
+
+/**
+ * Resolve a secret value from a config block
+ *
+ * A secret named `key` can be given inline (`key`), from an environment
+ * variable (`key_env`) or from a file (`key_file`, trailing newline trimmed).
+ *
+ * @param {Object} source - Config block holding the secret
+ * @param {string} key - Secret name (e.g. 'token', 'password')
+ * @returns {string|null} Secret value or null if none is configured
+ */
+function resolveSecret(source, key) {
+  if (!source) {
+    return null;
+  }
+
+  if (source[key] !== undefined && source[key] !== null) {
+    return String(source[key]);
+  }
+
+  const envName = source[`${key}_env`];
+  if (envName) {
+    if (process.env[envName] === undefined) {
+      throw new Error(`Environment variable ${envName} for ${key} is not set`);
+    }
+    return process.env[envName];
+  }
+
+  const filePath = source[`${key}_file`];
+  if (filePath) {
+    return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a secret is configured in any of its forms
+ * @param {Object} source - Config block holding the secret
+ * @param {string} key - Secret name
+ * @returns {boolean} Whether the secret is configured
+ */
+function hasSecret(source, key) {
+  return Boolean(
+    source &&
+      ((source[key] !== undefined && source[key] !== null) ||
+        source[`${key}_env`] ||
+        source[`${key}_file`])
+  );
+}
+
+module.exports = {
+  resolveSecret,
+  hasSecret,
+};
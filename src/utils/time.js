@@ -0,0 +1,37 @@
+/**
+ * Parse a time string to milliseconds
+ * @param {string} timeStr - Time string (e.g., "2s", "5m", "1h", "1d")
+ * @returns {number} Milliseconds
+ */
+function parseTimeToMs(timeStr) {
+  const match = String(timeStr).match(/^(\d+)([smhd])$/);
+  if (!match) {
+    throw new Error(`Invalid time format: ${timeStr}`);
+  }
+
+  const value = parseInt(match[1], 10);
+  const unit = match[2];
+
+  const multipliers = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+  };
+
+  return value * multipliers[unit];
+}
+
+/**
+ * Check whether a value is a valid time string
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value matches `<number><s|m|h|d>`
+ */
+function isTimeString(value) {
+  return /^\d+[smhd]$/.test(String(value));
+}
+
+module.exports = {
+  parseTimeToMs,
+  isTimeString,
+};